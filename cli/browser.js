@@ -0,0 +1,115 @@
+/* eslint-env node */
+
+const dns = require("dns");
+const { createUDPSocketAPI } = require("./udpsocket");
+const { createTCPSocketAPI } = require("./tcpsocket");
+const { createResolvconfAPI } = require("./resolvconf");
+const manifest = require("../src/manifest.json");
+
+const PLATFORMS = {
+    darwin: "mac",
+    linux: "linux",
+    win32: "win"
+};
+
+/**
+ * The parts of the WebExtension browser object that src/dns-test.js uses,
+ * backed by Node instead of Firefox
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.nameservers] - Query these instead of the system's nameservers
+ * @param {Object} [options.resolvconfOptions] - timeout, attempts and rotate to go with them
+ * @param {string} [options.resolvconfPath] - resolv.conf to read instead of /etc/resolv.conf
+ * @param {number} [options.port] - Port the nameservers listen on, instead of 53
+ * @param {Object} [options.tlsOptions] - Extra options for DoT connections
+ * @param {boolean} [options.verbose] - Turn on the measurement's logging
+ * @param {function(string, Object, Object): void} [options.onPing] - Called with each ping submitted
+ * @param {Object} [options.storage] - What browser.storage.local starts out holding
+ */
+function createBrowser({
+    nameservers,
+    resolvconfOptions,
+    resolvconfPath,
+    port = 53,
+    tlsOptions,
+    verbose = false,
+    onPing = () => {},
+    storage = {}
+} = {}) {
+    let resolver = new dns.promises.Resolver();
+    if (nameservers) {
+        resolver.setServers(nameservers.map(addr => addr.includes(":") ? `[${addr}]:${port}` : `${addr}:${port}`));
+    }
+
+    return {
+        experiments: {
+            udpsocket: createUDPSocketAPI({ port }),
+            tcpsocket: createTCPSocketAPI({ port, tlsOptions }),
+            resolvconf: createResolvconfAPI({ nameservers, resolvconfOptions, path: resolvconfPath })
+        },
+        dns: {
+            /**
+             * Stands in for the OS resolver that dns.resolve() goes through,
+             * and only supports the flags the measurement passes
+             */
+            async resolve(hostname, flags = []) {
+                let addresses = flags.includes("disable_ipv4")
+                    ? await resolver.resolve6(hostname)
+                    : await resolver.resolve4(hostname);
+                return { addresses };
+            }
+        },
+        telemetry: {
+            async canUpload() {
+                return true;
+            },
+            async submitPing(type, payload, options) {
+                onPing(type, payload, options);
+            }
+        },
+        storage: {
+            // Kept in memory for the length of the run, and copied in and
+            // out like the real thing
+            local: {
+                async get(keys) {
+                    let names = typeof keys === "string" ? [keys] : keys || Object.keys(storage);
+                    return Object.fromEntries(names.filter(name => name in storage).map(name => [name, JSON.parse(JSON.stringify(storage[name]))]));
+                },
+                async set(items) {
+                    Object.assign(storage, JSON.parse(JSON.stringify(items)));
+                },
+                async remove(keys) {
+                    (typeof keys === "string" ? [keys] : keys).forEach(name => delete storage[name]);
+                }
+            }
+        },
+        captivePortal: {
+            async getState() {
+                return "not_captive";
+            },
+            onConnectivityAvailable: {
+                addListener() {},
+                removeListener() {}
+            }
+        },
+        management: {
+            async getSelf() {
+                return { installType: verbose ? "development" : "normal" };
+            },
+            // There's nothing to uninstall
+            async uninstallSelf() {}
+        },
+        runtime: {
+            getManifest() {
+                return manifest;
+            },
+            async getPlatformInfo() {
+                return { os: PLATFORMS[process.platform] || process.platform };
+            }
+        }
+    };
+}
+
+module.exports = {
+    createBrowser
+};
@@ -0,0 +1,104 @@
+/* eslint-env node */
+
+const dns = require("dns");
+const fs = require("fs");
+const { withCause } = require("../src/errors");
+
+const MAC_RESOLVCONF_PATH = "/etc/resolv.conf";
+const LINUX_RESOLVCONF_PATH = "/etc/resolv.conf";
+const SYSTEMD_RESOLVED_RESOLVCONF_PATH = "/run/systemd/resolve/resolv.conf";
+const SYSTEMD_RESOLVED_STUB_ADDRS = ["127.0.0.53", "127.0.0.54"];
+const NAMESERVERS_SOURCE_RESOLVCONF = "resolvconf";
+const NAMESERVERS_SOURCE_SYSTEMD_RESOLVED = "systemd-resolved";
+const NAMESERVERS_SOURCE_CLI = "cli";
+const STUDY_ERROR_NAMESERVERS_FILE = "STUDY_ERROR_NAMESERVERS_FILE";
+
+/**
+ * Read a resolv.conf-formatted file and return the addresses listed in its
+ * nameserver fields, along with the timeout (in seconds), attempts and rotate
+ * options if it sets them. Same parsing as the resolvconf experiment.
+ */
+async function readResolvConf(path) {
+    let nameservers = [];
+    let options = {};
+    let resolvconf_string;
+    try {
+        resolvconf_string = await fs.promises.readFile(path, "utf-8");
+    } catch(e) {
+        throw new Error(withCause(STUDY_ERROR_NAMESERVERS_FILE, e.code));
+    }
+
+    for (let line of resolvconf_string.split("\n")) {
+        let match = /^nameserver\s+([0-9a-fA-F.:]+)(\s|$)/.exec(line);
+        if (match) {
+            nameservers.push(match[1]);
+        }
+
+        match = /^options\s+(.*)$/.exec(line);
+        if (match) {
+            for (let option of match[1].trim().split(/\s+/)) {
+                let [name, value] = option.split(":");
+                if ((name === "timeout" || name === "attempts") && /^[0-9]+$/.test(value)) {
+                    options[name] = parseInt(value, 10);
+                } else if (name === "rotate") {
+                    options.rotate = true;
+                }
+            }
+        }
+    }
+    return { nameservers, options };
+}
+
+/**
+ * The resolvconf experiment API on top of fs
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.nameservers] - Use these instead of the system's
+ * @param {Object} [options.resolvconfOptions] - resolvconf options to go with them
+ * @param {string} [options.path] - resolv.conf to read on macOS and Linux
+ */
+function createResolvconfAPI({
+    nameservers: chosen,
+    resolvconfOptions = {},
+    path
+} = {}) {
+    return {
+        async readNameserversMac() {
+            if (chosen) {
+                return { nameservers: chosen, options: resolvconfOptions, source: NAMESERVERS_SOURCE_CLI };
+            }
+            let { nameservers, options } = await readResolvConf(path || MAC_RESOLVCONF_PATH);
+            return { nameservers, options, source: NAMESERVERS_SOURCE_RESOLVCONF };
+        },
+
+        async readNameserversLinux() {
+            if (chosen) {
+                return { nameservers: chosen, options: resolvconfOptions, source: NAMESERVERS_SOURCE_CLI };
+            }
+            let { nameservers, options } = await readResolvConf(path || LINUX_RESOLVCONF_PATH);
+            if (!path && nameservers.length === 1 &&
+                SYSTEMD_RESOLVED_STUB_ADDRS.includes(nameservers[0])) {
+                return {
+                    nameservers: (await readResolvConf(SYSTEMD_RESOLVED_RESOLVCONF_PATH)).nameservers,
+                    options,
+                    source: NAMESERVERS_SOURCE_SYSTEMD_RESOLVED
+                };
+            }
+            return { nameservers, options, source: NAMESERVERS_SOURCE_RESOLVCONF };
+        },
+
+        /**
+         * Node reads the Windows nameservers from the registry for us
+         */
+        async readNameserversWin() {
+            return chosen || dns.getServers()
+                .map(server => server.replace(/^\[(.*)\](:\d+)?$/, "$1").replace(/^([0-9.]+):\d+$/, "$1"))
+                .filter(server => !server.includes("%"));
+        }
+    };
+}
+
+module.exports = {
+    createResolvconfAPI,
+    readResolvConf
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/* eslint-env node */
+
+/**
+ * Run the measurement from a terminal, with Node standing in for Firefox,
+ * and print the payload of each ping it would have submitted as a line of
+ * JSON. Logs go to stderr.
+ *
+ *   npm run measure -- --nameserver 192.0.2.53
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { createBrowser } = require("./browser");
+const { main } = require("../src/dns-test");
+
+// < Node 18
+global.fetch = global.fetch || require("node-fetch");
+// < Node 19
+global.crypto = global.crypto || require("crypto").webcrypto;
+
+const USAGE = `Usage: node cli/run.js [options]
+
+  --nameserver <addr>     Query this resolver instead of the system's (repeatable)
+  --port <port>           Port the resolvers listen on (default: 53)
+  --timeout <seconds>     resolvconf timeout option to use with --nameserver
+  --attempts <n>          resolvconf attempts option to use with --nameserver
+  --rotate                resolvconf rotate option to use with --nameserver
+  --resolv-conf <path>    Read nameservers and options from this file instead
+  --doh-endpoint <url>    DoH endpoint to query (default: the add-on's)
+  --dot-server <addr>     DoT server to query (default: the add-on's)
+  --plan <path>           Measure with this plan instead of the bundled one
+  --bundled-plan          Don't fetch the remote measurement plan
+  --sleep <ms>            Maximum time to sleep between queries (default: 0)
+  --concurrency <n>       Queries to have in flight at once (default: 8)
+  --payload-budget <n>    Largest measurement ping to print, in bytes
+  --verbose               Log what the measurement is doing
+  --help                  Show this message
+`;
+
+function parseOptions(args) {
+    let { values } = parseArgs({
+        args,
+        options: {
+            "nameserver": { type: "string", multiple: true },
+            "port": { type: "string" },
+            "timeout": { type: "string" },
+            "attempts": { type: "string" },
+            "rotate": { type: "boolean" },
+            "resolv-conf": { type: "string" },
+            "doh-endpoint": { type: "string" },
+            "dot-server": { type: "string" },
+            "plan": { type: "string" },
+            "bundled-plan": { type: "boolean" },
+            "sleep": { type: "string" },
+            "concurrency": { type: "string" },
+            "payload-budget": { type: "string" },
+            "verbose": { type: "boolean" },
+            "help": { type: "boolean" }
+        }
+    });
+
+    let resolvconfOptions = {};
+    if (values.timeout !== undefined) {
+        resolvconfOptions.timeout = parseInt(values.timeout, 10);
+    }
+    if (values.attempts !== undefined) {
+        resolvconfOptions.attempts = parseInt(values.attempts, 10);
+    }
+    if (values.rotate) {
+        resolvconfOptions.rotate = true;
+    }
+
+    return {
+        help: values.help,
+        browserOptions: {
+            nameservers: values.nameserver,
+            resolvconfOptions,
+            resolvconfPath: values["resolv-conf"],
+            port: values.port ? parseInt(values.port, 10) : 53,
+            verbose: values.verbose
+        },
+        mainOptions: {
+            sleep: values.sleep ? parseInt(values.sleep, 10) : 0,
+            ...(values.concurrency ? { concurrency: parseInt(values.concurrency, 10) } : {}),
+            ...(values["payload-budget"] ? { payloadBudget: parseInt(values["payload-budget"], 10) } : {}),
+            dohEndpoint: values["doh-endpoint"],
+            dotServer: values["dot-server"],
+            ...(values.plan ? { plan: JSON.parse(fs.readFileSync(values.plan, "utf-8")) } : {}),
+            // A plan given on the command line isn't replaced either
+            ...(values.plan || values["bundled-plan"] ? { remotePlan: {} } : {}),
+            // Measure whether or not the study is still going
+            studyConfigURL: null,
+            limits: { expires: null }
+        }
+    };
+}
+
+async function run(args) {
+    let options;
+    try {
+        options = parseOptions(args);
+    } catch(e) {
+        process.stderr.write(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    // Keep stdout for the pings
+    console.log = console.error;
+    global.browser = createBrowser({
+        ...options.browserOptions,
+        onPing: (type, payload) => process.stdout.write(JSON.stringify(payload) + "\n")
+    });
+    try {
+        await main(options.mainOptions);
+        return 0;
+    } catch(e) {
+        console.error(e.message);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    run
+};
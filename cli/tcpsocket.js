@@ -0,0 +1,134 @@
+/* eslint-env node */
+
+const net = require("net");
+const tls = require("tls");
+const { withCause } = require("../src/errors");
+
+const DNS_PORT = 53;
+/**
+ * Long timeout just in case we don't receive enough data but the socket
+ * doesn't close
+ */
+const LONG_TIMEOUT = 60000;
+
+// Same codes as the tcpsocket experiment
+const ERRORS = {
+    plaintext: {
+        refused: "STUDY_ERROR_TCP_CONNECTION_REFUSED",
+        networkTimeout: "STUDY_ERROR_TCP_NETWORK_TIMEOUT",
+        networkMisc: "STUDY_ERROR_TCP_NETWORK_MISC",
+        notEnoughBytes: "STUDY_ERROR_TCP_NOT_ENOUGH_BYTES",
+        tooManyBytes: "STUDY_ERROR_TCP_TOO_MANY_BYTES",
+        queryTimeout: "STUDY_ERROR_TCP_QUERY_TIMEOUT"
+    },
+    tls: {
+        refused: "STUDY_ERROR_DOT_CONNECTION_REFUSED",
+        networkTimeout: "STUDY_ERROR_DOT_TIMEOUT",
+        networkMisc: "STUDY_ERROR_DOT_NETWORK_MISC",
+        notEnoughBytes: "STUDY_ERROR_DOT_NOT_ENOUGH_BYTES",
+        tooManyBytes: "STUDY_ERROR_DOT_TOO_MANY_BYTES",
+        queryTimeout: "STUDY_ERROR_DOT_TIMEOUT",
+        handshake: "STUDY_ERROR_DOT_HANDSHAKE",
+        certificate: "STUDY_ERROR_DOT_CERTIFICATE"
+    }
+};
+
+// OpenSSL's certificate verification errors, and Node's own hostname check
+const CERTIFICATE_ERRORS = [
+    "CERT_HAS_EXPIRED",
+    "CERT_NOT_YET_VALID",
+    "CERT_REVOKED",
+    "CERT_UNTRUSTED",
+    "DEPTH_ZERO_SELF_SIGNED_CERT",
+    "SELF_SIGNED_CERT_IN_CHAIN",
+    "UNABLE_TO_GET_ISSUER_CERT",
+    "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+    "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+    "ERR_TLS_CERT_ALTNAME_INVALID"
+];
+
+/**
+ * Map a socket error to the code the tcpsocket experiment would have thrown,
+ * with Node's code for the error as the cause
+ */
+function errorCode(error, errors, secure) {
+    let code = errors.networkMisc;
+    if (error.code === "ECONNREFUSED") {
+        code = errors.refused;
+    } else if (error.code === "ETIMEDOUT") {
+        code = errors.networkTimeout;
+    } else if (secure && CERTIFICATE_ERRORS.includes(error.code)) {
+        code = errors.certificate;
+    } else if (secure && (error.code || "").startsWith("ERR_SSL")) {
+        code = errors.handshake;
+    }
+    return withCause(code, error.code);
+}
+
+/**
+ * The tcpsocket experiment API on top of net and tls
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - Where to send plaintext queries instead of
+ *   port 53, e.g. to reach a resolver listening on an unprivileged port
+ * @param {Object} [options.tlsOptions] - Extra options for tls.connect(),
+ *   e.g. a ca to trust a local DoT server
+ * @param {number} [options.timeout] - How long to wait for a response, in ms,
+ *   for queries that don't set their own timeout
+ */
+function createTCPSocketAPI({ port: dnsPort = DNS_PORT, tlsOptions = {}, timeout = LONG_TIMEOUT } = {}) {
+    return {
+        /**
+         * Send a length-prefixed DNS query stored in buf over TCP, or TLS if
+         * tls is set, and resolve to the length-prefixed response
+         */
+        async sendDNSQuery(addr, buf, { port = DNS_PORT, tls: secure = false, timeout: queryTimeout = timeout } = {}) {
+            const errors = secure ? ERRORS.tls : ERRORS.plaintext;
+            if (port === DNS_PORT) {
+                port = dnsPort;
+            }
+            let socket;
+            let timer;
+            try {
+                return await new Promise((resolve, reject) => {
+                    let data = Buffer.alloc(0);
+                    let expectedLength;
+
+                    let send = () => socket.write(Buffer.from(buf));
+                    socket = secure
+                        ? tls.connect({ host: addr, port, ...tlsOptions }, send)
+                        : net.connect({ host: addr, port }, send);
+
+                    socket.on("data", chunk => {
+                        data = Buffer.concat([data, chunk]);
+                        if (data.length >= 2 && !expectedLength) {
+                            expectedLength = data.readUInt16BE(0) + 2;
+                        }
+
+                        // Check if we have got all the expected data, or if we've got too much data
+                        if (data.length == expectedLength) {
+                            resolve(new Uint8Array(data));
+                        } else if (data.length > expectedLength) {
+                            reject(new Error(errors.tooManyBytes));
+                        }
+                    });
+                    socket.on("error", error => reject(new Error(errorCode(error, errors, secure))));
+                    socket.on("close", () => {
+                        if (!expectedLength || data.length < expectedLength) {
+                            reject(new Error(errors.notEnoughBytes));
+                        }
+                    });
+
+                    timer = setTimeout(() => reject(new Error(errors.queryTimeout)), queryTimeout);
+                });
+            } finally {
+                clearTimeout(timer);
+                socket?.destroy();
+            }
+        }
+    };
+}
+
+module.exports = {
+    createTCPSocketAPI
+};
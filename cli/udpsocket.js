@@ -0,0 +1,113 @@
+/* eslint-env node */
+
+const dgram = require("dgram");
+const { withCause } = require("../src/errors");
+
+const RESOLVCONF_TIMEOUT = 5000; // Default timeout set by resolvconf for queries
+const DNS_PORT = 53;
+const STUDY_ERROR_UDP_PREMATURE_CLOSE = "STUDY_ERROR_UDP_PREMATURE_CLOSE";
+const STUDY_ERROR_UDP_BYTES_WRITTEN = "STUDY_ERROR_UDP_BYTES_WRITTEN";
+const STUDY_ERROR_UDP_QUERY_TIMEOUT = "STUDY_ERROR_UDP_QUERY_TIMEOUT";
+
+/**
+ * Check that a response answers the query we sent, i.e. that it has the same
+ * transaction ID and a byte-for-byte identical question section. Same as in
+ * the udpsocket experiment.
+ */
+function matchesQuery(query, response) {
+    let questionEnd = 12;
+    while (questionEnd < query.length && query[questionEnd] !== 0) {
+        questionEnd += query[questionEnd] + 1;
+    }
+    questionEnd += 5;
+
+    if (response.length < questionEnd) {
+        return false;
+    }
+    if (response[0] !== query[0] || response[1] !== query[1]) {
+        return false;
+    }
+    for (let i = 12; i < questionEnd; i++) {
+        if (response[i] !== query[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * The udpsocket experiment API on top of dgram
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port] - Where to send queries instead of port 53,
+ *   e.g. to reach a resolver listening on an unprivileged port
+ */
+function createUDPSocketAPI({ port = DNS_PORT } = {}) {
+    return {
+        /**
+         * Send a DNS query stored in buf to a nameserver over UDP. Resolves
+         * the same way as the udpsocket experiment's sendDNSQuery().
+         */
+        async sendDNSQuery(addr, buf, rrtype, timeout = RESOLVCONF_TIMEOUT, listenWindow = 0) {
+            let response = null;
+            let mismatched = [];
+            let foreign = [];
+            let received = [];
+            let sentAt;
+            let timers = [];
+            let socket = dgram.createSocket(addr.includes(":") ? "udp6" : "udp4");
+
+            try {
+                await new Promise((resolve, reject) => {
+                    socket.on("message", (message, rinfo) => {
+                        let data = new Uint8Array(message);
+                        let fromServer = rinfo.address === addr && rinfo.port === port;
+                        let matched = fromServer && matchesQuery(buf, data);
+                        received.push({ data, offset: Date.now() - sentAt, matched });
+
+                        if (!fromServer) {
+                            foreign.push(data);
+                        } else if (!matched) {
+                            mismatched.push(data);
+                        } else if (!response) {
+                            response = data;
+                            if (listenWindow > 0) {
+                                timers.push(setTimeout(resolve, listenWindow));
+                            } else {
+                                resolve();
+                            }
+                        }
+                    });
+                    socket.on("error", error => reject(new Error(withCause(STUDY_ERROR_UDP_PREMATURE_CLOSE, error.code))));
+
+                    sentAt = Date.now();
+                    socket.send(buf, port, addr, error => {
+                        if (error) {
+                            reject(new Error(withCause(STUDY_ERROR_UDP_BYTES_WRITTEN, error.code)));
+                        }
+                    });
+
+                    timers.push(setTimeout(() => {
+                        if (response) {
+                            // We're listening for more responses
+                            return;
+                        }
+                        if (mismatched.length || foreign.length) {
+                            resolve();
+                        } else {
+                            reject(new Error(STUDY_ERROR_UDP_QUERY_TIMEOUT));
+                        }
+                    }, timeout));
+                });
+                return { response, mismatched, foreign, received };
+            } finally {
+                timers.forEach(clearTimeout);
+                socket.close();
+            }
+        }
+    };
+}
+
+module.exports = {
+    createUDPSocketAPI
+};
@@ -0,0 +1,210 @@
+const DNS_PACKET = require("dns-packet");
+const { Buffer } = require("buffer");
+
+// Record types whose presence anywhere in a response we report, since they
+// are the ones middleboxes are most likely to strip
+const DNSSEC_RRTYPES = ["RRSIG", "DNSKEY", "DS"];
+
+// ResponseSummary properties that say a record survived the path
+const SURVIVING_RECORDS = ["rrsig", "dnskey", "ds", "opt", "expected"];
+
+// Transports whose responses we store as DNS messages
+const WIRE_FORMAT_TRANSPORTS = ["udp", "tcp", "doh", "dot", "auth"];
+
+// Transports whose messages carry a 2-byte length prefix
+const STREAM_TRANSPORTS = ["tcp", "dot"];
+
+/**
+ * @typedef {Object} ResponseSummary
+ * @property {string=} rcode - Response code, e.g. "NOERROR"
+ * @property {boolean=} tc - Truncated flag
+ * @property {boolean=} ad - Authenticated data flag
+ * @property {boolean=} ra - Recursion available flag
+ * @property {Object<string, number>=} answers - Number of answer records of each type
+ * @property {boolean=} rrsig - Whether any section contains an RRSIG record
+ * @property {boolean=} dnskey - Whether any section contains a DNSKEY record
+ * @property {boolean=} ds - Whether any section contains a DS record
+ * @property {boolean=} opt - Whether the response has an OPT record
+ * @property {boolean=} expected - Whether the answer section has a record of the queried type for the queried name
+ * @property {boolean=} parseError - Set (and nothing else is) if the response couldn't be decoded
+ */
+
+/**
+ * @typedef {Object} SizeProbeSummary
+ * @property {number} advertised - EDNS0 UDP payload size we advertised
+ * @property {number} expected - Size of the response the name is set up to return
+ * @property {number|null} received - Size of the response we got, if any
+ * @property {"delivered"|"shrunk"|"truncated"|"lost"} outcome - shrunk if the
+ *   response came back whole but smaller than expected, i.e. with records missing
+ */
+
+/**
+ * @typedef {Object} AuthPair
+ * @property {string} recursiveKey - Key of the same query sent to the client's nameservers
+ * @property {boolean} authoritativeAnswered - Whether our authoritative server's response could be decoded
+ * @property {boolean} recursiveAnswered - Whether the recursive resolver's response could be decoded
+ * @property {string[]|null} missingFromRecursive - Which of SURVIVING_RECORDS the authoritative
+ *   response had but the recursive one didn't, if both answered
+ */
+
+/**
+ * Check whether a UDP response has the TC bit set
+ * @param {number[]|Uint8Array} responseBytes
+ */
+function isTruncated(responseBytes) {
+    return responseBytes.length >= 4 && (responseBytes[2] & (DNS_PACKET.TRUNCATED_RESPONSE >> 8)) !== 0;
+}
+
+/**
+ * Decode a response received from one of the sendDNSQuery helpers
+ *
+ * @param {number[]|Uint8Array} responseBytes
+ * @param {"udp"|"tcp"|"doh"|"dot"} transport TCP and DoT responses carry a length prefix
+ */
+function decodeResponse(responseBytes, transport) {
+    let buf = Buffer.from(responseBytes);
+    return STREAM_TRANSPORTS.includes(transport) ? DNS_PACKET.streamDecode(buf) : DNS_PACKET.decode(buf);
+}
+
+/**
+ * Summarize a single UDP, TCP, DoH or DoT response
+ *
+ * @param {number[]|Uint8Array} responseBytes
+ * @param {"udp"|"tcp"|"doh"|"dot"} transport
+ * @param {{rrtype: string, domain: string}} query What we asked for
+ * @returns {ResponseSummary}
+ */
+function classifyResponse(responseBytes, transport, { rrtype, domain }) {
+    let parsed;
+    try {
+        parsed = decodeResponse(responseBytes, transport);
+    } catch (e) {
+        return { parseError: true };
+    }
+
+    let answers = parsed.answers || [];
+    let records = [...answers, ...(parsed.authorities || []), ...(parsed.additionals || [])];
+    let answerCounts = {};
+    for (let { type } of answers) {
+        answerCounts[type] = (answerCounts[type] || 0) + 1;
+    }
+
+    let summary = {
+        rcode: parsed.rcode,
+        tc: parsed.flag_tc,
+        ad: parsed.flag_ad,
+        ra: parsed.flag_ra,
+        answers: answerCounts
+    };
+    for (let type of DNSSEC_RRTYPES) {
+        summary[type.toLowerCase()] = records.some(record => record.type === type);
+    }
+    summary.opt = records.some(record => record.type === "OPT");
+    summary.expected = answers.some(record =>
+        record.type === rrtype &&
+        record.name.toLowerCase() === domain.toLowerCase()
+    );
+    return summary;
+}
+
+/**
+ * Summarize every UDP, TCP, DoH and DoT response we collected
+ *
+ * @param {Object<string, any>} dnsData Responses keyed by computeKey()
+ * @param {Object<string, {transport: string, rrtype: string, domain: string}>} queries What was sent for each key
+ * @returns {Object<string, ResponseSummary>}
+ */
+function classifyResponses(dnsData, queries) {
+    let summaries = {};
+    for (let [key, responseBytes] of Object.entries(dnsData)) {
+        let query = queries[key];
+        if (!query || !WIRE_FORMAT_TRANSPORTS.includes(query.transport)) {
+            continue;
+        }
+        summaries[key] = classifyResponse(responseBytes, query.transport, query);
+    }
+    return summaries;
+}
+
+/**
+ * Summarize the EDNS0 buffer size probes, i.e. the UDP queries for names with
+ * a known response size, and find the largest response delivered whole over
+ * each address family.
+ *
+ * @param {Object<string, any>} dnsData Responses keyed by computeKey()
+ * @param {Object<string, {transport: string, family?: string, udpPayloadSize?: number, responseSize?: number}>} queries
+ *   What was sent for each key
+ * @returns {{sizes: Object<string, SizeProbeSummary>, largestDelivered: Object<string, number|null>}}
+ */
+function summarizeSizeProbes(dnsData, queries) {
+    let sizes = {};
+    let largestDelivered = {};
+    for (let [key, { transport, family, udpPayloadSize, responseSize }] of Object.entries(queries)) {
+        if (transport !== "udp" || !responseSize) {
+            continue;
+        }
+        let responseBytes = dnsData[key];
+        let outcome = "lost";
+        if (responseBytes && isTruncated(responseBytes)) {
+            outcome = "truncated";
+        } else if (responseBytes) {
+            outcome = responseBytes.length < responseSize ? "shrunk" : "delivered";
+        }
+        sizes[key] = {
+            advertised: udpPayloadSize,
+            expected: responseSize,
+            received: responseBytes ? responseBytes.length : null,
+            outcome
+        };
+
+        if (!(family in largestDelivered)) {
+            largestDelivered[family] = null;
+        }
+        if (outcome === "delivered") {
+            largestDelivered[family] = Math.max(largestDelivered[family] || 0, responseBytes.length);
+        }
+    }
+    return { sizes, largestDelivered };
+}
+
+/**
+ * Pair each query sent straight to our authoritative servers with the same
+ * query sent through the client's recursive resolver. If the records reach us
+ * over the direct path but not the recursive one, the resolver or the path to
+ * it is at fault; if they're missing from both, it's the client's network.
+ *
+ * @param {Object<string, ResponseSummary>} summaries From classifyResponses()
+ * @param {Object<string, {transport: string, twinKey?: string}>} queries What was sent for each key
+ * @returns {Object<string, AuthPair>} Keyed by the auth key
+ */
+function pairAuthoritativeResponses(summaries, queries) {
+    let pairs = {};
+    for (let [key, { transport, twinKey }] of Object.entries(queries)) {
+        if (transport !== "auth" || !queries[twinKey]) {
+            continue;
+        }
+        let authoritative = summaries[key];
+        let recursive = summaries[twinKey];
+        let authoritativeAnswered = Boolean(authoritative && !authoritative.parseError);
+        let recursiveAnswered = Boolean(recursive && !recursive.parseError);
+        pairs[key] = {
+            recursiveKey: twinKey,
+            authoritativeAnswered,
+            recursiveAnswered,
+            missingFromRecursive: authoritativeAnswered && recursiveAnswered
+                ? SURVIVING_RECORDS.filter(name => authoritative[name] && !recursive[name])
+                : null
+        };
+    }
+    return pairs;
+}
+
+module.exports = {
+    STREAM_TRANSPORTS,
+    isTruncated,
+    decodeResponse,
+    classifyResponse,
+    classifyResponses,
+    summarizeSizeProbes,
+    pairAuthoritativeResponses
+};
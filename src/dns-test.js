@@ -3,16 +3,91 @@ const DNS_PACKET = require("dns-packet");
 const { Buffer } = require("buffer");
 const { v4: uuidv4 } = require("uuid");
 const IP_REGEX = require("ip-regex");
+const {
+    STREAM_TRANSPORTS,
+    isTruncated,
+    decodeResponse,
+    classifyResponses,
+    summarizeSizeProbes,
+    pairAuthoritativeResponses
+} = require("./dns-classify");
+const { validateResponses } = require("./dnssec-validate");
+const { schedule } = require("./scheduler");
+const { computeRetryPolicies, updateRTTEstimate, attemptTimeout } = require("./retry");
+const { encodePayload, checkPayload, PAYLOAD_SCHEMA_VERSION } = require("./payload");
+const { saveCheckpoint, queuePings, flushOutbox } = require("./outbox");
+const { STUDY_ENDED, DEFAULT_LIMITS, fetchStudyConfig, startRun } = require("./lifecycle");
+const {
+    PHASE_PREFLIGHT,
+    PHASE_NAMESERVER,
+    PHASE_ENCODE,
+    PHASE_SEND,
+    PHASE_RECEIVE,
+    PHASE_PARSE,
+    sanitizeCause,
+    withCause,
+    parseError,
+    errorPhase
+} = require("./errors");
+const {
+    BUNDLED_PLAN,
+    COMMON_QUERIES,
+    SMIMEA_HASH,
+    STUDY_ERROR_PLAN_INVALID,
+    computeKey,
+    checkPlan,
+    expandPlan,
+    fetchSignedPlan
+} = require("./plan");
 
 const APEX_DOMAIN_NAME = "dnssec-experiment-moz.net";
 const FETCH_ENDPOINT = `https://dns-study.com/firefox-test-endpoint`;
-const SMIMEA_HASH = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15";
 const EXPECTED_FETCH_RESPONSE = "Hello, world!\n";
+// A signed measurement plan that replaces the bundled one, and the public key
+// its signature has to verify against (see fetchSignedPlan in plan.js)
+const REMOTE_PLAN_URL = "https://dnssec-experiment-moz.net/measurement-plan.json";
+const REMOTE_PLAN_SIGNING_KEY = {
+    kty: "EC",
+    crv: "P-256",
+    x: "DKSWJ6jnOd1UTIm1_xgX0ZGa1x_Ikm1aZdk4AvMKA3M",
+    y: "mJvKOe7p_-uuvnD391DKu-yV9RiizG3qciENDnUjmB0"
+};
+// Can end the study early, see lifecycle.js
+const STUDY_CONFIG_URL = "https://dnssec-experiment-moz.net/study-config.json";
+// Where doh queries are sent. Needs a host permission in the manifest.
+const DOH_ENDPOINT = "https://mozilla.cloudflare-dns.com/dns-query";
+const DOH_CONTENT_TYPE = "application/dns-message";
+// Where dot queries are sent
+const DOT_SERVER = "1.1.1.1";
+const DOT_PORT = 853;
+const DNS_PORT = 53;
 // How long for the max sleep time
 // Disable this for now, we don't need it
 const DEFAULT_MAX_SLEEP_TIME = 0;
-
-const RESOLVCONF_ATTEMPTS = 3; // Number of UDP attempts per nameserver. We let TCP handle re-transmissions on its own.
+// How many queries are in flight at once
+const DEFAULT_CONCURRENCY = 8;
+// How long to wait behind a captive portal for connectivity, in ms. No other
+// run can start in the meantime.
+const CAPTIVE_PORTAL_TIMEOUT = 30 * 60 * 1000;
+// Save what has been measured at most this often while the queries run, in
+// ms. Encoding it takes longer the more queries are done.
+const PROGRESS_SAVE_INTERVAL = 10 * 1000;
+// Largest STUDY_MEASUREMENT_COMPLETED ping to send, in bytes of JSON. Bigger
+// measurements are split into several pings. Telemetry drops pings over 1 MB.
+const DEFAULT_PAYLOAD_BUDGET = 512 * 1024;
+
+// UDP re-transmission settings used when the client's resolv.conf doesn't
+// set them, or on Windows. timeout is per attempt, in ms, and attempts is the
+// number of UDP attempts per nameserver. They seed the UDP and auth retry
+// policies; see retry.js.
+const DEFAULT_RESOLVCONF_OPTIONS = {
+    timeout: 5000,
+    attempts: 3,
+    rotate: false
+};
+// The libc resolver caps these at RES_MAXRETRANS and RES_MAXRETRY
+const RESOLVCONF_MAX_TIMEOUT = 30000;
+const RESOLVCONF_MAX_ATTEMPTS = 5;
 
 /**
  * @typedef {Object} QueryConfig
@@ -22,71 +97,227 @@ const RESOLVCONF_ATTEMPTS = 3; // Number of UDP attempts per nameserver. We let
  * @property {boolean=} dnssec_ok - Flag
  * @property {boolean=} checking_disabled - Flag
  * @property {boolean=} noedns0 - Flag
+ * @property {number=} listenWindow - UDP only. How long to keep listening for more responses after the first one, in ms
+ * @property {number=} udpPayloadSize - EDNS0 UDP payload size to advertise. Defaults to UDP_PAYLOAD_SIZE
+ * @property {("GET"|"POST")=} dohMethod - DoH only. Defaults to "GET"
  */
 
-/** @type QueryConfig[] */
-const COMMON_QUERIES = [
-    { rrtype: "SMIMEA", prefix: SMIMEA_HASH + "._smimecert", perClientPrefix: "_smimecert.pc"},
-    { rrtype: "HTTPS", prefix: "httpssvc", perClientPrefix: "httpssvc-pc"},
-    { rrtype: "A"},
-    { rrtype: "A", noedns0: true },
-    { rrtype: "A", checking_disabled: true },
-    { rrtype: "A", dnssec_ok: true },
-    { rrtype: "A", dnssec_ok: true, checking_disabled: true },
-    { rrtype: "DNSKEY", dnssec_ok: true },
-    { rrtype: "DS"},
-    { rrtype: "NEWONE"},
-    { rrtype: "NEWTWO"},
-    { rrtype: "NEWTHREE"},
-    { rrtype: "NEWFOUR"}
-];
-
 const STUDY_START = "STUDY_START";
 const STUDY_MEASUREMENT_COMPLETED = "STUDY_MEASUREMENT_COMPLETED";
+const STUDY_MEASUREMENT_INTERRUPTED = "STUDY_MEASUREMENT_INTERRUPTED";
 const STUDY_ERROR_UDP_WEBEXT = "STUDY_ERROR_UDP_WEBEXT";
 const STUDY_ERROR_UDP_MISC = "STUDY_ERROR_UDP_MISC";
 const STUDY_ERROR_TCP_MISC = "STUDY_ERROR_TCP_MISC";
 const STUDY_ERROR_UDP_ENCODE = "STUDY_ERROR_UDP_ENCODE";
 const STUDY_ERROR_TCP_ENCODE = "STUDY_ERROR_TCP_ENCODE";
+const STUDY_ERROR_UDP_TXID_MISMATCH = "STUDY_ERROR_UDP_TXID_MISMATCH";
+const STUDY_ERROR_UDP_QNAME_MISMATCH = "STUDY_ERROR_UDP_QNAME_MISMATCH";
+const STUDY_ERROR_UDP_QTYPE_MISMATCH = "STUDY_ERROR_UDP_QTYPE_MISMATCH";
+const STUDY_ERROR_UDP_SOURCE_MISMATCH = "STUDY_ERROR_UDP_SOURCE_MISMATCH";
+const STUDY_ERROR_UDP_QUERY_TIMEOUT = "STUDY_ERROR_UDP_QUERY_TIMEOUT";
+const STUDY_ERROR_AUTH_ENCODE = "STUDY_ERROR_AUTH_ENCODE";
+const STUDY_ERROR_AUTH_TXID_MISMATCH = "STUDY_ERROR_AUTH_TXID_MISMATCH";
+const STUDY_ERROR_AUTH_QNAME_MISMATCH = "STUDY_ERROR_AUTH_QNAME_MISMATCH";
+const STUDY_ERROR_AUTH_QTYPE_MISMATCH = "STUDY_ERROR_AUTH_QTYPE_MISMATCH";
+const STUDY_ERROR_AUTH_SOURCE_MISMATCH = "STUDY_ERROR_AUTH_SOURCE_MISMATCH";
+const STUDY_ERROR_TCP_TXID_MISMATCH = "STUDY_ERROR_TCP_TXID_MISMATCH";
+const STUDY_ERROR_TCP_QNAME_MISMATCH = "STUDY_ERROR_TCP_QNAME_MISMATCH";
+const STUDY_ERROR_TCP_QTYPE_MISMATCH = "STUDY_ERROR_TCP_QTYPE_MISMATCH";
+const STUDY_ERROR_DOH_ENCODE = "STUDY_ERROR_DOH_ENCODE";
+const STUDY_ERROR_DOH_FETCH_FAILED = "STUDY_ERROR_DOH_FETCH_FAILED";
+const STUDY_ERROR_DOH_HTTP_STATUS = "STUDY_ERROR_DOH_HTTP_STATUS";
+const STUDY_ERROR_DOH_CONTENT_TYPE = "STUDY_ERROR_DOH_CONTENT_TYPE";
+const STUDY_ERROR_DOH_TXID_MISMATCH = "STUDY_ERROR_DOH_TXID_MISMATCH";
+const STUDY_ERROR_DOH_QNAME_MISMATCH = "STUDY_ERROR_DOH_QNAME_MISMATCH";
+const STUDY_ERROR_DOH_QTYPE_MISMATCH = "STUDY_ERROR_DOH_QTYPE_MISMATCH";
+const STUDY_ERROR_DOH_MISC = "STUDY_ERROR_DOH_MISC";
+const STUDY_ERROR_DOT_ENCODE = "STUDY_ERROR_DOT_ENCODE";
+const STUDY_ERROR_DOT_TXID_MISMATCH = "STUDY_ERROR_DOT_TXID_MISMATCH";
+const STUDY_ERROR_DOT_QNAME_MISMATCH = "STUDY_ERROR_DOT_QNAME_MISMATCH";
+const STUDY_ERROR_DOT_QTYPE_MISMATCH = "STUDY_ERROR_DOT_QTYPE_MISMATCH";
+const STUDY_ERROR_DOT_MISC = "STUDY_ERROR_DOT_MISC";
 const STUDY_ERROR_NAMESERVERS_OS_NOT_SUPPORTED = "STUDY_ERROR_NAMESERVERS_OS_NOT_SUPPORTED";
 const STUDY_ERROR_NAMESERVERS_NOT_FOUND = "STUDY_ERROR_NAMESERVERS_NOT_FOUND";
 const STUDY_ERROR_NAMESERVERS_INVALID_ADDR = "STUDY_ERROR_NAMESERVERS_INVALID_ADDR";
 const STUDY_ERROR_NAMESERVERS_MISC = "STUDY_ERROR_NAMESERVERS_MISC";
 const STUDY_ERROR_CAPTIVE_PORTAL_FAILED = "STUDY_ERROR_CAPTIVE_PORTAL_FAILED";
+const STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT = "STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT";
 const STUDY_ERROR_CAPTIVE_PORTAL_API_DISABLED = "STUDY_ERROR_CAPTIVE_PORTAL_API_DISABLED";
 const STUDY_ERROR_TELEMETRY_CANT_UPLOAD = "STUDY_ERROR_TELEMETRY_CANT_UPLOAD";
 const STUDY_ERROR_FETCH_FAILED = "STUDY_ERROR_FETCH_FAILED";
 const STUDY_ERROR_FETCH_NOT_MATCHED = "STUDY_ERROR_FETCH_NOT_MATCHED";
+const STUDY_ERROR_PAYLOAD_INVALID = "STUDY_ERROR_PAYLOAD_INVALID";
+
+// Where readNameservers() found the client's nameservers on Windows. On macOS
+// and Linux, the resolvconf experiment tells us which file it ended up reading.
+const NAMESERVERS_SOURCE_REGISTRY = "registry";
+
+// UDP and TCP queries are sent separately to IPv4 and IPv6 nameservers.
+// Keys for queries sent over IPv6 get a suffix so that the two paths can be
+// compared.
+const IPV4 = "ipv4";
+const IPV6 = "ipv6";
+const IPV6_KEY_SUFFIX = "-6";
+// Transports that are sent once per address family. auth queries go to our
+// authoritative servers, and the others to the client's nameservers.
+const NAMESERVER_TRANSPORTS = ["udp", "tcp", "auth"];
+
+// Errors for responses that don't answer the query we sent, or for UDP, that
+// come from somewhere other than the server we sent it to
+const MISMATCH_ERRORS = {
+    udp: {
+        txid: STUDY_ERROR_UDP_TXID_MISMATCH,
+        qname: STUDY_ERROR_UDP_QNAME_MISMATCH,
+        qtype: STUDY_ERROR_UDP_QTYPE_MISMATCH,
+        source: STUDY_ERROR_UDP_SOURCE_MISMATCH
+    },
+    auth: {
+        txid: STUDY_ERROR_AUTH_TXID_MISMATCH,
+        qname: STUDY_ERROR_AUTH_QNAME_MISMATCH,
+        qtype: STUDY_ERROR_AUTH_QTYPE_MISMATCH,
+        source: STUDY_ERROR_AUTH_SOURCE_MISMATCH
+    },
+    tcp: {
+        txid: STUDY_ERROR_TCP_TXID_MISMATCH,
+        qname: STUDY_ERROR_TCP_QNAME_MISMATCH,
+        qtype: STUDY_ERROR_TCP_QTYPE_MISMATCH
+    },
+    doh: {
+        txid: STUDY_ERROR_DOH_TXID_MISMATCH,
+        qname: STUDY_ERROR_DOH_QNAME_MISMATCH,
+        qtype: STUDY_ERROR_DOH_QTYPE_MISMATCH
+    },
+    dot: {
+        txid: STUDY_ERROR_DOT_TXID_MISMATCH,
+        qname: STUDY_ERROR_DOT_QNAME_MISMATCH,
+        qtype: STUDY_ERROR_DOT_QTYPE_MISMATCH
+    }
+};
+
+// Errors for queries sent over UDP, to the client's nameservers or straight
+// to our authoritative servers. The udpsocket experiment's own errors start
+// with UDPSOCKET_ERROR_PREFIX, which auth queries swap for theirs.
+const UDPSOCKET_ERROR_PREFIX = "STUDY_ERROR_UDP";
+const DATAGRAM_ERRORS = {
+    udp: {
+        prefix: "STUDY_ERROR_UDP",
+        encode: STUDY_ERROR_UDP_ENCODE
+    },
+    auth: {
+        prefix: "STUDY_ERROR_AUTH",
+        encode: STUDY_ERROR_AUTH_ENCODE
+    }
+};
+
+// Errors for queries sent over a TCP stream, plaintext or TLS. The tcpsocket
+// experiment's own errors start with the prefix.
+const STREAM_ERRORS = {
+    tcp: {
+        prefix: "STUDY_ERROR_TCP",
+        encode: STUDY_ERROR_TCP_ENCODE,
+        misc: STUDY_ERROR_TCP_MISC
+    },
+    dot: {
+        prefix: "STUDY_ERROR_DOT",
+        encode: STUDY_ERROR_DOT_ENCODE,
+        misc: STUDY_ERROR_DOT_MISC
+    }
+};
 
 const TELEMETRY_TYPE = "dnssec-study-v1";
 const TELEMETRY_OPTIONS = {
     addClientId: true,
     addEnvironment: true
 };
+// How many of an invalid payload's problems to report
+const MAX_PAYLOAD_ERRORS = 20;
 
 const MAX_TXID = 65535;
 const MIN_TXID = 0;
 
 const UDP_PAYLOAD_SIZE = 4096;
 
+// Truncated UDP responses are retried over TCP, like a stub resolver would.
+// The TCP response is stored under the UDP key with this suffix.
+const TCP_FALLBACK_KEY_SUFFIX = "-TCP";
+
+// What each entry in a key's dnsTimeline list holds, in order
+const TIMELINE_FIELDS = ["nameserver", "transport", "sent", "ended", "rtt", "size", "outcome"];
+const TIMELINE_RESPONSE = "response";
+const TIMELINE_TRUNCATED = "truncated";
+
+
 var loggingEnabled;
 var measurementID;
+// What started this run, and the salted ID of the network it's on
+var runTrigger = "startup";
+var networkID = null;
+var plan = BUNDLED_PLAN;
+var planSource = "bundled";
+var remotePlanError = null;
+var dohEndpoint = DOH_ENDPOINT;
+var dotServer = DOT_SERVER;
+var concurrency = DEFAULT_CONCURRENCY;
+var payloadBudget = DEFAULT_PAYLOAD_BUDGET;
+var nameserversSource;
+var nameserverCounts = {};
+var resolvconfOptions = DEFAULT_RESOLVCONF_OPTIONS;
+var retryPolicies = computeRetryPolicies(DEFAULT_RESOLVCONF_OPTIONS);
+// Running RTT estimate per transport, for adaptive timeouts
+var rttEstimates = {};
+var rotateIndex = 0;
 
 var dnsData = {};
 
 var dnsAttempts = {};
 
 var dnsQueryInfo = {};
+// The order the next query starts in, for dnsQueryInfo
+var queryOrder = 0;
 
 var dnsQueryErrors = [];
 
+// Responses that didn't match the query they were received for
+var dnsMismatchedData = {};
+
+// Every UDP response received within the listening window, for queries that
+// have one
+var dnsAllResponses = {};
+
+// UDP keys whose response was truncated, with the key of the TCP retry and
+// whether it got a response
+var dnsTCPFallbacks = {};
+
+// What was sent for each key, for classifying the responses
+var dnsQueryDetails = {};
+
+// Every attempt for each key, encoded as lists of TIMELINE_FIELDS, with
+// times in ms since measurementStart
+var dnsTimeline = {};
+var measurementStart = 0;
+// Wall-clock time for sending all the queries, in ms
+var measurementDuration = null;
+// When saveProgress() last ran, in ms since the epoch
+var lastProgressSave = null;
+
 
 // For tests
 function resetState() {
     dnsData = {};
     dnsAttempts = {};
     dnsQueryErrors = [];
+    dnsMismatchedData = {};
+    dnsAllResponses = {};
+    dnsTCPFallbacks = {};
     dnsQueryInfo = {}
+    queryOrder = 0;
+    dnsQueryDetails = {};
+    dnsTimeline = {};
+    measurementStart = Date.now();
+    measurementDuration = null;
+    lastProgressSave = null;
+    rttEstimates = {};
+    rotateIndex = 0;
 }
 
 function logMessage(...args) {
@@ -131,10 +362,8 @@ function logDNSResponse(resp, key, transport, domain) {
     }
     try {
         let parsed;
-        if (transport === "tcp") {
-            parsed = DNS_PACKET.streamDecode(Buffer.from(resp));
-        } else if (transport === "udp") {
-            parsed = DNS_PACKET.decode(Buffer.from(resp));
+        if (transport !== "webext") {
+            parsed = decodeResponse(resp, transport);
         }
         if (parsed) {
             const hasAnswers = parsed.answers?.length > 0;
@@ -180,25 +409,32 @@ function shuffleArray(array) {
     }
 }
 
+/**
+ * @typedef {Object} EncodedQuery
+ * @property {number} id - The random transaction ID of the query
+ * @property {Buffer} buf - The encoded query
+ */
+
 /**
  * Encode a DNS query to be sent over a UDP socket
  * @param {string} domain
  * @param {QueryConfig} query
+ * @returns {EncodedQuery}
  */
-function encodeUDPQuery(domain, { rrtype, dnssec_ok, checking_disabled, noedns0 }) {
+function encodeUDPQuery(domain, { rrtype, dnssec_ok, checking_disabled, noedns0, udpPayloadSize = UDP_PAYLOAD_SIZE }) {
     let buf;
     let type = 'query';
     let id = Math.floor(Math.random() * (MAX_TXID - MIN_TXID + 1)) + MIN_TXID;    // Generate a random transaction ID between 0 and 65535
     let flags = DNS_PACKET.RECURSION_DESIRED;
     let questions = [{ type: rrtype, name: domain }];
-    let additionals = noedns0 ? [] : [{ type: 'OPT', name: '.', udpPayloadSize: UDP_PAYLOAD_SIZE }];
+    let additionals = noedns0 ? [] : [{ type: 'OPT', name: '.', udpPayloadSize }];
 
     if (checking_disabled) {
         flags = flags | DNS_PACKET.CHECKING_DISABLED;
     }
     if (dnssec_ok) {
         // TODO(ekr@rtfm.com): Assert noedns0
-        additionals = [{ type: 'OPT', name: '.', udpPayloadSize: UDP_PAYLOAD_SIZE, flags: DNS_PACKET.DNSSEC_OK }];
+        additionals = [{ type: 'OPT', name: '.', udpPayloadSize, flags: DNS_PACKET.DNSSEC_OK }];
     }
 
     buf = DNS_PACKET.encode({
@@ -208,15 +444,16 @@ function encodeUDPQuery(domain, { rrtype, dnssec_ok, checking_disabled, noedns0
         questions: questions,
         additionals: additionals
     });
-    return buf
+    return { id, buf };
 }
 
 /**
  * Encode a DNS query to be sent over a TCP socket
  * @param {string} domain
  * @param {QueryConfig} query
+ * @returns {EncodedQuery}
  */
-function encodeTCPQuery(domain, {rrtype, dnssec_ok, checking_disabled}) {
+function encodeTCPQuery(domain, {rrtype, dnssec_ok, checking_disabled, udpPayloadSize = UDP_PAYLOAD_SIZE}) {
     let buf;
     let type = 'query';
     let id = Math.floor(Math.random() * (MAX_TXID - MIN_TXID + 1)) + MIN_TXID;    // Generate a random transaction ID between 0 and 65535
@@ -228,7 +465,9 @@ function encodeTCPQuery(domain, {rrtype, dnssec_ok, checking_disabled}) {
         flags = flags | DNS_PACKET.CHECKING_DISABLED;
     }
     if (dnssec_ok) {
-        additionals = [{ type: 'OPT', name: '.', flags: DNS_PACKET.DNSSEC_OK }];
+        // Advertise the same size as over UDP, so that the TCP and UDP
+        // queries differ only in transport
+        additionals = [{ type: 'OPT', name: '.', udpPayloadSize, flags: DNS_PACKET.DNSSEC_OK }];
     }
 
     buf = DNS_PACKET.streamEncode({
@@ -238,9 +477,146 @@ function encodeTCPQuery(domain, {rrtype, dnssec_ok, checking_disabled}) {
         questions: questions,
         additionals: additionals
     });
-    return buf
+    return { id, buf };
 }
 
+/**
+ * Encode a DNS query to be sent over DoH. RFC 8484 asks for a transaction ID
+ * of 0, so that identical queries can be cached by HTTP caches.
+ * @param {string} domain
+ * @param {QueryConfig} query
+ * @returns {EncodedQuery}
+ */
+function encodeDoHQuery(domain, query) {
+    let { buf } = encodeUDPQuery(domain, query);
+    buf.writeUInt16BE(0, 0);
+    return { id: 0, buf };
+}
+
+/**
+ * Encode a DNS query to be sent to an authoritative server. RD is cleared, as
+ * a recursive resolver would do.
+ * @param {string} domain
+ * @param {QueryConfig} query
+ * @returns {EncodedQuery}
+ */
+function encodeAuthQuery(domain, query) {
+    let { id, buf } = encodeUDPQuery(domain, query);
+    buf[2] &= ~(DNS_PACKET.RECURSION_DESIRED >> 8);
+    return { id, buf };
+}
+
+/**
+ * Check that a response answers the query we sent: the transaction ID,
+ * QNAME (including its case) and QTYPE all have to match.
+ *
+ * @param {number[]|Uint8Array} responseBytes
+ * @param {"udp"|"tcp"|"doh"|"dot"} transport
+ * @param {{id: number, domain: string, rrtype: string}} query
+ * @returns {string|null} A STUDY_ERROR_*_MISMATCH reason, or null if the response matches
+ */
+function checkResponse(responseBytes, transport, { id, domain, rrtype }) {
+    let errors = MISMATCH_ERRORS[transport];
+    let buf = Buffer.from(responseBytes);
+    // TCP messages have a 2-byte length prefix
+    let offset = STREAM_TRANSPORTS.includes(transport) ? 2 : 0;
+
+    if (buf.length < offset + 12 || buf.readUInt16BE(offset) !== id) {
+        return errors.txid;
+    }
+
+    let question;
+    try {
+        question = DNS_PACKET.question.decode(buf, offset + 12);
+    } catch(e) {
+        return errors.qname;
+    }
+    if (question.name !== domain) {
+        return errors.qname;
+    }
+    if (question.type !== rrtype) {
+        return errors.qtype;
+    }
+    return null;
+}
+
+/**
+ * Save a response that doesn't answer the query it was received for, so
+ * that forged responses show up in the data
+ */
+function saveMismatchedResponse(key, responseBytes) {
+    dnsMismatchedData[key] = dnsMismatchedData[key] || [];
+    dnsMismatchedData[key].push(Array.from(responseBytes));
+}
+
+/**
+ * Record a failed attempt at a query in dnsQueryErrors, as an ErrorRecord
+ *
+ * @param {string} stage The phase the attempt had got to, for errors that
+ *   can happen in any phase
+ * @param {{reason: string, cause?: ?string}} error
+ * @param {number|null} nameserverIndex
+ * @param {number|null} sentAt When the attempt was sent, from Date.now(), null if it wasn't
+ */
+function recordError(key, transport, stage, { reason, cause = null }, nameserverIndex, sentAt) {
+    dnsQueryErrors.push({
+        reason,
+        errorRRTYPE: key,
+        errorAttempt: dnsAttempts[key],
+        phase: errorPhase(reason, stage),
+        transport,
+        nameserverIndex,
+        elapsed: sentAt === null ? null : Date.now() - sentAt,
+        cause
+    });
+}
+
+/**
+ * Add an attempt to a key's timeline. The outcome is the error code if the
+ * attempt failed, or else whether the response was truncated.
+ *
+ * @param {number|null} nameserverIndex Index of the nameserver in the list
+ *   we were given, null if the OS picked it
+ * @param {number} sentAt When the query was sent, from Date.now()
+ * @param {{responseBytes?: Uint8Array|number[]|null, error?: string|null, rtt?: number|null}} result
+ *   rtt defaults to the time until now if we got a response
+ */
+function recordAttempt(key, transport, nameserverIndex, sentAt, { responseBytes = null, error = null, rtt } = {}) {
+    let endedAt = Date.now();
+    let outcome = error;
+    if (!outcome) {
+        let message = responseBytes && STREAM_TRANSPORTS.includes(transport) ? responseBytes.slice(2) : responseBytes;
+        outcome = message && isTruncated(message) ? TIMELINE_TRUNCATED : TIMELINE_RESPONSE;
+    }
+    if (rtt === undefined) {
+        rtt = error ? null : endedAt - sentAt;
+    }
+    if (rtt !== null) {
+        rttEstimates[transport] = updateRTTEstimate(rttEstimates[transport], rtt);
+    }
+    dnsTimeline[key] = dnsTimeline[key] || [];
+    dnsTimeline[key].push([
+        nameserverIndex,
+        transport,
+        sentAt - measurementStart,
+        endedAt - measurementStart,
+        rtt,
+        responseBytes ? responseBytes.length : null,
+        outcome
+    ]);
+}
+
+/**
+ * The servers to try in each round, starting with the one after the one the
+ * previous query started with if the retry policy rotates
+ */
+function orderServers(servers, { rotate }) {
+    if (!rotate || !servers.length) {
+        return servers;
+    }
+    let start = rotateIndex++ % servers.length;
+    return [...servers.slice(start), ...servers.slice(0, start)];
+}
 
 const sendDNSQuery = {};
 /**
@@ -253,192 +629,492 @@ const sendDNSQuery = {};
  * they are not calling getaddrinfo().
  *
  * We let the underlying API handle re-transmissions and which nameserver is
- * used. We make sure that DoH is not used and that A records are queried,
- * rather than AAAA.
+ * used, and only try again, up to the webext retry policy's attempts, if it
+ * fails altogether. We make sure that DoH is not used and that only the
+ * requested address family is queried, i.e. A records unless AAAA was asked for.
  */
-sendDNSQuery.webext = async (key, domain) => {
-    let flags = ["bypass_cache", "disable_ipv6", "disable_trr"];
+sendDNSQuery.webext = async (key, domain, { rrtype }) => {
+    let flags = ["bypass_cache", rrtype === "AAAA" ? "disable_ipv4" : "disable_ipv6", "disable_trr"];
 
-    try {
-        dnsAttempts[key] = (dnsAttempts[key] || 0) + 1
+    for (let i = 0; i < retryPolicies.webext.attempts; i++) {
+        let sentAt = Date.now();
+        try {
+            dnsAttempts[key] = (dnsAttempts[key] || 0) + 1
 
-        let response = await browser.dns.resolve(domain, flags);
-        logDNSResponse(response.addresses, key, "webext", domain);
-        // If we don't already have a response saved in dnsData, save this one
-        if (!dnsData[key]) {
-            dnsData[key] = response.addresses;
+            let response = await browser.dns.resolve(domain, flags);
+            recordAttempt(key, "webext", null, sentAt);
+            logDNSResponse(response.addresses, key, "webext", domain);
+            // If we don't already have a response saved in dnsData, save this one
+            if (!dnsData[key]) {
+                dnsData[key] = response.addresses;
+            }
+            return;
+        } catch(e) {
+            logError(e, "DNS resolution failed");
+            let errorReason = STUDY_ERROR_UDP_WEBEXT;
+            recordAttempt(key, "webext", null, sentAt, { error: errorReason });
+            // dns.resolve() fails with the nsresult's name, e.g. NS_ERROR_UNKNOWN_HOST
+            let cause = /^NS_[A-Z_]+$/.test(e.message) ? e.message : e.name;
+            recordError(key, "webext", PHASE_RECEIVE, { reason: errorReason, cause: sanitizeCause(cause) }, null, sentAt);
         }
-        return;
-    } catch(e) {
-        logError(e, "DNS resolution failed");
-        let errorReason = STUDY_ERROR_UDP_WEBEXT;
-        dnsQueryErrors.push({reason: errorReason,
-                    errorRRTYPE: key,
-                    errorAttempt: dnsAttempts[key]});
     }
 };
 
 /**
- * Send a DNS query over UDP, re-transmitting according to default
- * resolvconf behavior if we fail to receive a response.
+ * Send a DNS query over UDP, re-transmitting according to the UDP retry
+ * policy, which follows the client's resolvconf options unless the
+ * measurement plan says otherwise, if we fail to receive a response.
+ *
+ * In short, we make at most attempts rounds through the nameservers we
+ * find. The timeout for each missing response starts at the policy's
+ * timeout (5000 ms by default), or an estimate from the RTTs seen so far if
+ * it is adaptive, and is multiplied by backoff each round, up to maxTimeout.
+ * If the policy rotates, each query starts with the nameserver after the one
+ * the previous query started with.
  *
- * In short, we re-transmit at most RESOLVCONF_ATTEMPTS for each nameserver
- * we find. The timeout for each missing response is RESOLVCONF_TIMEOUT
- * (5000 ms).
+ * If the response is truncated, we send the same query over TCP and record
+ * the TCP response under a linked key.
+ */
+sendDNSQuery.udp = (key, domain, query, nameservers) =>
+    sendDatagramQuery("udp", key, domain, query, nameservers, encodeUDPQuery, true);
+
+/**
+ * Send a DNS query over UDP straight to our authoritative servers, with RD
+ * cleared, re-transmitting the same way as sendDNSQuery.udp under the auth
+ * retry policy. Truncated responses aren't retried over TCP.
+ */
+sendDNSQuery.auth = (key, domain, query, nameservers) =>
+    sendDatagramQuery("auth", key, domain, query, nameservers, encodeAuthQuery, false);
+
+/**
+ * @param {"udp"|"auth"} transport
+ * @param {(domain: string, query: QueryConfig) => EncodedQuery} encode
+ * @param {boolean} fallBackOnTruncation Whether to retry truncated responses over TCP
  */
- sendDNSQuery.udp = async (key, domain, query, nameservers) => {
+async function sendDatagramQuery(transport, key, domain, query, nameservers, encode, fallBackOnTruncation) {
+    let responseBytes = await queryDatagramServers(transport, key, domain, query, nameservers, encode);
+    if (fallBackOnTruncation && responseBytes && isTruncated(responseBytes)) {
+        await fallBackToTCP(key, domain, query, nameservers);
+    }
+}
+
+/**
+ * Send a DNS query over UDP to each server in turn until one answers it
+ *
+ * @param {"udp"|"auth"} transport
+ * @param {(domain: string, query: QueryConfig) => EncodedQuery} encode
+ * @returns {Promise<Uint8Array|null>} The first response that answers the query, or null if none did
+ */
+async function queryDatagramServers(transport, key, domain, query, nameservers, encode) {
+    let errors = DATAGRAM_ERRORS[transport];
     let { rrtype } = query;
+    let policy = retryPolicies[transport];
 
-    logMessage("UDP: " + rrtype + "? " + domain + " " + key);
-    let queryBuf;
+    logMessage(transport.toUpperCase() + ": " + rrtype + "? " + domain + " " + key);
+    let id, queryBuf;
     try {
-        queryBuf = encodeUDPQuery(domain, query);
+        ({ id, buf: queryBuf } = encode(domain, query));
     } catch(e) {
-        sendTelemetry({reason: STUDY_ERROR_UDP_ENCODE});
-        throw new Error(STUDY_ERROR_UDP_ENCODE);
+        sendTelemetry({reason: errors.encode, errorRRTYPE: key, phase: PHASE_ENCODE, transport, cause: sanitizeCause(e.name)});
+        throw new Error(errors.encode);
     }
 
-    for (let i = 1; i <= RESOLVCONF_ATTEMPTS; i++) {
-        for (let nameserver of nameservers) {
+    let order = orderServers(nameservers, policy);
+
+    for (let round = 0; round < policy.attempts; round++) {
+        for (let nameserver of order) {
+            let timeout = attemptTimeout(policy, round, rttEstimates[transport]);
+            let sentAt = Date.now();
+            let nameserverIndex = nameservers.indexOf(nameserver);
+            let recorded = false;
+            let stage = PHASE_SEND;
             try {
                 dnsAttempts[key] = (dnsAttempts[key] || 0) + 1;
-                let responseBytes = await browser.experiments.udpsocket.sendDNSQuery(nameserver, queryBuf, rrtype);
-                logDNSResponse(responseBytes, key, "udp", domain);
+                let { response: responseBytes, mismatched, foreign = [], received } = await browser.experiments.udpsocket.sendDNSQuery(
+                    nameserver, queryBuf, rrtype, timeout, query.listenWindow || 0
+                );
+                stage = PHASE_PARSE;
+
+                // The experiment keeps waiting past packets that don't match
+                // the query. Record them, and find out what didn't match.
+                for (let packet of mismatched) {
+                    saveMismatchedResponse(key, packet);
+                    // The experiment also compares QCLASS, which we don't
+                    // have a separate reason for
+                    let errorReason = checkResponse(packet, transport, { id, domain, rrtype }) ||
+                        MISMATCH_ERRORS[transport].qname;
+                    recordError(key, transport, stage, { reason: errorReason }, nameserverIndex, sentAt);
+                }
+                // Packets from another address or port are set aside whatever
+                // they hold
+                for (let packet of foreign) {
+                    saveMismatchedResponse(key, packet);
+                    recordError(key, transport, stage, { reason: MISMATCH_ERRORS[transport].source }, nameserverIndex, sentAt);
+                }
+                if (!responseBytes) {
+                    throw new Error(STUDY_ERROR_UDP_QUERY_TIMEOUT);
+                }
+                // With a listening window, the experiment returns after the
+                // window closes, so take the RTT from when the response arrived
+                let firstMatch = received.find(({ matched }) => matched);
+                recordAttempt(key, transport, nameserverIndex, sentAt, {
+                    responseBytes,
+                    rtt: firstMatch ? firstMatch.offset : undefined
+                });
+                recorded = true;
+                logDNSResponse(responseBytes, key, transport, domain);
 
                 // If we don't already have a response saved in dnsData, save this one
                 if (!dnsData[key]) {
                     dnsData[key] = Array.from(responseBytes);
                 }
+                if (query.listenWindow) {
+                    dnsAllResponses[key] = received.map(({ data, offset, matched }) => ({
+                        data: Array.from(data),
+                        offset,
+                        matched
+                    }));
+                }
                 // If we didn't get an error, return.
                 // We don't need to re-transmit.
-                return;
+                return responseBytes;
             } catch(e) {
                 logError(e);
-                let errorReason;
-                if (e.message.startsWith("STUDY_ERROR_UDP")) {
-                    errorReason = e.message;
-                } else {
-                    errorReason = STUDY_ERROR_UDP_MISC;
+                let error = parseError(e, UDPSOCKET_ERROR_PREFIX, STUDY_ERROR_UDP_MISC);
+                error.reason = errors.prefix + error.reason.slice(UDPSOCKET_ERROR_PREFIX.length);
+                if (!recorded) {
+                    recordAttempt(key, transport, nameserverIndex, sentAt, { error: error.reason });
                 }
-                dnsQueryErrors.push({reason: errorReason,
-                            errorRRTYPE: key,
-                            errorAttempt: dnsAttempts[key]});
+                recordError(key, transport, stage, error, nameserverIndex, sentAt);
             }
         }
     }
-};
+    return null;
+}
 
 /**
- * Send a DNS query over TCP, re-transmitting to another nameserver if we
- * fail to receive a response. We let TCP handle re-transmissions.
+ * Send a DNS query over a TCP stream, plaintext or TLS, re-transmitting to
+ * another nameserver if we fail to receive a response, for as many rounds as
+ * the transport's retry policy allows. We let TCP handle re-transmissions
+ * within an attempt.
+ *
+ * @param {"tcp"|"dot"} transport
+ * @param {{port?: number, tls?: boolean}} socketOptions Passed to the tcpsocket experiment, along with the timeout
  */
-sendDNSQuery.tcp = async (key, domain, query, nameservers) => {
+async function sendStreamQuery(transport, key, domain, query, nameservers, socketOptions) {
+    let errors = STREAM_ERRORS[transport];
     let { rrtype } = query;
-    logMessage("TCP: " + rrtype + "? " + domain + " " + key);
-    let queryBuf;
+    logMessage(transport.toUpperCase() + ": " + rrtype + "? " + domain + " " + key);
+    let id, queryBuf;
     try {
-        queryBuf = encodeTCPQuery(domain, query);
+        ({ id, buf: queryBuf } = encodeTCPQuery(domain, query));
     } catch(e) {
-        sendTelemetry({reason: STUDY_ERROR_TCP_ENCODE});
-        throw new Error(STUDY_ERROR_TCP_ENCODE);
+        sendTelemetry({reason: errors.encode, errorRRTYPE: key, phase: PHASE_ENCODE, transport, cause: sanitizeCause(e.name)});
+        throw new Error(errors.encode);
     }
 
-    for (let nameserver of nameservers) {
+    let policy = retryPolicies[transport];
+    let order = orderServers(nameservers, policy);
+
+    for (let round = 0; round < policy.attempts; round++) {
+        for (let nameserver of order) {
+            let timeout = attemptTimeout(policy, round, rttEstimates[transport]);
+            let sentAt = Date.now();
+            let nameserverIndex = nameservers.indexOf(nameserver);
+            let responseBytes = null;
+            let stage = PHASE_SEND;
+            try {
+                dnsAttempts[key] = (dnsAttempts[key] || 0) + 1;
+                responseBytes = await browser.experiments.tcpsocket.sendDNSQuery(nameserver, queryBuf, { ...socketOptions, timeout });
+                stage = PHASE_PARSE;
+                let mismatch = checkResponse(responseBytes, transport, { id, domain, rrtype });
+                if (mismatch) {
+                    saveMismatchedResponse(key, responseBytes);
+                    throw new Error(mismatch);
+                }
+                recordAttempt(key, transport, nameserverIndex, sentAt, { responseBytes });
+                logDNSResponse(responseBytes, key, transport, domain);
+
+                // If we don't already have a response saved in dnsData, save this one
+                if (!dnsData[key]) {
+                    dnsData[key] = Array.from(responseBytes);
+                }
+                // If we didn't get an error, return.
+                // We don't need to re-transmit.
+                return;
+            } catch (e) {
+                logError(e);
+                let error = parseError(e, errors.prefix, errors.misc);
+                recordAttempt(key, transport, nameserverIndex, sentAt, { responseBytes, error: error.reason });
+                recordError(key, transport, stage, error, nameserverIndex, sentAt);
+            }
+        }
+    }
+}
+
+/**
+ * Send a DNS query over TCP to the client's nameservers
+ */
+sendDNSQuery.tcp = (key, domain, query, nameservers) =>
+    sendStreamQuery("tcp", key, domain, query, nameservers, { port: DNS_PORT, tls: false });
+
+/**
+ * Send a DNS query over TLS (RFC 7858) to the DoT server
+ */
+sendDNSQuery.dot = (key, domain, query) =>
+    sendStreamQuery("dot", key, domain, query, [dotServer], { port: DOT_PORT, tls: true });
+
+/**
+ * Send a DNS query to the DoH endpoint, as described in RFC 8484: with a GET
+ * request unless the query asks for POST. We let fetch() handle
+ * re-transmissions, abort the request when the DoH retry policy's timeout is
+ * up, and send it again for as many attempts as the policy allows.
+ */
+sendDNSQuery.doh = async (key, domain, query) => {
+    let { rrtype, dohMethod = "GET" } = query;
+    logMessage("DoH: " + rrtype + "? " + domain + " " + key);
+    let id, queryBuf;
+    try {
+        ({ id, buf: queryBuf } = encodeDoHQuery(domain, query));
+    } catch(e) {
+        sendTelemetry({reason: STUDY_ERROR_DOH_ENCODE, errorRRTYPE: key, phase: PHASE_ENCODE, transport: "doh", cause: sanitizeCause(e.name)});
+        throw new Error(STUDY_ERROR_DOH_ENCODE);
+    }
+
+    let url = dohEndpoint;
+    let options = {
+        method: dohMethod,
+        headers: {"Accept": DOH_CONTENT_TYPE},
+        cache: "no-store",
+        credentials: "omit"
+    };
+    if (dohMethod === "POST") {
+        options.headers["Content-Type"] = DOH_CONTENT_TYPE;
+        options.body = queryBuf;
+    } else {
+        // base64url without padding
+        let dns = queryBuf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+        url += (url.includes("?") ? "&" : "?") + "dns=" + dns;
+    }
+
+    let policy = retryPolicies.doh;
+    for (let round = 0; round < policy.attempts; round++) {
+        let controller = new AbortController();
+        let timer = setTimeout(() => controller.abort(), attemptTimeout(policy, round, rttEstimates.doh));
+        let sentAt = Date.now();
+        let responseBytes = null;
+        let stage = PHASE_SEND;
         try {
             dnsAttempts[key] = (dnsAttempts[key] || 0) + 1;
-            let responseBytes = await browser.experiments.tcpsocket.sendDNSQuery(nameserver, queryBuf);
-            logDNSResponse(responseBytes, key, "tcp", domain);
+            let response;
+            try {
+                response = await fetch(url, { ...options, signal: controller.signal });
+            } catch(e) {
+                // e.g. AbortError when the timeout is up
+                throw new Error(withCause(STUDY_ERROR_DOH_FETCH_FAILED, e.name));
+            }
+            stage = PHASE_RECEIVE;
+            if (!response.ok) {
+                throw new Error(withCause(STUDY_ERROR_DOH_HTTP_STATUS, response.status));
+            }
+            // Captive portals and filtering proxies answer with web pages
+            if (!(response.headers.get("Content-Type") || "").startsWith(DOH_CONTENT_TYPE)) {
+                throw new Error(STUDY_ERROR_DOH_CONTENT_TYPE);
+            }
+            try {
+                responseBytes = new Uint8Array(await response.arrayBuffer());
+            } catch(e) {
+                throw new Error(withCause(STUDY_ERROR_DOH_FETCH_FAILED, e.name));
+            }
+            stage = PHASE_PARSE;
+            let mismatch = checkResponse(responseBytes, "doh", { id, domain, rrtype });
+            if (mismatch) {
+                saveMismatchedResponse(key, responseBytes);
+                throw new Error(mismatch);
+            }
+            recordAttempt(key, "doh", 0, sentAt, { responseBytes });
+            logDNSResponse(responseBytes, key, "doh", domain);
 
             // If we don't already have a response saved in dnsData, save this one
             if (!dnsData[key]) {
                 dnsData[key] = Array.from(responseBytes);
             }
-            // If we didn't get an error, return.
-            // We don't need to re-transmit.
             return;
-        } catch (e) {
+        } catch(e) {
             logError(e);
-            let errorReason;
-            if (e.message.startsWith("STUDY_ERROR_TCP")) {
-                errorReason = e.message;
-            } else {
-                errorReason = STUDY_ERROR_TCP_MISC;
-            }
-            dnsQueryErrors.push({reason: errorReason,
-                        errorRRTYPE: key,
-                        errorAttempt: dnsAttempts[key]});
-
+            let error = parseError(e, "STUDY_ERROR_DOH", STUDY_ERROR_DOH_MISC);
+            recordAttempt(key, "doh", 0, sentAt, { responseBytes, error: error.reason });
+            recordError(key, "doh", stage, error, 0, sentAt);
+        } finally {
+            clearTimeout(timer);
         }
     }
 };
 
+/**
+ * Combine the options read from the client's resolv.conf with our defaults,
+ * clamping them the same way the libc resolver does.
+ *
+ * @param {{timeout?: number, attempts?: number, rotate?: boolean}} options timeout is in seconds
+ */
+function computeResolvConfOptions({ timeout, attempts, rotate } = {}) {
+    let options = { ...DEFAULT_RESOLVCONF_OPTIONS };
+    if (Number.isInteger(timeout)) {
+        options.timeout = Math.min(Math.max(timeout, 1) * 1000, RESOLVCONF_MAX_TIMEOUT);
+    }
+    if (Number.isInteger(attempts)) {
+        options.attempts = Math.min(Math.max(attempts, 1), RESOLVCONF_MAX_ATTEMPTS);
+    }
+    if (rotate) {
+        options.rotate = true;
+    }
+    return options;
+}
+
+/**
+ * Re-send a query whose UDP response was truncated over TCP
+ */
+async function fallBackToTCP(key, domain, query, nameservers) {
+    let fallbackKey = key + TCP_FALLBACK_KEY_SUFFIX;
+    logMessage("Truncated UDP response for " + key + ", retrying over TCP");
+
+    dnsQueryInfo[fallbackKey] = {
+        timestamp: Date.now(),
+        order: queryOrder++
+    };
+    dnsQueryDetails[fallbackKey] = { ...dnsQueryDetails[key], transport: "tcp" };
+    await sendDNSQuery.tcp(fallbackKey, domain, query, nameservers);
+    dnsTCPFallbacks[key] = {
+        fallbackKey,
+        fallbackSucceeded: Boolean(dnsData[fallbackKey])
+    };
+}
+
 /**
  * Read the client's nameservers from disk.
  * If on macOS, read /etc/resolv.comf.
+ * If on Linux, read /etc/resolv.conf, or systemd-resolved's upstream
+ * nameservers if resolv.conf only points at its stub listener.
  * If on Windows, read a registry.
+ *
+ * On macOS and Linux, also pick up the resolvconf options that control UDP
+ * re-transmissions.
  */
 async function readNameservers() {
     let nameservers = [];
+    let options;
     try {
         let platform = await browser.runtime.getPlatformInfo();
         if (platform.os == "mac") {
-            nameservers = await browser.experiments.resolvconf.readNameserversMac();
+            ({ nameservers, options, source: nameserversSource } = await browser.experiments.resolvconf.readNameserversMac());
+        } else if (platform.os == "linux") {
+            ({ nameservers, options, source: nameserversSource } = await browser.experiments.resolvconf.readNameserversLinux());
         } else if (platform.os == "win") {
             nameservers = await browser.experiments.resolvconf.readNameserversWin();
+            nameserversSource = NAMESERVERS_SOURCE_REGISTRY;
         } else {
-            sendTelemetry({reason: STUDY_ERROR_NAMESERVERS_OS_NOT_SUPPORTED});
-            throw new Error(STUDY_ERROR_NAMESERVERS_OS_NOT_SUPPORTED);
+            throw new Error(withCause(STUDY_ERROR_NAMESERVERS_OS_NOT_SUPPORTED, platform.os));
         }
     } catch(e) {
-        let errorReason;
-        if (e.message.startsWith("STUDY_ERROR_NAMESERVERS")) {
-            errorReason = e.message;
-        } else {
-            errorReason = STUDY_ERROR_NAMESERVERS_MISC;
-        }
-        sendTelemetry({reason: errorReason});
-        throw new Error(errorReason);
+        let { reason, cause } = parseError(e, "STUDY_ERROR_NAMESERVERS", STUDY_ERROR_NAMESERVERS_MISC);
+        sendTelemetry({reason, phase: PHASE_NAMESERVER, cause});
+        throw new Error(reason);
     }
 
     if (!(nameservers && nameservers.length)) {
-        sendTelemetry({reason: STUDY_ERROR_NAMESERVERS_NOT_FOUND});
+        sendTelemetry({reason: STUDY_ERROR_NAMESERVERS_NOT_FOUND, phase: PHASE_NAMESERVER});
         throw new Error(STUDY_ERROR_NAMESERVERS_NOT_FOUND);
     }
 
     for (let nameserver of nameservers) {
         let valid = IP_REGEX({exact: true}).test(nameserver);
         if (!valid) {
-            sendTelemetry({reason: STUDY_ERROR_NAMESERVERS_INVALID_ADDR});
+            sendTelemetry({reason: STUDY_ERROR_NAMESERVERS_INVALID_ADDR, phase: PHASE_NAMESERVER});
             throw new Error(STUDY_ERROR_NAMESERVERS_INVALID_ADDR);
         }
     }
 
+    resolvconfOptions = computeResolvConfOptions(options);
+    retryPolicies = computeRetryPolicies(resolvconfOptions, plan.retryPolicies);
+
     logMessage("Nameservers: " + nameservers);
     return nameservers;
 }
 
 /**
- * @param {"udp"|"tcp"|"webext"} transport
- * @param {QueryConfig} args
- * @param {boolean} [perClient]
- * @returns {string}
+ * Find our authoritative servers, if the plan has auth probes but doesn't
+ * list the servers: ask the client's nameservers for the NS records of the
+ * first apex domain, and the OS resolver for the addresses of the servers
+ * they name. If we can't find them, there are no auth queries.
+ *
+ * @param {{ipv4: string[], ipv6: string[]}} nameservers Nameservers grouped by address family
+ * @returns {Promise<string[]>}
  */
-function computeKey(transport, args, perClient) {
-    let tmp = transport + "-" + args.rrtype;
-    if (args.dnssec_ok) {
-        tmp += "DO";
+async function findAuthoritativeServers(nameservers) {
+    if (!expandPlan(plan).flat().some(({ transport }) => transport === "auth")) {
+        return [];
     }
-    if (args.checking_disabled) {
-        tmp += "CD";
+    let apexDomain = plan.apexDomains[0];
+    let { id, buf } = encodeUDPQuery(apexDomain, { rrtype: "NS" });
+    for (let nameserver of [...nameservers[IPV4], ...nameservers[IPV6]]) {
+        try {
+            let { response } = await browser.experiments.udpsocket.sendDNSQuery(
+                nameserver, buf, "NS", retryPolicies.udp.timeout, 0
+            );
+            if (!response || checkResponse(response, "udp", { id, domain: apexDomain, rrtype: "NS" })) {
+                continue;
+            }
+            let serverNames = DNS_PACKET.decode(Buffer.from(response)).answers
+                .filter(({ type, name }) => type === "NS" && name.toLowerCase() === apexDomain.toLowerCase())
+                .map(({ data }) => data);
+            let addresses = [];
+            for (let serverName of serverNames) {
+                try {
+                    addresses.push(...(await browser.dns.resolve(serverName, ["disable_trr"])).addresses);
+                } catch(e) {
+                    logError(e, "Couldn't resolve authoritative server " + serverName);
+                }
+            }
+            if (addresses.length) {
+                logMessage("Authoritative servers: " + addresses);
+                return [...new Set(addresses)];
+            }
+        } catch(e) {
+            logError(e, "Couldn't find the authoritative servers");
+        }
     }
-    if (args.noedns0) {
-        tmp += "-N";
+    return [];
+}
+
+/**
+ * Split nameservers by address family
+ * @param {string[]} nameservers
+ * @returns {{ipv4: string[], ipv6: string[]}}
+ */
+function groupNameservers(nameservers) {
+    return {
+        [IPV4]: nameservers.filter(nameserver => IP_REGEX.v4({exact: true}).test(nameserver)),
+        [IPV6]: nameservers.filter(nameserver => IP_REGEX.v6({exact: true}).test(nameserver))
+    };
+}
+
+/**
+ * Expand a query (or an ordered group of queries) into one query per
+ * address family we have servers for. Queries that don't go to the client's
+ * nameservers or our authoritative servers, e.g. webext, are left alone.
+ *
+ * @param {(transport: string) => {ipv4: string[], ipv6: string[]}} serversFor
+ */
+function expandAddressFamilies(entry, serversFor) {
+    if (Array.isArray(entry)) {
+        return [entry.flatMap(query => expandAddressFamilies(query, serversFor))];
     }
-    if (perClient) {
-        tmp += "-U";
+    if (!NAMESERVER_TRANSPORTS.includes(entry.transport)) {
+        return [entry];
     }
-
-    return tmp;
+    return [IPV4, IPV6]
+        .filter(family => serversFor(entry.transport)[family].length)
+        .map(family => ({ ...entry, family }));
 }
 
 /**
@@ -456,48 +1132,53 @@ function computeDomain(key, {prefix = "", perClientPrefix = "pc"}, perClient, do
 }
 
 /**
- * For each RR type that we have a DNS record for, attempt to send queries over
- * UDP and TCP.
+ * Send the queries in the measurement plan, in random order except within
+ * ordered groups, with up to the concurrency main() was given in flight at
+ * once. The queries of an ordered group are sent one after the other.
+ *
+ * @param {{ipv4: string[], ipv6: string[]}} nameservers Nameservers grouped by address family
+ * @param {{ipv4: string[], ipv6: string[]}} authoritativeServers Where auth queries go, grouped the same way
+ * @param {number} sleep Most seconds to wait at random before each query, or 0 not to
  */
-async function sendQueries(nameservers_ipv4, sleep) {
-    // Add queries for all transports, 1 shared 1 per client
-    let queries = [
-        { transport: "webext", perClient: false, query: { rrtype: "A" }},
-        { transport: "webext", perClient: true, query: { rrtype: "A" }},
-
-        { transport: "udp", perClient: false, query: {rrtype: "NEWONE"}},
-        { transport: "udp", perClient: true, query: {rrtype: "NEWONE"}},
-        { key: "udp-NEWONE-prefix", transport: "udp", prefix: "xyz", perClient: false, query: {rrtype: "NEWONE"}},
-
-        { key: "udp-NEWONE-alt", transport: "udp", domain: "dns-study.com", perClient: false, query: {rrtype: "NEWONE"}},
-        { key: "udp-NEWONE-alt-U", transport: "udp", domain: "dns-study.com", perClient: true, query: {rrtype: "NEWONE"}},
-        { key: "udp-NEWONE-alt-prefix", transport: "udp", domain: "dns-study.com", prefix: "xyz", perClient: false, query: {rrtype: "NEWONE"}},
+async function sendQueries(nameservers, authoritativeServers, sleep) {
+    let queries = expandPlan(plan);
+    let serversFor = transport => transport === "auth" ? authoritativeServers : nameservers;
 
-        [
-            { key: "webext-A-prefix", transport: "webext", prefix: "ccc", perClient: false, query: { rrtype: "A" }},
-            { key: "udp-NEWONE-afirst", transport: "udp", prefix: "ccc", perClient: false, query: {rrtype: "NEWONE"}},
-        ]
-    ];
+    // Send UDP, TCP and auth queries to both IPv4 and IPv6 servers
+    queries = queries.flatMap(entry => expandAddressFamilies(entry, serversFor));
 
     // Shuffle the order of the array of queries, and then send the queries
     shuffleArray(queries);
 
-    // Flatten the inner arrays
-    queries = queries.flat(1);
-
     // Reset all query state
     resetState();
 
-    // Send each query in series
-    for (let [index, {key: customKey, transport, query, perClient, domain: customDomain}] of queries.entries()) {
-        const key = customKey || computeKey(transport, query, perClient);
+    await schedule(queries, async ({key: customKey, transport, query, perClient, domain: customDomain, family, responseSize}) => {
+        let key = customKey || computeKey(transport, query, perClient);
+        // auth queries are compared with the same query over the
+        // recursive path
+        let twinKey = transport === "auth" ? computeKey("udp", query, perClient) : undefined;
+        if (family === IPV6) {
+            key += IPV6_KEY_SUFFIX;
+            twinKey = twinKey && twinKey + IPV6_KEY_SUFFIX;
+        }
         const domain = computeDomain(key, query, perClient, customDomain);
         let sendQuery = sendDNSQuery[transport];
 
-        // Record start time, order
+        // Record start time, and the order queries actually started in
         dnsQueryInfo[key] = {
             timestamp: Date.now(),
-            order: index
+            order: queryOrder++
+        };
+        dnsQueryDetails[key] = {
+            transport,
+            rrtype: query.rrtype,
+            domain,
+            family,
+            dnssecOk: !!query.dnssec_ok,
+            udpPayloadSize: query.udpPayloadSize || UDP_PAYLOAD_SIZE,
+            responseSize,
+            twinKey
         };
 
         // Actually send the query
@@ -505,24 +1186,141 @@ async function sendQueries(nameservers_ipv4, sleep) {
             key,
             domain,
             query,
-            nameservers_ipv4
+            family ? serversFor(transport)[family] : []
         )
+        if (lastProgressSave === null || Date.now() - lastProgressSave >= PROGRESS_SAVE_INTERVAL) {
+            lastProgressSave = Date.now();
+            await saveProgress();
+        }
 
         if (sleep) {
             await sleepRandom(sleep);
         }
+    }, concurrency);
+    measurementDuration = Date.now() - measurementStart;
+
+    // Save all of it, in case the measurement doesn't get to be queued
+    await saveProgress();
+}
+
+/**
+ * Switch to the signed remote measurement plan, if one is configured and it
+ * checks out. Otherwise we keep the plan we have.
+ *
+ * @param {{url: string, signingKey: JsonWebKey}} remotePlan
+ */
+async function loadRemotePlan({ url, signingKey } = {}) {
+    if (!url || !signingKey) {
+        return;
+    }
+    try {
+        let remote = await fetchSignedPlan(url, signingKey);
+        let problems = checkPlan(remote);
+        if (problems.length) {
+            logError("Invalid remote plan", problems);
+            throw new Error(STUDY_ERROR_PLAN_INVALID);
+        }
+        plan = remote;
+        planSource = "remote";
+        logMessage(`Using remote plan ${plan.id} v${plan.version}`);
+    } catch(e) {
+        logError(e, "Using the bundled plan");
+        remotePlanError = e.message.startsWith("STUDY_ERROR_PLAN") ? e.message : STUDY_ERROR_PLAN_INVALID;
     }
 }
 
 /**
- * Add an ID to telemetry that corresponds with this instance of our
- * measurement, i.e. a browser session
+ * Add the fields every ping has, which say what measurement it belongs to
+ * and what format it's in
  */
-function sendTelemetry(payload) {
+function identifyPayload(payload) {
+    payload.schemaVersion = PAYLOAD_SCHEMA_VERSION;
+    payload.measurementID = measurementID;
+    payload.trigger = runTrigger;
+    payload.networkID = networkID;
+    payload.planID = plan.id;
+    payload.planVersion = plan.version;
+    return payload;
+}
+
+/**
+ * Submit a ping that already says what measurement it belongs to, or if it
+ * doesn't match the data pipeline's schema, a STUDY_ERROR_PAYLOAD_INVALID
+ * ping saying where it didn't
+ *
+ * @returns {Promise<boolean>} Whether the ping was submitted
+ */
+async function submitPayload(payload) {
     logMessage("Sending telemetry ");
     logMessage(payload);
-    payload.measurementID = measurementID;
-    browser.telemetry.submitPing(TELEMETRY_TYPE, payload, TELEMETRY_OPTIONS);
+    let payloadErrors = checkPayload(payload);
+    if (payloadErrors.length) {
+        logError("Invalid payload", payloadErrors);
+        payload = identifyPayload({
+            reason: STUDY_ERROR_PAYLOAD_INVALID,
+            invalidReason: payload.reason,
+            payloadErrors: payloadErrors.slice(0, MAX_PAYLOAD_ERRORS)
+        });
+    }
+    try {
+        await browser.telemetry.submitPing(TELEMETRY_TYPE, payload, TELEMETRY_OPTIONS);
+    } catch (e) {
+        logError(e, "Couldn't submit ping");
+        return false;
+    }
+    return true;
+}
+
+function sendTelemetry(payload) {
+    return submitPayload(identifyPayload(payload));
+}
+
+/**
+ * The fields of a measurement's payload that can be sent before all of its
+ * queries are done
+ *
+ * @param {string} reason
+ */
+function measurementPayload(reason) {
+    let addonVersion;
+    try {
+        addonVersion = browser.runtime.getManifest().version
+    } catch (err) {
+        console.error(err);
+    }
+
+    return identifyPayload({
+        reason,
+        dnsData,
+        dnsMismatchedData,
+        dnsAllResponses,
+        dnsTCPFallbacks,
+        dnsAttempts,
+        dnsQueryInfo,
+        dnsTimeline,
+        dnsTimelineFields: TIMELINE_FIELDS,
+        concurrency,
+        hasErrors: dnsQueryErrors.length > 0,
+        dnsQueryErrors,
+        addonVersion,
+        apexDomain: plan.apexDomains[0],
+        dohEndpoint,
+        dotServer,
+        planSource,
+        remotePlanError,
+        nameserversSource,
+        nameserverCounts,
+        resolvconfOptions,
+        retryPolicies
+    });
+}
+
+/**
+ * Save what we have measured so far, to be sent as a
+ * STUDY_MEASUREMENT_INTERRUPTED ping if we don't get to finish
+ */
+async function saveProgress() {
+    await saveCheckpoint(browser.storage.local, encodePayload(measurementPayload(STUDY_MEASUREMENT_INTERRUPTED), payloadBudget));
 }
 
 async function fetchTest() {
@@ -532,19 +1330,50 @@ async function fetchTest() {
         const response = await fetch(FETCH_ENDPOINT, {cache: "no-store"});
         responseText = await response.text();
     } catch(e) {
-        sendTelemetry({reason: STUDY_ERROR_FETCH_FAILED});
+        sendTelemetry({reason: STUDY_ERROR_FETCH_FAILED, phase: PHASE_PREFLIGHT, cause: sanitizeCause(e.name)});
         throw new Error(STUDY_ERROR_FETCH_FAILED);
     }
     if (responseText !== EXPECTED_FETCH_RESPONSE) {
-        sendTelemetry({reason: STUDY_ERROR_FETCH_NOT_MATCHED});
+        sendTelemetry({reason: STUDY_ERROR_FETCH_NOT_MATCHED, phase: PHASE_PREFLIGHT});
         throw new Error(STUDY_ERROR_FETCH_NOT_MATCHED);
     }
 }
 
+/**
+ * Count this run towards the study's limits, or if the study is over, say so
+ * once and uninstall
+ *
+ * @param {Object} options
+ * @property {?string} studyConfigURL
+ * @property {Object} limits Overrides some of the study's DEFAULT_LIMITS
+ * @throws {Error} STUDY_ENDED
+ */
+async function startStudyRun({studyConfigURL, limits}) {
+    let studyConfig = {};
+    try {
+        studyConfig = await fetchStudyConfig(studyConfigURL);
+    } catch(e) {
+        logError(e, "Ignoring the study config");
+    }
+    let { state, endReason, justEnded } = await startRun(browser.storage.local, {
+        limits: {...DEFAULT_LIMITS, ...limits},
+        config: studyConfig
+    });
+    if (endReason) {
+        logMessage(`Study ended: ${endReason}`);
+        if (justEnded) {
+            await flushOutbox(browser.storage.local, submitPayload);
+            await sendTelemetry({reason: STUDY_ENDED, endReason, runCount: state.runs});
+        }
+        await browser.management.uninstallSelf();
+        throw new Error(STUDY_ENDED);
+    }
+}
+
 /**
  * Entry point for our measurements.
  */
-async function runMeasurement(details, sleep) {
+async function runMeasurement(details, {sleep, remotePlan, lifecycle}) {
     /**
      * Only proceed if we're not behind a captive portal, as determined by
      * browser.captivePortal.getState() and browser.captivePortal.onConnectivityAvailable.addListener().
@@ -559,44 +1388,56 @@ async function runMeasurement(details, sleep) {
     if ((captiveStatus !== "unlocked_portal") &&
         (captiveStatus !== "not_captive") &&
         (captiveStatus !== "clear")) {
-        sendTelemetry({reason: STUDY_ERROR_CAPTIVE_PORTAL_FAILED});
+        sendTelemetry({reason: STUDY_ERROR_CAPTIVE_PORTAL_FAILED, phase: PHASE_PREFLIGHT, cause: sanitizeCause(captiveStatus)});
         throw new Error(STUDY_ERROR_CAPTIVE_PORTAL_FAILED);
     }
 
     // After we've determine that we are online, run the fetch test
     await fetchTest();
 
+    // Only runs that get this far count towards the study's limits
+    await startStudyRun(lifecycle);
+
+    // Submit what earlier runs couldn't
+    await flushOutbox(browser.storage.local, submitPayload);
+
+    await loadRemotePlan(remotePlan);
+
     // Send a ping to indicate the start of the measurement
     sendTelemetry({reason: STUDY_START});
 
-    let nameservers_ipv4 = await readNameservers();
-    await sendQueries(nameservers_ipv4, sleep);
+    let nameservers = groupNameservers(await readNameservers());
+    nameserverCounts = {
+        [IPV4]: nameservers[IPV4].length,
+        [IPV6]: nameservers[IPV6].length
+    };
+    let authoritativeServers = plan.authoritativeServers || await findAuthoritativeServers(nameservers);
+    await sendQueries(nameservers, groupNameservers(authoritativeServers), sleep);
 
-    let addonVersion;
-    try {
-        addonVersion = browser.runtime.getManifest().version
-    } catch (err) {
-        console.error(err);
-    }
+    let { sizes: ednsSizes, largestDelivered: ednsLargestDelivered } = summarizeSizeProbes(dnsData, dnsQueryDetails);
+    let dnsSummary = classifyResponses(dnsData, dnsQueryDetails);
+    let dnssecValidation = await validateResponses(dnsData, dnsQueryDetails, plan.trustAnchors || []);
 
     // Mark the end of the measurement by sending the DNS responses to telemetry
     let payload = {
-        reason: STUDY_MEASUREMENT_COMPLETED,
-        measurementID,
-        dnsData,
-        dnsAttempts,
-        dnsQueryInfo,
-        hasErrors: dnsQueryErrors.length > 0,
-        dnsQueryErrors,
-        addonVersion,
-        apexDomain: APEX_DOMAIN_NAME
+        ...measurementPayload(STUDY_MEASUREMENT_COMPLETED),
+        dnsSummary,
+        dnsAuthPairs: pairAuthoritativeResponses(dnsSummary, dnsQueryDetails),
+        dnssecValidation,
+        ednsSizes,
+        ednsLargestDelivered,
+        measurementDuration
     };
 
-    // Run the fetch test one more time before submitting our measurements
+    // Keep the measurement, in as many parts as it takes to stay under the
+    // budget, until it's submitted
+    await queuePings(browser.storage.local, encodePayload(payload, payloadBudget));
+
+    // Run the fetch test one more time before submitting our measurements.
+    // If it fails, they're submitted on the next run instead
     await fetchTest();
 
-    // If we have passed the XHR test a second time, submit our measurements
-    sendTelemetry(payload);
+    await flushOutbox(browser.storage.local, submitPayload);
 }
 
 /**
@@ -604,9 +1445,41 @@ async function runMeasurement(details, sleep) {
  *
  * @param {Object} options
  * @property {string=} uiid A specific UUID to use (or else one is generated)
+ * @property {Object=} plan A measurement plan to use instead of the bundled one
+ * @property {{url: string, signingKey: JsonWebKey}=} remotePlan Where to look for a signed plan that replaces it, or {} not to
+ * @property {number=} concurrency How many queries to have in flight at once
+ * @property {number=} payloadBudget Largest STUDY_MEASUREMENT_COMPLETED ping to send, in bytes
+ * @property {string=} trigger What started this run: startup, interval or networkChange
+ * @property {?string=} networkID Salted ID of the network we're on, if we can tell
+ * @property {?string=} studyConfigURL Where to look for the study config, which can end the study
+ * @property {number=} captivePortalTimeout How long to wait behind a captive portal, in ms
+ * @property {Object=} limits Overrides some of the study's DEFAULT_LIMITS
  */
-async function main({uuid = uuidv4(), sleep = DEFAULT_MAX_SLEEP_TIME} = {}) {
+async function main({
+    uuid = uuidv4(),
+    sleep = DEFAULT_MAX_SLEEP_TIME,
+    concurrency: maxConcurrency = DEFAULT_CONCURRENCY,
+    payloadBudget: budget = DEFAULT_PAYLOAD_BUDGET,
+    plan: measurementPlan = BUNDLED_PLAN,
+    remotePlan = {url: REMOTE_PLAN_URL, signingKey: REMOTE_PLAN_SIGNING_KEY},
+    dohEndpoint: endpoint = DOH_ENDPOINT,
+    dotServer: server = DOT_SERVER,
+    trigger = "startup",
+    networkID: network = null,
+    studyConfigURL = STUDY_CONFIG_URL,
+    captivePortalTimeout = CAPTIVE_PORTAL_TIMEOUT,
+    limits = {}
+} = {}) {
     measurementID = uuid;
+    runTrigger = trigger;
+    networkID = network;
+    dohEndpoint = endpoint;
+    dotServer = server;
+    concurrency = maxConcurrency;
+    payloadBudget = budget;
+    plan = measurementPlan;
+    planSource = "bundled";
+    remotePlanError = null;
 
     // Turn on logging only if the add-on was installed temporarily
     loggingEnabled = (await browser.management.getSelf())?.installType === "development"
@@ -619,6 +1492,14 @@ async function main({uuid = uuidv4(), sleep = DEFAULT_MAX_SLEEP_TIME} = {}) {
         throw new Error(STUDY_ERROR_TELEMETRY_CANT_UPLOAD);
     }
 
+    // Don't run a measurement with a broken plan
+    let planErrors = checkPlan(plan);
+    if (planErrors.length) {
+        logError("Invalid plan", planErrors);
+        sendTelemetry({reason: STUDY_ERROR_PLAN_INVALID, phase: PHASE_PREFLIGHT, planErrors});
+        throw new Error(STUDY_ERROR_PLAN_INVALID);
+    }
+
     // Use the captive portal API to determine if we have Internet connectivity.
     // If we already have connectivity, run the measurement.
     // If not, wait until we get connectivity to run it.
@@ -627,7 +1508,7 @@ async function main({uuid = uuidv4(), sleep = DEFAULT_MAX_SLEEP_TIME} = {}) {
         captiveStatus = await browser.captivePortal.getState();
     } catch(e) {
         logMessage("Aborting, captive portal");
-        sendTelemetry({reason: STUDY_ERROR_CAPTIVE_PORTAL_API_DISABLED});
+        sendTelemetry({reason: STUDY_ERROR_CAPTIVE_PORTAL_API_DISABLED, phase: PHASE_PREFLIGHT, cause: sanitizeCause(e.name)});
         throw new Error(STUDY_ERROR_CAPTIVE_PORTAL_API_DISABLED);
     }
 
@@ -636,13 +1517,25 @@ async function main({uuid = uuidv4(), sleep = DEFAULT_MAX_SLEEP_TIME} = {}) {
     // unknown, not_captive, unlocked_portal, or locked_portal.
     if ((captiveStatus === "unlocked_portal") ||
         (captiveStatus === "not_captive")) {
-        await runMeasurement({status: captiveStatus}, sleep);
+        await runMeasurement({status: captiveStatus}, {sleep, remotePlan, lifecycle: {studyConfigURL, limits}});
         return;
     }
 
-    browser.captivePortal.onConnectivityAvailable.addListener(function listener(details) {
-        browser.captivePortal.onConnectivityAvailable.removeListener(listener);
-        runMeasurement(details, sleep);
+    // Resolve once that run is done, so that the next one can't overlap it,
+    // or give up on it if connectivity doesn't come back in time
+    await new Promise((resolve, reject) => {
+        let timer = setTimeout(() => {
+            browser.captivePortal.onConnectivityAvailable.removeListener(listener);
+            logMessage("Aborting, still behind a captive portal");
+            sendTelemetry({reason: STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT, phase: PHASE_PREFLIGHT, cause: sanitizeCause(captiveStatus)});
+            reject(new Error(STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT));
+        }, captivePortalTimeout);
+        function listener(details) {
+            clearTimeout(timer);
+            browser.captivePortal.onConnectivityAvailable.removeListener(listener);
+            runMeasurement(details, {sleep, remotePlan, lifecycle: {studyConfigURL, limits}}).then(resolve, reject);
+        }
+        browser.captivePortal.onConnectivityAvailable.addListener(listener);
     });
 }
 
@@ -653,11 +1546,17 @@ module.exports = {
     sendDNSQuery,
     encodeTCPQuery,
     encodeUDPQuery,
+    encodeDoHQuery,
+    encodeAuthQuery,
+    checkResponse,
     computeKey,
     computeDomain,
     TELEMETRY_TYPE,
     STUDY_START,
     STUDY_MEASUREMENT_COMPLETED,
+    STUDY_MEASUREMENT_INTERRUPTED,
+    STUDY_ENDED,
+    STUDY_CONFIG_URL,
     COMMON_QUERIES,
     EXPECTED_FETCH_RESPONSE,
     SMIMEA_HASH,
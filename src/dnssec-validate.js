@@ -0,0 +1,506 @@
+const DNS_PACKET = require("dns-packet");
+const DNS_TYPES = require("dns-packet/types");
+const { Buffer } = require("buffer");
+const { STREAM_TRANSPORTS } = require("./dns-classify");
+
+const SECURE = "secure";
+const INSECURE = "insecure";
+const BOGUS = "bogus";
+const INDETERMINATE = "indeterminate";
+
+const TYPE_CNAME = 5;
+const TYPE_DNAME = 39;
+const TYPE_DS = 43;
+const TYPE_RRSIG = 46;
+const TYPE_DNSKEY = 48;
+
+// Record types whose RDATA is a single domain name, which has to be
+// decompressed and lowercased for the canonical form (RFC 4034, section 6.2).
+// We can't validate other record types that embed names.
+const NAME_RDATA_TYPES = [2, TYPE_CNAME, 12, TYPE_DNAME];
+const OTHER_NAME_RDATA_TYPES = [6, 15, 17, 18, 21, 26, 33, 35, 36, 38, TYPE_RRSIG, 47];
+
+// DNSKEY flags
+const ZONE_KEY = 0x0100;
+
+/**
+ * The signing algorithms we can verify with WebCrypto
+ * (https://www.iana.org/assignments/dns-sec-alg-numbers)
+ */
+const ALGORITHMS = {
+    // RSA/SHA-256, with the public key in RFC 3110 format
+    8: {
+        async importKey(keyBytes) {
+            let exponentLength = keyBytes[0];
+            let offset = 1;
+            if (exponentLength === 0) {
+                exponentLength = keyBytes.readUInt16BE(1);
+                offset = 3;
+            }
+            let jwk = {
+                kty: "RSA",
+                e: base64url(keyBytes.slice(offset, offset + exponentLength)),
+                n: base64url(keyBytes.slice(offset + exponentLength))
+            };
+            return crypto.subtle.importKey("jwk", jwk, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+        },
+        params: { name: "RSASSA-PKCS1-v1_5" }
+    },
+    // ECDSA P-256/SHA-256 and P-384/SHA-384 (RFC 6605). The public key is
+    // x || y and the signature r || s, as WebCrypto expects.
+    13: {
+        importKey: keyBytes => importECDSAKey(keyBytes, "P-256"),
+        params: { name: "ECDSA", hash: "SHA-256" }
+    },
+    14: {
+        importKey: keyBytes => importECDSAKey(keyBytes, "P-384"),
+        params: { name: "ECDSA", hash: "SHA-384" }
+    }
+};
+
+// DS digest types (RFC 4509, RFC 6605)
+const DIGESTS = {
+    2: "SHA-256",
+    4: "SHA-384"
+};
+
+/**
+ * @typedef {Object} TrustAnchor
+ * @property {string} zone
+ * @property {number} keyTag
+ * @property {number} algorithm
+ * @property {number} digestType
+ * @property {string} digest - In hex
+ */
+
+/**
+ * @typedef {Object} Validation
+ * @property {"secure"|"insecure"|"bogus"|"indeterminate"} status
+ * @property {string=} reason - Why the response isn't secure
+ */
+
+function base64url(bytes) {
+    return Buffer.from(bytes).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function importECDSAKey(keyBytes, namedCurve) {
+    let raw = Buffer.concat([Buffer.from([0x04]), keyBytes]);
+    return crypto.subtle.importKey("raw", raw, { name: "ECDSA", namedCurve }, false, ["verify"]);
+}
+
+function normalizeName(name) {
+    return name.toLowerCase().replace(/\.$/, "");
+}
+
+function isSubdomain(name, zone) {
+    return zone === "" || name === zone || name.endsWith("." + zone);
+}
+
+/**
+ * Encode a domain name in canonical form: uncompressed and lowercase
+ */
+function canonicalName(name) {
+    let labels = normalizeName(name).split(".").filter(Boolean);
+    let parts = labels.map(label => {
+        let bytes = Buffer.from(label, "utf8");
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+function uint16(value) {
+    let buf = Buffer.alloc(2);
+    buf.writeUInt16BE(value, 0);
+    return buf;
+}
+
+function uint32(value) {
+    let buf = Buffer.alloc(4);
+    buf.writeUInt32BE(value, 0);
+    return buf;
+}
+
+/**
+ * Walk a DNS message and return its records with their RDATA as it was sent.
+ * We need the exact bytes to check signatures, so we don't rely on
+ * dns-packet's decoded records.
+ *
+ * @returns {{id: number, records: {section: string, name: string, type: number, class: number, ttl: number, rdata: Buffer}[]}}
+ */
+function parseMessage(responseBytes, transport) {
+    let buf = Buffer.from(responseBytes);
+    if (STREAM_TRANSPORTS.includes(transport)) {
+        buf = buf.slice(2);
+    }
+    let counts = [4, 6, 8, 10].map(offset => buf.readUInt16BE(offset));
+    let offset = 12;
+    for (let i = 0; i < counts[0]; i++) {
+        DNS_PACKET.name.decode(buf, offset);
+        offset += DNS_PACKET.name.decode.bytes + 4;
+    }
+
+    let records = [];
+    ["answer", "authority", "additional"].forEach((section, i) => {
+        for (let j = 0; j < counts[i + 1]; j++) {
+            let name = normalizeName(DNS_PACKET.name.decode(buf, offset));
+            offset += DNS_PACKET.name.decode.bytes;
+            let type = buf.readUInt16BE(offset);
+            let rrclass = buf.readUInt16BE(offset + 2);
+            let ttl = buf.readUInt32BE(offset + 4);
+            let rdlength = buf.readUInt16BE(offset + 8);
+            offset += 10;
+            if (offset + rdlength > buf.length) {
+                throw new Error("Truncated record");
+            }
+            let rdata = buf.slice(offset, offset + rdlength);
+            // Names in RDATA may be compressed against the rest of the message
+            if (NAME_RDATA_TYPES.includes(type)) {
+                rdata = canonicalName(DNS_PACKET.name.decode(buf, offset));
+            }
+            offset += rdlength;
+            records.push({ section, name, type, class: rrclass, ttl, rdata });
+        }
+    });
+    return { id: buf.readUInt16BE(0), records };
+}
+
+function parseRRSIG(rdata) {
+    let signerName = normalizeName(DNS_PACKET.name.decode(rdata, 18));
+    let signatureOffset = 18 + DNS_PACKET.name.decode.bytes;
+    return {
+        typeCovered: rdata.readUInt16BE(0),
+        algorithm: rdata[2],
+        labels: rdata[3],
+        originalTTL: rdata.readUInt32BE(4),
+        expiration: rdata.readUInt32BE(8),
+        inception: rdata.readUInt32BE(12),
+        keyTag: rdata.readUInt16BE(16),
+        signerName,
+        // The RDATA up to the signature, with the signer's name in canonical form
+        signedFields: Buffer.concat([rdata.slice(0, 18), canonicalName(signerName)]),
+        signature: rdata.slice(signatureOffset)
+    };
+}
+
+function parseDNSKEY(rdata) {
+    return {
+        flags: rdata.readUInt16BE(0),
+        protocol: rdata[2],
+        algorithm: rdata[3],
+        key: rdata.slice(4),
+        keyTag: computeKeyTag(rdata),
+        rdata
+    };
+}
+
+function parseDS(rdata) {
+    return {
+        keyTag: rdata.readUInt16BE(0),
+        algorithm: rdata[2],
+        digestType: rdata[3],
+        digest: rdata.slice(4)
+    };
+}
+
+/**
+ * Compute the key tag of a DNSKEY (RFC 4034, appendix B)
+ * @param {Buffer} rdata DNSKEY RDATA
+ */
+function computeKeyTag(rdata) {
+    let ac = 0;
+    for (let i = 0; i < rdata.length; i++) {
+        ac += i & 1 ? rdata[i] : rdata[i] << 8;
+    }
+    ac += (ac >> 16) & 0xffff;
+    return ac & 0xffff;
+}
+
+/**
+ * Check whether a DNSKEY matches a DS record (RFC 4034, section 5.1.4)
+ */
+async function matchesDS(owner, dnskey, ds) {
+    let hash = DIGESTS[ds.digestType];
+    if (!hash || ds.keyTag !== dnskey.keyTag || ds.algorithm !== dnskey.algorithm) {
+        return false;
+    }
+    let digest = Buffer.from(await crypto.subtle.digest(hash, Buffer.concat([canonicalName(owner), dnskey.rdata])));
+    return digest.equals(Buffer.from(ds.digest));
+}
+
+/**
+ * Verify an RRSIG over an RRset with a DNSKEY (RFC 4035, section 5.3)
+ *
+ * @param {{name: string, type: number, class: number, rdata: Buffer}[]} rrset
+ * @returns {Promise<string|null>} Why the signature doesn't verify, or null if it does
+ */
+async function verifyRRSIG(rrset, rrsig, dnskey, now) {
+    let algorithm = ALGORITHMS[rrsig.algorithm];
+    if (!algorithm) {
+        return "unsupported algorithm";
+    }
+    if (now > rrsig.expiration) {
+        return "signature expired";
+    }
+    if (now < rrsig.inception) {
+        return "signature not yet valid";
+    }
+
+    // Wildcard answers are signed with the wildcard as the owner
+    let owner = rrset[0].name;
+    let labels = owner.split(".").filter(Boolean);
+    if (rrsig.labels < labels.length) {
+        owner = "*." + labels.slice(labels.length - rrsig.labels).join(".");
+    }
+    let ownerHeader = Buffer.concat([
+        canonicalName(owner),
+        uint16(rrset[0].type),
+        uint16(rrset[0].class),
+        uint32(rrsig.originalTTL)
+    ]);
+    let rdatas = rrset.map(({ rdata }) => rdata).sort(Buffer.compare);
+    let signedData = Buffer.concat([
+        rrsig.signedFields,
+        ...rdatas
+            .filter((rdata, i) => i === 0 || !rdata.equals(rdatas[i - 1]))
+            .map(rdata => Buffer.concat([ownerHeader, uint16(rdata.length), rdata]))
+    ]);
+
+    try {
+        let key = await algorithm.importKey(dnskey.key);
+        let valid = await crypto.subtle.verify(algorithm.params, key, rrsig.signature, signedData);
+        return valid ? null : "bad signature";
+    } catch(e) {
+        return "bad key";
+    }
+}
+
+/**
+ * Find the RRsets of a type at a name in a message, with the RRSIGs that
+ * cover them
+ */
+function findRRset(message, name, type, section = "answer") {
+    let records = message.records.filter(record => record.section === section && record.name === name);
+    return {
+        rrset: records.filter(record => record.type === type),
+        rrsigs: records
+            .filter(record => record.type === TYPE_RRSIG)
+            .map(record => parseRRSIG(record.rdata))
+            .filter(rrsig => rrsig.typeCovered === type)
+    };
+}
+
+/**
+ * Validates responses using the DNSKEY and DS records found in all the
+ * responses we collected, so that a key fetched over one transport can be
+ * used to validate a response received over another.
+ */
+class Validator {
+    /**
+     * @param {Object[]} messages Parsed responses
+     * @param {TrustAnchor[]} trustAnchors
+     * @param {number} now In seconds since the epoch
+     */
+    constructor(messages, trustAnchors, now) {
+        this.messages = messages;
+        this.trustAnchors = trustAnchors.map(anchor => ({
+            ...anchor,
+            zone: normalizeName(anchor.zone),
+            digest: Buffer.from(anchor.digest, "hex")
+        }));
+        this.now = now;
+        this.zoneKeys = new Map();
+    }
+
+    /**
+     * Find the closest trust anchor zone for a name. The root zone is ""
+     * @returns {string|null}
+     */
+    anchorZone(name) {
+        let zones = this.trustAnchors.map(({ zone }) => zone).filter(zone => isSubdomain(name, zone));
+        return zones.sort((a, b) => b.length - a.length)[0] ?? null;
+    }
+
+    /**
+     * Validate an RRset with its RRSIGs, signed by a zone under our trust anchors
+     * @returns {Promise<Validation>}
+     */
+    async validateRRset(rrset, rrsigs, name) {
+        if (!rrsigs.length) {
+            return { status: BOGUS, reason: "missing RRSIG" };
+        }
+        let failure;
+        for (let rrsig of rrsigs) {
+            if (!isSubdomain(name, rrsig.signerName) || this.anchorZone(rrsig.signerName) === null) {
+                failure = failure || { status: BOGUS, reason: "bad signer" };
+                continue;
+            }
+            let zoneKeys = await this.keysFor(rrsig.signerName);
+            if (zoneKeys.status) {
+                failure = zoneKeys;
+                continue;
+            }
+            let dnskeys = zoneKeys.keys.filter(({ keyTag, algorithm }) => keyTag === rrsig.keyTag && algorithm === rrsig.algorithm);
+            if (!dnskeys.length) {
+                failure = failure || { status: BOGUS, reason: "no matching DNSKEY" };
+                continue;
+            }
+            for (let dnskey of dnskeys) {
+                let reason = await verifyRRSIG(rrset, rrsig, dnskey, this.now);
+                if (!reason) {
+                    return { status: SECURE };
+                }
+                failure = { status: reason === "unsupported algorithm" ? INDETERMINATE : BOGUS, reason };
+            }
+        }
+        return failure;
+    }
+
+    /**
+     * Find the DNSKEYs of a zone that chain up to a trust anchor
+     * @returns {Promise<{keys: Object[]}|Validation>}
+     */
+    keysFor(zone) {
+        if (!this.zoneKeys.has(zone)) {
+            this.zoneKeys.set(zone, this.findKeys(zone));
+        }
+        return this.zoneKeys.get(zone);
+    }
+
+    async findKeys(zone) {
+        let dsRecords = this.trustAnchors.filter(anchor => anchor.zone === zone);
+        if (!dsRecords.length) {
+            // Follow a delegation from the parent zone
+            let dsResult = await this.validatedRRset(zone, TYPE_DS);
+            if (dsResult.status) {
+                return dsResult.reason === "not found" ? { status: INDETERMINATE, reason: "no DS" } : dsResult;
+            }
+            dsRecords = dsResult.rrset.map(({ rdata }) => parseDS(rdata));
+        }
+
+        let dnskeySets = this.messages
+            .map(message => findRRset(message, zone, TYPE_DNSKEY))
+            .filter(({ rrset }) => rrset.length);
+        if (!dnskeySets.length) {
+            return { status: INDETERMINATE, reason: "no DNSKEY" };
+        }
+
+        let failure;
+        for (let { rrset, rrsigs } of dnskeySets) {
+            let dnskeys = rrset.map(({ rdata }) => parseDNSKEY(rdata)).filter(({ flags }) => flags & ZONE_KEY);
+            // The keys that the DS records vouch for
+            let entryKeys = [];
+            for (let dnskey of dnskeys) {
+                for (let ds of dsRecords) {
+                    if (await matchesDS(zone, dnskey, ds)) {
+                        entryKeys.push(dnskey);
+                        break;
+                    }
+                }
+            }
+            if (!entryKeys.length) {
+                failure = failure || { status: BOGUS, reason: "untrusted DNSKEY" };
+                continue;
+            }
+            // The DNSKEY RRset has to be signed by one of those
+            for (let rrsig of rrsigs) {
+                for (let dnskey of entryKeys.filter(({ keyTag }) => keyTag === rrsig.keyTag)) {
+                    let reason = await verifyRRSIG(rrset, rrsig, dnskey, this.now);
+                    if (!reason) {
+                        return { keys: dnskeys };
+                    }
+                    failure = { status: reason === "unsupported algorithm" ? INDETERMINATE : BOGUS, reason: "DNSKEY " + reason };
+                }
+            }
+            failure = failure || { status: BOGUS, reason: "unsigned DNSKEY" };
+        }
+        return failure;
+    }
+
+    /**
+     * Find a validated RRset of a type at a name in any of the responses
+     * @returns {Promise<{rrset: Object[]}|{status: string, reason: string}>}
+     */
+    async validatedRRset(name, type) {
+        let failure = { status: INDETERMINATE, reason: "not found" };
+        for (let message of this.messages) {
+            let { rrset, rrsigs } = findRRset(message, name, type);
+            if (!rrset.length) {
+                continue;
+            }
+            let result = await this.validateRRset(rrset, rrsigs, name);
+            if (result.status === SECURE) {
+                return { rrset };
+            }
+            failure = result;
+        }
+        return failure;
+    }
+}
+
+/**
+ * Check whether each response we collected would have validated, from the
+ * trust anchors in the measurement plan down.
+ *
+ * Responses for names outside every trust anchor are insecure. Responses to
+ * queries without the DO bit, without an answer of the queried type (e.g.
+ * CNAMEs and denials of existence), or signed with algorithms WebCrypto
+ * doesn't support are indeterminate.
+ *
+ * @param {Object<string, any>} dnsData Responses keyed by computeKey()
+ * @param {Object<string, {transport: string, rrtype: string, domain: string, dnssecOk?: boolean}>} queries
+ *   What was sent for each key
+ * @param {TrustAnchor[]} trustAnchors
+ * @param {number} [now] In ms since the epoch
+ * @returns {Promise<Object<string, Validation>>}
+ */
+async function validateResponses(dnsData, queries, trustAnchors, now = Date.now()) {
+    let messages = {};
+    for (let [key, responseBytes] of Object.entries(dnsData)) {
+        let query = queries[key];
+        if (!query || query.transport === "webext") {
+            continue;
+        }
+        try {
+            messages[key] = parseMessage(responseBytes, query.transport);
+        } catch(e) {
+            messages[key] = null;
+        }
+    }
+    let validator = new Validator(Object.values(messages).filter(Boolean), trustAnchors, Math.floor(now / 1000));
+
+    let results = {};
+    for (let [key, { transport, rrtype, domain, dnssecOk }] of Object.entries(queries)) {
+        if (transport === "webext") {
+            continue;
+        }
+        let name = normalizeName(domain);
+        let message = messages[key];
+        let type = DNS_TYPES.toType(rrtype);
+        if (message === undefined) {
+            results[key] = { status: INDETERMINATE, reason: "no response" };
+        } else if (message === null) {
+            results[key] = { status: INDETERMINATE, reason: "parse error" };
+        } else if (validator.anchorZone(name) === null) {
+            results[key] = { status: INSECURE, reason: "no trust anchor" };
+        } else if (!dnssecOk) {
+            results[key] = { status: INDETERMINATE, reason: "DO not set" };
+        } else if (OTHER_NAME_RDATA_TYPES.includes(type)) {
+            results[key] = { status: INDETERMINATE, reason: "unsupported record type" };
+        } else {
+            let { rrset, rrsigs } = findRRset(message, name, type);
+            results[key] = rrset.length
+                ? await validator.validateRRset(rrset, rrsigs, name)
+                : { status: INDETERMINATE, reason: "no answer" };
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    SECURE,
+    INSECURE,
+    BOGUS,
+    INDETERMINATE,
+    computeKeyTag,
+    validateResponses
+};
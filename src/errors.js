@@ -0,0 +1,127 @@
+/**
+ * Structured error records. Each failure is recorded with its stable code
+ * (the STUDY_ERROR_* reason), the phase it happened in, the transport and
+ * nameserver, how long into the attempt it happened, and what the platform
+ * said went wrong (the cause), so that failures can be broken down without
+ * guessing from the code alone.
+ */
+
+const PHASE_PREFLIGHT = "preflight";
+const PHASE_NAMESERVER = "nameserver";
+const PHASE_ENCODE = "encode";
+const PHASE_SEND = "send";
+const PHASE_RECEIVE = "receive";
+const PHASE_PARSE = "parse";
+
+// Separates an error code from its cause in the messages of the errors the
+// experiments throw, since an ExtensionError only carries a message
+const CAUSE_SEPARATOR = ": ";
+const MAX_CAUSE_LENGTH = 64;
+
+/**
+ * The phase each code always happens in, by the end of the code. Codes that
+ * aren't listed, e.g. *_MISC, can happen in any phase.
+ */
+const CODE_PHASES = [
+    ["_ENCODE", PHASE_ENCODE],
+    ["_CONNECTION_REFUSED", PHASE_SEND],
+    ["_NETWORK_TIMEOUT", PHASE_SEND],
+    ["_BYTES_WRITTEN", PHASE_SEND],
+    ["_HANDSHAKE", PHASE_SEND],
+    ["_CERTIFICATE", PHASE_SEND],
+    ["_QUERY_TIMEOUT", PHASE_RECEIVE],
+    ["_PREMATURE_CLOSE", PHASE_RECEIVE],
+    ["_NOT_ENOUGH_BYTES", PHASE_RECEIVE],
+    ["_TOO_MANY_BYTES", PHASE_RECEIVE],
+    ["_HTTP_STATUS", PHASE_RECEIVE],
+    ["_CONTENT_TYPE", PHASE_PARSE],
+    ["_MISMATCH", PHASE_PARSE]
+];
+
+/**
+ * @typedef {Object} ErrorRecord
+ * @property {string} reason The error's stable STUDY_ERROR_* code
+ * @property {string} errorRRTYPE The key of the query that failed
+ * @property {number} errorAttempt Which attempt at the query failed, from 1
+ * @property {string} phase One of the PHASE_* values
+ * @property {string} transport
+ * @property {?number} nameserverIndex Index of the nameserver in the list the query was sent to, null if the OS picked it
+ * @property {?number} elapsed ms from sending the attempt to the failure, null if it wasn't sent
+ * @property {?string} cause What the platform said went wrong, see sanitizeCause()
+ */
+
+/**
+ * Make a cause safe to send: error names and codes such as the TCPSocket
+ * error's name or an nsresult's, never messages, which can hold addresses or
+ * paths. Anything but letters, digits and _.:- is dropped.
+ *
+ * @param {*} cause
+ * @returns {?string}
+ */
+function sanitizeCause(cause) {
+    if (cause === undefined || cause === null || cause === "") {
+        return null;
+    }
+    let sanitized = String(cause).replace(/[^A-Za-z0-9_.:-]/g, "").slice(0, MAX_CAUSE_LENGTH);
+    return sanitized || null;
+}
+
+/**
+ * The message for an error with a code and a cause, as the experiments and
+ * their stand-ins in cli/ throw them
+ *
+ * @param {string} code
+ * @param {*} [cause]
+ * @returns {string}
+ */
+function withCause(code, cause) {
+    let sanitized = sanitizeCause(cause);
+    return sanitized ? code + CAUSE_SEPARATOR + sanitized : code;
+}
+
+/**
+ * Split an error into its code and cause. Errors whose message doesn't start
+ * with prefix get the misc code, and their name as the cause.
+ *
+ * @param {Error} e
+ * @param {string} prefix e.g. "STUDY_ERROR_UDP"
+ * @param {string} misc The code for errors we don't know
+ * @returns {{reason: string, cause: ?string}}
+ */
+function parseError(e, prefix, misc) {
+    let message = String(e?.message ?? "");
+    if (!message.startsWith(prefix)) {
+        return { reason: misc, cause: sanitizeCause(e?.name) };
+    }
+    let separator = message.indexOf(CAUSE_SEPARATOR);
+    if (separator === -1) {
+        return { reason: message, cause: null };
+    }
+    return {
+        reason: message.slice(0, separator),
+        cause: sanitizeCause(message.slice(separator + CAUSE_SEPARATOR.length))
+    };
+}
+
+/**
+ * @param {string} code
+ * @param {string} stage The phase we had got to when the error happened
+ * @returns {string} The phase the error happened in
+ */
+function errorPhase(code, stage) {
+    let known = CODE_PHASES.find(([suffix]) => code.endsWith(suffix));
+    return known ? known[1] : stage;
+}
+
+module.exports = {
+    PHASE_PREFLIGHT,
+    PHASE_NAMESERVER,
+    PHASE_ENCODE,
+    PHASE_SEND,
+    PHASE_RECEIVE,
+    PHASE_PARSE,
+    sanitizeCause,
+    withCause,
+    parseError,
+    errorPhase
+};
@@ -9,6 +9,11 @@
 
 var resolvconf = class resolvconf extends ExtensionAPI {
     static MAC_RESOLVCONF_PATH = "/etc/resolv.conf";
+    static LINUX_RESOLVCONF_PATH = "/etc/resolv.conf";
+    static SYSTEMD_RESOLVED_RESOLVCONF_PATH = "/run/systemd/resolve/resolv.conf";
+    static SYSTEMD_RESOLVED_STUB_ADDRS = ["127.0.0.53", "127.0.0.54"];
+    static NAMESERVERS_SOURCE_RESOLVCONF = "resolvconf";
+    static NAMESERVERS_SOURCE_SYSTEMD_RESOLVED = "systemd-resolved";
     static STUDY_ERROR_NAMESERVERS_FILE = "STUDY_ERROR_NAMESERVERS_FILE";
 
     constructor(...args) {
@@ -19,36 +24,106 @@ var resolvconf = class resolvconf extends ExtensionAPI {
     getAPI(context) {
         const {
             MAC_RESOLVCONF_PATH,
+            LINUX_RESOLVCONF_PATH,
+            SYSTEMD_RESOLVED_RESOLVCONF_PATH,
+            SYSTEMD_RESOLVED_STUB_ADDRS,
+            NAMESERVERS_SOURCE_RESOLVCONF,
+            NAMESERVERS_SOURCE_SYSTEMD_RESOLVED,
             STUDY_ERROR_NAMESERVERS_FILE
         } = resolvconf;
 
         const { ExtensionError } = ExtensionUtils;
         const { OS } = this;
 
+        // "CODE: name", as in src/errors.js, whose parseError() sanitizes the name
+        const withCause = (code, cause) => cause ? `${code}: ${cause}` : code;
+
+        /**
+         * Read a resolv.conf-formatted file from disk and return the
+         * addresses listed in its nameserver fields, along with the
+         * timeout (in seconds), attempts and rotate options if it sets them
+         */
+        async function readResolvConf(path) {
+            let nameservers = [];
+            let options = {};
+            let resolvconf_string;
+            try {
+                resolvconf_string = await OS.File.read(path, { "encoding": "utf-8" });
+            } catch(e) {
+                let cause = e.name;
+                if (e.becauseNoSuchFile) {
+                    cause = "NoSuchFile";
+                } else if (e.becauseAccessDenied) {
+                    cause = "AccessDenied";
+                }
+                throw new ExtensionError(withCause(STUDY_ERROR_NAMESERVERS_FILE, cause));
+            }
+
+            // IPv6 nameservers with a zone index (e.g. fe80::1%en0) are
+            // skipped, since we can't pass the zone to the socket APIs
+            let lines = resolvconf_string.split("\n");
+            for (let line of lines) {
+                let match = /^nameserver\s+([0-9a-fA-F.:]+)(\s|$)/.exec(line);
+                if (match) {
+                    nameservers.push(match[1]);
+                }
+
+                // Later options override earlier ones, as in the libc resolver
+                match = /^options\s+(.*)$/.exec(line);
+                if (match) {
+                    for (let option of match[1].trim().split(/\s+/)) {
+                        let [name, value] = option.split(":");
+                        if ((name === "timeout" || name === "attempts") && /^[0-9]+$/.test(value)) {
+                            options[name] = parseInt(value, 10);
+                        } else if (name === "rotate") {
+                            options.rotate = true;
+                        }
+                    }
+                }
+            }
+            return { nameservers, options };
+        }
+
         return {
             experiments: {
                 resolvconf: {
                     /**
-                     * If a client is on macOS, read nameservers from
-                     * /etc/resolv.conf
+                     * If a client is on macOS, read nameservers and options
+                     * from /etc/resolv.conf
                      */
                     async readNameserversMac() {
-                        let nameservers = [];
-                        let resolvconf_string;
-                        try {
-                            resolvconf_string = await OS.File.read(MAC_RESOLVCONF_PATH, { "encoding": "utf-8" });
-                        } catch(e) {
-                            throw new ExtensionError(STUDY_ERROR_NAMESERVERS_FILE);
-                        }
+                        let { nameservers, options } = await readResolvConf(MAC_RESOLVCONF_PATH);
+                        return {
+                            nameservers,
+                            options,
+                            source: NAMESERVERS_SOURCE_RESOLVCONF
+                        };
+                    },
 
-                        let lines = resolvconf_string.split("\n");
-                        for (let line of lines) {
-                            let match = /^nameserver\s+([0-9.]+)(\s|$)/.exec(line);
-                            if (match) {
-                                nameservers.push(match[1]);
-                            }
+                    /**
+                     * If a client is on Linux, read nameservers and options
+                     * from /etc/resolv.conf. If the only nameserver is the
+                     * systemd-resolved stub listener, read the upstream
+                     * nameservers that systemd-resolved is using instead,
+                     * since the stub is always on localhost. Options still
+                     * come from /etc/resolv.conf, since that's what the libc
+                     * resolver reads.
+                     */
+                    async readNameserversLinux() {
+                        let { nameservers, options } = await readResolvConf(LINUX_RESOLVCONF_PATH);
+                        if (nameservers.length === 1 &&
+                            SYSTEMD_RESOLVED_STUB_ADDRS.includes(nameservers[0])) {
+                            return {
+                                nameservers: (await readResolvConf(SYSTEMD_RESOLVED_RESOLVCONF_PATH)).nameservers,
+                                options,
+                                source: NAMESERVERS_SOURCE_SYSTEMD_RESOLVED
+                            };
                         }
-                        return nameservers;
+                        return {
+                            nameservers,
+                            options,
+                            source: NAMESERVERS_SOURCE_RESOLVCONF
+                        };
                     },
 
                     /**
@@ -60,12 +135,14 @@ var resolvconf = class resolvconf extends ExtensionAPI {
                         try {
                             let nameserversResult = Cc["@mozilla.org/network/network-link-service;1"].getService(Ci.nsINetworkLinkService).resolvers; 
                             for (let nameserver of nameserversResult) {
-                                if (nameserver.family === 1 && nameserver.address) {
+                                if ((nameserver.family === Ci.nsINetAddr.FAMILY_INET ||
+                                     nameserver.family === Ci.nsINetAddr.FAMILY_INET6) &&
+                                    nameserver.address && !nameserver.address.includes("%")) {
                                     nameservers.push(nameserver.address);
                                 }
                             }
                         } catch(e) {
-                            throw new ExtensionError(STUDY_ERROR_NAMESERVERS_FILE);
+                            throw new ExtensionError(withCause(STUDY_ERROR_NAMESERVERS_FILE, e.name));
                         }
                         return nameservers;
                     }
@@ -29,6 +29,14 @@ var tcpsocket = class tcpsocket extends ExtensionAPI {
     static STUDY_ERROR_TCP_NOT_ENOUGH_BYTES = "STUDY_ERROR_TCP_NOT_ENOUGH_BYTES";
     static STUDY_ERROR_TCP_TOO_MANY_BYTES = "STUDY_ERROR_TCP_TOO_MANY_BYTES";
     static STUDY_ERROR_TCP_QUERY_TIMEOUT = "STUDY_ERROR_TCP_QUERY_TIMEOUT";
+    static STUDY_ERROR_DOT_HANDSHAKE = "STUDY_ERROR_DOT_HANDSHAKE";
+    static STUDY_ERROR_DOT_CERTIFICATE = "STUDY_ERROR_DOT_CERTIFICATE";
+    static STUDY_ERROR_DOT_TIMEOUT = "STUDY_ERROR_DOT_TIMEOUT";
+    static STUDY_ERROR_DOT_CONNECTION_REFUSED = "STUDY_ERROR_DOT_CONNECTION_REFUSED";
+    static STUDY_ERROR_DOT_NETWORK_MISC = "STUDY_ERROR_DOT_NETWORK_MISC";
+    static STUDY_ERROR_DOT_NOT_ENOUGH_BYTES = "STUDY_ERROR_DOT_NOT_ENOUGH_BYTES";
+    static STUDY_ERROR_DOT_TOO_MANY_BYTES = "STUDY_ERROR_DOT_TOO_MANY_BYTES";
+    static DNS_PORT = 53;
 
     constructor(...args) {
         super(...args);
@@ -50,19 +58,62 @@ var tcpsocket = class tcpsocket extends ExtensionAPI {
             STUDY_ERROR_TCP_NOT_ENOUGH_BYTES,
             STUDY_ERROR_TCP_TOO_MANY_BYTES,
             STUDY_ERROR_TCP_QUERY_TIMEOUT,
+            STUDY_ERROR_DOT_HANDSHAKE,
+            STUDY_ERROR_DOT_CERTIFICATE,
+            STUDY_ERROR_DOT_TIMEOUT,
+            STUDY_ERROR_DOT_CONNECTION_REFUSED,
+            STUDY_ERROR_DOT_NETWORK_MISC,
+            STUDY_ERROR_DOT_NOT_ENOUGH_BYTES,
+            STUDY_ERROR_DOT_TOO_MANY_BYTES,
+            DNS_PORT,
         } = tcpsocket;
 
+        // Errors for plaintext and TLS connections. Over TLS, handshake
+        // failures and certificate errors get their own codes, so that DoT
+        // port blocking can be told apart from interception.
+        const ERRORS = {
+            plaintext: {
+                refused: STUDY_ERROR_TCP_CONNECTION_REFUSED,
+                networkTimeout: STUDY_ERROR_TCP_NETWORK_TIMEOUT,
+                networkMisc: STUDY_ERROR_TCP_NETWORK_MISC,
+                notEnoughBytes: STUDY_ERROR_TCP_NOT_ENOUGH_BYTES,
+                tooManyBytes: STUDY_ERROR_TCP_TOO_MANY_BYTES,
+                queryTimeout: STUDY_ERROR_TCP_QUERY_TIMEOUT
+            },
+            tls: {
+                refused: STUDY_ERROR_DOT_CONNECTION_REFUSED,
+                networkTimeout: STUDY_ERROR_DOT_TIMEOUT,
+                networkMisc: STUDY_ERROR_DOT_NETWORK_MISC,
+                notEnoughBytes: STUDY_ERROR_DOT_NOT_ENOUGH_BYTES,
+                tooManyBytes: STUDY_ERROR_DOT_TOO_MANY_BYTES,
+                queryTimeout: STUDY_ERROR_DOT_TIMEOUT,
+                SecurityProtocol: STUDY_ERROR_DOT_HANDSHAKE,
+                SecurityCertificate: STUDY_ERROR_DOT_CERTIFICATE
+            }
+        };
+
         const { ExtensionError } = ExtensionUtils;
         const { TCPSocket, setTimeout } = this;
 
+        // "CODE: name", as in src/errors.js, whose parseError() sanitizes the name
+        const withCause = (code, cause) => cause ? `${code}: ${cause}` : code;
+
         return {
             experiments: {
                 tcpsocket: {
                     /**
                      * Send a DNS query stored in buf over a TCP socket to a 
-                     * nameserver addressed by addr
+                     * nameserver addressed by addr. addr may be an IPv4 or
+                     * IPv6 address.
+                     *
+                     * With tls set, the connection is made with TLS, e.g.
+                     * for DNS-over-TLS on port 853.
+                     *
+                     * We give up after timeout ms, which defaults to
+                     * LONG_TIMEOUT.
                      */
-                    async sendDNSQuery(addr, buf) {
+                    async sendDNSQuery(addr, buf, { port = DNS_PORT, tls = false, timeout = LONG_TIMEOUT } = {}) {
+                        const errors = tls ? ERRORS.tls : ERRORS.plaintext;
                         let tcp_socket;
                         let closeHandler = {
                           close() {
@@ -81,7 +132,14 @@ var tcpsocket = class tcpsocket extends ExtensionAPI {
                              * If we get an 'error' event before an 'open' event, 
                              * throw an ExtensionError.
                              */
-                            tcp_socket = new TCPSocket(addr, 53, { binaryType: "arraybuffer" });
+                            try {
+                                tcp_socket = new TCPSocket(addr, port, {
+                                    binaryType: "arraybuffer",
+                                    useSecureTransport: tls
+                                });
+                            } catch (e) {
+                                throw new ExtensionError(withCause(errors.networkMisc, e.name));
+                            }
                             let responseBytes = await new Promise((resolve, reject) => {
                                 let data = new Uint8Array();
                                 let expectedLength;
@@ -96,7 +154,7 @@ var tcpsocket = class tcpsocket extends ExtensionAPI {
                                     if (data.length == expectedLength) {
                                         resolve(data);
                                     } else if (data.length > expectedLength) {
-                                        reject(new ExtensionError(STUDY_ERROR_TCP_TOO_MANY_BYTES));
+                                        reject(new ExtensionError(errors.tooManyBytes));
                                     }
                                 });
 
@@ -108,23 +166,28 @@ var tcpsocket = class tcpsocket extends ExtensionAPI {
 
                                 tcp_socket.onerror = ((event) => {
                                     if (event.name == "ConnectionRefusedError") {
-                                        reject(new ExtensionError(STUDY_ERROR_TCP_CONNECTION_REFUSED));
+                                        reject(new ExtensionError(errors.refused));
                                     } else if (event.name == "NetworkTimeoutError") {
-                                        reject(new ExtensionError(STUDY_ERROR_TCP_NETWORK_TIMEOUT));
+                                        reject(new ExtensionError(errors.networkTimeout));
+                                    } else if (tls && (event.message == "SecurityProtocol" || event.message == "SecurityCertificate")) {
+                                        // TLS errors carry their class as the message, and the
+                                        // specific error, e.g. SecurityUntrustedCertificateIssuerError,
+                                        // as the name
+                                        reject(new ExtensionError(withCause(errors[event.message], event.name)));
                                     } else {
-                                        reject(new ExtensionError(STUDY_ERROR_TCP_NETWORK_MISC)); 
+                                        reject(new ExtensionError(withCause(errors.networkMisc, event.name)));
                                     }
                                 });
 
                                 tcp_socket.onclose = ((event) => {
                                     if (data.length < expectedLength) {
-                                        reject(new ExtensionError(STUDY_ERROR_TCP_NOT_ENOUGH_BYTES));
+                                        reject(new ExtensionError(errors.notEnoughBytes));
                                     }
                                 });
 
                                 setTimeout(() => {
-                                    reject(new ExtensionError(STUDY_ERROR_TCP_QUERY_TIMEOUT));
-                                }, LONG_TIMEOUT);
+                                    reject(new ExtensionError(errors.queryTimeout));
+                                }, timeout);
                             });
                             return responseBytes;
                         } finally {
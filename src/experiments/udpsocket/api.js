@@ -12,6 +12,7 @@ var udpsocket = class udpsocket extends ExtensionAPI {
     static STUDY_ERROR_UDP_PREMATURE_CLOSE = "STUDY_ERROR_UDP_PREMATURE_CLOSE";
     static STUDY_ERROR_UDP_BYTES_WRITTEN = "STUDY_ERROR_UDP_BYTES_WRITTEN";
     static STUDY_ERROR_UDP_QUERY_TIMEOUT = "STUDY_ERROR_UDP_QUERY_TIMEOUT";
+    static STUDY_ERROR_UDP_MISC = "STUDY_ERROR_UDP_MISC";
 
     constructor(...args) {
         super(...args);
@@ -23,20 +24,83 @@ var udpsocket = class udpsocket extends ExtensionAPI {
             RESOLVCONF_TIMEOUT,
             STUDY_ERROR_UDP_PREMATURE_CLOSE,
             STUDY_ERROR_UDP_BYTES_WRITTEN,
-            STUDY_ERROR_UDP_QUERY_TIMEOUT
+            STUDY_ERROR_UDP_QUERY_TIMEOUT,
+            STUDY_ERROR_UDP_MISC
         } = udpsocket;
         const { ExtensionError } = ExtensionUtils;
         const { setTimeout } = this;
+
+        // "CODE: name", as in src/errors.js, whose parseError() sanitizes the name
+        const withCause = (code, cause) => cause ? `${code}: ${cause}` : code;
+
+        /**
+         * Check that a response answers the query we sent, i.e. that it has
+         * the same transaction ID and a byte-for-byte identical question
+         * section (so QNAME case, QTYPE and QCLASS all have to match)
+         */
+        function matchesQuery(query, response) {
+            // The question section starts after the 12-byte header and ends
+            // with the QNAME's root label, QTYPE and QCLASS
+            let questionEnd = 12;
+            while (questionEnd < query.length && query[questionEnd] !== 0) {
+                questionEnd += query[questionEnd] + 1;
+            }
+            questionEnd += 5;
+
+            if (response.length < questionEnd) {
+                return false;
+            }
+            if (response[0] !== query[0] || response[1] !== query[1]) {
+                return false;
+            }
+            for (let i = 12; i < questionEnd; i++) {
+                if (response[i] !== query[i]) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Whether a packet came from the nameserver we queried. Addresses
+         * are compared in lower case, and IPv4 ones may come back mapped to
+         * IPv6.
+         */
+        function fromNameserver(fromAddr, addr) {
+            let normalize = address => address.toLowerCase().replace(/^::ffff:(?=\d+\.)/, "");
+            return fromAddr.port === 53 && normalize(fromAddr.address) === normalize(addr);
+        }
+
         return {
             experiments: {
                 udpsocket: {
                     /**
                      * Send a DNS query stored in buf to a nameserver addresses by addr
-                     * over a UDP socket
+                     * over a UDP socket. addr may be an IPv4 or IPv6 address.
+                     * We give up after timeout ms, which defaults to
+                     * RESOLVCONF_TIMEOUT.
+                     *
+                     * Packets that don't answer the query (see matchesQuery)
+                     * are set aside and we keep waiting, and so are packets
+                     * from anywhere but addr, port 53, which are listed in
+                     * foreign rather than mismatched. Resolves to the first
+                     * matching response and the other packets received
+                     * before it. If only those arrive before the timeout,
+                     * response is null.
+                     *
+                     * If listenWindow is set, we keep listening for that many
+                     * ms after the first matching response, so that we see
+                     * injected responses racing the real one. Every packet we
+                     * receive is listed in received, in order of arrival, with
+                     * its offset in ms from when the query was sent.
                      */
-                    async sendDNSQuery(addr, buf) {
+                    async sendDNSQuery(addr, buf, rrtype, timeout = RESOLVCONF_TIMEOUT, listenWindow = 0) {
                         let written = 0;
-                        let responseBytes = new Uint8Array();
+                        let response = null;
+                        let mismatched = [];
+                        let foreign = [];
+                        let received = [];
+                        let sentAt;
                         let socket = Cc["@mozilla.org/network/udp-socket;1"].createInstance(Ci.nsIUDPSocket);
                         let closeHandler = {
                             close() {
@@ -50,31 +114,67 @@ var udpsocket = class udpsocket extends ExtensionAPI {
                         context.callOnClose(closeHandler);
 
                         try {
-                            // Initialize the UDP socket
-                            socket.init2("0.0.0.0", -1, Services.scriptSecurityManager.getSystemPrincipal(), true);
+                            // Initialize the UDP socket on the same address family as the nameserver
+                            let bindAddr = addr.includes(":") ? "::" : "0.0.0.0";
+                            try {
+                                socket.init2(bindAddr, -1, Services.scriptSecurityManager.getSystemPrincipal(), true);
+                            } catch (e) {
+                                // XPCOM exceptions are named after their nsresult
+                                throw new ExtensionError(withCause(STUDY_ERROR_UDP_MISC, e.name));
+                            }
 
                             // Set up a Promise that resolves when we get a response on the UDP socket
-                            responseBytes = await new Promise((resolve, reject) => {
+                            await new Promise((resolve, reject) => {
                                 socket.asyncListen({
                                     QueryInterface: ChromeUtils.generateQI([Ci.nsIUDPSocketListener]),
                                     onPacketReceived(aSocket, aMessage) {
-                                        resolve(aMessage.rawData);
+                                        let data = aMessage.rawData;
+                                        let fromServer = fromNameserver(aMessage.fromAddr, addr);
+                                        let matched = fromServer && matchesQuery(buf, data);
+                                        received.push({ data, offset: Date.now() - sentAt, matched });
+
+                                        if (!fromServer) {
+                                            foreign.push(data);
+                                        } else if (!matched) {
+                                            mismatched.push(data);
+                                        } else if (!response) {
+                                            response = data;
+                                            if (listenWindow > 0) {
+                                                setTimeout(resolve, listenWindow);
+                                            } else {
+                                                resolve();
+                                            }
+                                        }
                                     },
-                                    onStopListening(aSocket, aStatus) { 
-                                        reject(new ExtensionError(STUDY_ERROR_UDP_PREMATURE_CLOSE));
+                                    onStopListening(aSocket, aStatus) {
+                                        reject(new ExtensionError(withCause(STUDY_ERROR_UDP_PREMATURE_CLOSE, ChromeUtils.getXPCOMErrorName(aStatus))));
                                     }
                                 });
 
-                                written = socket.send(addr, 53, buf);
+                                sentAt = Date.now();
+                                try {
+                                    written = socket.send(addr, 53, buf);
+                                } catch (e) {
+                                    reject(new ExtensionError(withCause(STUDY_ERROR_UDP_BYTES_WRITTEN, e.name)));
+                                    return;
+                                }
                                 if (written != buf.length) {
                                     reject(new ExtensionError(STUDY_ERROR_UDP_BYTES_WRITTEN));
                                 }
 
                                 setTimeout(() => {
-                                    reject(new ExtensionError(STUDY_ERROR_UDP_QUERY_TIMEOUT));
-                                }, RESOLVCONF_TIMEOUT);
+                                    if (response) {
+                                        // We're listening for more responses
+                                        return;
+                                    }
+                                    if (mismatched.length || foreign.length) {
+                                        resolve();
+                                    } else {
+                                        reject(new ExtensionError(STUDY_ERROR_UDP_QUERY_TIMEOUT));
+                                    }
+                                }, timeout);
                             });
-                            return responseBytes;
+                            return { response, mismatched, foreign, received };
                         } finally {
                             context.forgetOnClose(closeHandler);
                             closeHandler.close();
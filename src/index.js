@@ -1,3 +1,5 @@
 const { main } = require("./dns-test");
+const { scheduleMeasurements } = require("./triggers");
 
-main();
+// A new measurement, with its own measurementID, each time
+scheduleMeasurements(({ trigger, networkID }) => main({ trigger, networkID }));
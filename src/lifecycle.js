@@ -0,0 +1,168 @@
+/**
+ * How long the study goes on for. We count runs and remember the first one in
+ * browser.storage.local, and end the study once it has run too often, for too
+ * long or past its expiry date, or when the remote study config says to.
+ */
+
+const STUDY_ENDED = "STUDY_ENDED";
+const STUDY_ERROR_CONFIG_FETCH_FAILED = "STUDY_ERROR_CONFIG_FETCH_FAILED";
+
+const END_MAX_RUNS = "maxRuns";
+const END_MAX_DAYS = "maxDays";
+const END_EXPIRED = "expired";
+const END_KILL_SWITCH = "killSwitch";
+
+const LIFECYCLE_KEY = "lifecycle";
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} StudyLimits
+ * @property {number} maxRuns How many measurements to run, at most
+ * @property {number} maxDays How many days after the first run to keep measuring
+ * @property {?string} expires ISO 8601 date after which not to measure, or null for none
+ */
+
+/** @type {StudyLimits} */
+const DEFAULT_LIMITS = {
+    maxRuns: 100,
+    maxDays: 60,
+    expires: "2027-04-01T00:00:00Z"
+};
+
+/**
+ * @typedef {Object} StudyConfig
+ * @property {boolean=} enabled false to end the study now
+ * @property {number=} maxRuns
+ * @property {string=} expires
+ */
+
+/**
+ * @typedef {Object} LifecycleState
+ * @property {number} firstRun When the first run started, in ms since the epoch
+ * @property {number} runs How many runs have started
+ * @property {?string} ended Why the study ended, one of the END_* values, or null if it hasn't
+ */
+
+/**
+ * Fetch the remote study config. It isn't signed, so it can only end the
+ * study sooner: see applyStudyConfig(). Fields that don't make sense are
+ * ignored.
+ *
+ * @param {?string} url
+ * @returns {Promise<StudyConfig>}
+ * @throws {Error} STUDY_ERROR_CONFIG_FETCH_FAILED
+ */
+async function fetchStudyConfig(url) {
+    if (!url) {
+        return {};
+    }
+    let config;
+    try {
+        let response = await fetch(url, {cache: "no-store"});
+        if (!response.ok) {
+            throw new Error("Bad response status");
+        }
+        config = await response.json();
+    } catch(e) {
+        throw new Error(STUDY_ERROR_CONFIG_FETCH_FAILED);
+    }
+    if (typeof config !== "object" || config === null) {
+        return {};
+    }
+
+    let checked = {};
+    if (typeof config.enabled === "boolean") {
+        checked.enabled = config.enabled;
+    }
+    if (Number.isInteger(config.maxRuns) && config.maxRuns >= 0) {
+        checked.maxRuns = config.maxRuns;
+    }
+    if (typeof config.expires === "string" && !Number.isNaN(Date.parse(config.expires))) {
+        checked.expires = config.expires;
+    }
+    return checked;
+}
+
+/**
+ * Tighten limits with the remote study config's, where they're stricter
+ *
+ * @param {StudyLimits} limits
+ * @param {StudyConfig} config
+ * @returns {StudyLimits}
+ */
+function applyStudyConfig(limits, config) {
+    let applied = { ...limits };
+    if (config.maxRuns !== undefined) {
+        applied.maxRuns = Math.min(limits.maxRuns, config.maxRuns);
+    }
+    if (config.expires !== undefined &&
+        (limits.expires === null || Date.parse(config.expires) < Date.parse(limits.expires))) {
+        applied.expires = config.expires;
+    }
+    return applied;
+}
+
+/**
+ * @param {LifecycleState} state
+ * @param {StudyLimits} limits
+ * @param {StudyConfig} config
+ * @param {number} now In ms since the epoch
+ * @returns {?string} Why the study should end, or null to run again
+ */
+function checkLimits(state, limits, config, now) {
+    if (config.enabled === false) {
+        return END_KILL_SWITCH;
+    }
+    if (limits.expires !== null && now >= Date.parse(limits.expires)) {
+        return END_EXPIRED;
+    }
+    if (now - state.firstRun >= limits.maxDays * DAY) {
+        return END_MAX_DAYS;
+    }
+    if (state.runs >= limits.maxRuns) {
+        return END_MAX_RUNS;
+    }
+    return null;
+}
+
+/**
+ * Decide whether to run again, and count the run if so. Once the study has
+ * ended, it stays ended.
+ *
+ * @param {browser.storage.StorageArea} storage
+ * @param {Object} options
+ * @param {StudyLimits} options.limits
+ * @param {StudyConfig} options.config
+ * @param {number} [options.now] In ms since the epoch
+ * @returns {Promise<{state: LifecycleState, endReason: ?string, justEnded: boolean}>}
+ * endReason is why the study is over, or null to measure. justEnded is true
+ * the first time the study is found to be over.
+ */
+async function startRun(storage, { limits, config, now = Date.now() }) {
+    let { [LIFECYCLE_KEY]: state = { firstRun: now, runs: 0, ended: null } } = await storage.get(LIFECYCLE_KEY);
+    if (state.ended) {
+        return { state, endReason: state.ended, justEnded: false };
+    }
+
+    let endReason = checkLimits(state, applyStudyConfig(limits, config), config, now);
+    if (endReason) {
+        state = { ...state, ended: endReason };
+    } else {
+        state = { ...state, runs: state.runs + 1 };
+    }
+    await storage.set({ [LIFECYCLE_KEY]: state });
+    return { state, endReason, justEnded: endReason !== null };
+}
+
+module.exports = {
+    STUDY_ENDED,
+    STUDY_ERROR_CONFIG_FETCH_FAILED,
+    END_MAX_RUNS,
+    END_MAX_DAYS,
+    END_EXPIRED,
+    END_KILL_SWITCH,
+    DEFAULT_LIMITS,
+    fetchStudyConfig,
+    applyStudyConfig,
+    startRun
+};
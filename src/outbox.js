@@ -0,0 +1,78 @@
+/**
+ * Pings that carry measurements are kept in browser.storage.local until
+ * they're submitted, so a measurement isn't lost when submitting fails, the
+ * final fetch test fails or the browser shuts down part way through. Whatever
+ * is left is submitted again the next time the study runs.
+ */
+
+const OUTBOX_KEY = "outbox";
+const CHECKPOINT_KEY = "checkpoint";
+// Give up on a ping after this many failed submissions
+const MAX_SUBMIT_RETRIES = 3;
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {Object} ping The payload to submit
+ * @property {number} retries How many times submitting it has failed
+ */
+
+/**
+ * Save the pings for the measurement in progress, replacing the ones saved
+ * before. If the measurement never finishes, the next flushOutbox() submits
+ * them as they are.
+ *
+ * @param {browser.storage.StorageArea} storage
+ * @param {Object[]} pings
+ */
+async function saveCheckpoint(storage, pings) {
+    await storage.set({ [CHECKPOINT_KEY]: pings });
+}
+
+/**
+ * Queue the pings for a finished measurement, in place of its checkpoint
+ *
+ * @param {browser.storage.StorageArea} storage
+ * @param {Object[]} pings
+ */
+async function queuePings(storage, pings) {
+    let { [OUTBOX_KEY]: outbox = [] } = await storage.get(OUTBOX_KEY);
+    outbox.push(...pings.map(ping => ({ ping, retries: 0 })));
+    await storage.set({ [OUTBOX_KEY]: outbox, [CHECKPOINT_KEY]: [] });
+}
+
+/**
+ * Submit the queued pings, and those of a checkpointed measurement that never
+ * finished. Each is submitted with the number of times submitting it failed
+ * before as retryCount. Those that fail again stay queued, up to
+ * MAX_SUBMIT_RETRIES times.
+ *
+ * @param {browser.storage.StorageArea} storage
+ * @param {function(Object): Promise<boolean>} submit Resolves to whether the ping was submitted
+ * @returns {Promise<number>} How many pings are still queued
+ */
+async function flushOutbox(storage, submit) {
+    let {
+        [OUTBOX_KEY]: outbox = [],
+        [CHECKPOINT_KEY]: checkpoint = []
+    } = await storage.get([OUTBOX_KEY, CHECKPOINT_KEY]);
+    let entries = outbox.concat(checkpoint.map(ping => ({ ping, retries: 0 })));
+
+    let remaining = [];
+    for (let { ping, retries } of entries) {
+        if (await submit({ ...ping, retryCount: retries })) {
+            continue;
+        }
+        if (retries + 1 < MAX_SUBMIT_RETRIES) {
+            remaining.push({ ping, retries: retries + 1 });
+        }
+    }
+    await storage.set({ [OUTBOX_KEY]: remaining, [CHECKPOINT_KEY]: [] });
+    return remaining.length;
+}
+
+module.exports = {
+    MAX_SUBMIT_RETRIES,
+    saveCheckpoint,
+    queuePings,
+    flushOutbox
+};
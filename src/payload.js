@@ -0,0 +1,270 @@
+const { Buffer } = require("buffer");
+const { validateSchema } = require("./schema-validate");
+const PAYLOAD_SCHEMA = require("./payload.schema.json");
+
+/**
+ * Version of the payload format, sent in every ping as schemaVersion. Bump it
+ * on every change to the format, along with payload.schema.json.
+ */
+const PAYLOAD_SCHEMA_VERSION = 9;
+
+/**
+ * The fields of the STUDY_MEASUREMENT_COMPLETED payload that are keyed by
+ * query key. When the payload is split, each key's entries in all of these go
+ * into the same part.
+ */
+const KEYED_FIELDS = [
+    "dnsData",
+    "dnsSummary",
+    "dnsAuthPairs",
+    "dnssecValidation",
+    "dnsMismatchedData",
+    "dnsAllResponses",
+    "dnsTCPFallbacks",
+    "ednsSizes",
+    "dnsAttempts",
+    "dnsQueryInfo",
+    "dnsTimeline"
+];
+// The keyed fields that hold raw responses or per-attempt detail
+const BULKY_FIELDS = ["dnsAllResponses", "dnsMismatchedData", "dnsTimeline", "dnsData"];
+/**
+ * The fields to drop, in order, from a key whose entries don't fit in a ping
+ * on their own: the bulky ones first, so that the summaries are the last to go
+ */
+const DROP_ORDER = [...BULKY_FIELDS, ...KEYED_FIELDS.filter(field => !BULKY_FIELDS.includes(field)), "dnsQueryErrors"];
+/**
+ * The fields every ping needs. Other fields that aren't keyed are dropped,
+ * largest first, if they don't fit in a ping on their own.
+ */
+const REQUIRED_FIELDS = ["reason", "measurementID", "schemaVersion"];
+// Room for the part and parts fields, whatever their values
+const PART_FIELDS_SIZE = Buffer.byteLength(JSON.stringify({ part: 9999, parts: 9999 }));
+
+function isBytes(value) {
+    return Array.isArray(value) && value.every(Number.isInteger);
+}
+
+function jsonSize(value) {
+    return Buffer.byteLength(JSON.stringify(value));
+}
+
+/**
+ * The responses of one ping, each stored once, as base64. The fields that
+ * hold responses refer to them by index.
+ */
+class ResponseTable {
+    constructor() {
+        this.responses = [];
+        this.indices = new Map();
+    }
+
+    /**
+     * @param {number[]} bytes
+     * @returns {number} Index of the response
+     */
+    add(bytes) {
+        let encoded = Buffer.from(bytes).toString("base64");
+        if (!this.indices.has(encoded)) {
+            this.indices.set(encoded, this.responses.length);
+            this.responses.push(encoded);
+        }
+        return this.indices.get(encoded);
+    }
+}
+
+/**
+ * A key's entries in each keyed field but the dropped ones, with its
+ * responses moved to table. webext responses are lists of addresses and are
+ * left as they are.
+ */
+function encodeEntries(payload, key, table, dropped = []) {
+    let entries = {};
+    for (let field of KEYED_FIELDS) {
+        let value = payload[field]?.[key];
+        if (value === undefined || dropped.includes(field)) {
+            continue;
+        }
+        if (field === "dnsData" && isBytes(value)) {
+            value = table.add(value);
+        } else if (field === "dnsMismatchedData") {
+            value = value.map(bytes => table.add(bytes));
+        } else if (field === "dnsAllResponses") {
+            value = value.map(response => ({ ...response, data: table.add(response.data) }));
+        }
+        entries[field] = value;
+    }
+    return entries;
+}
+
+/**
+ * Encode a STUDY_MEASUREMENT_COMPLETED payload compactly, splitting it into
+ * as many pings as it takes to keep each one under budget bytes of JSON.
+ *
+ * Responses are stored once per ping in dnsResponses, as base64, and
+ * dnsData, dnsMismatchedData and dnsAllResponses hold their indices there
+ * instead of the bytes. Each ping has all the fields that aren't per key,
+ * along with the keyed fields and dnsQueryErrors for some of the keys, and
+ * its part index and the number of parts.
+ *
+ * Nothing goes over budget: a key whose entries don't fit in a ping on their
+ * own loses fields in DROP_ORDER until they do, and the ping lists them in
+ * droppedEntries. The same goes for the fields that aren't keyed, which every
+ * ping lists in droppedFields.
+ *
+ * @param {Object} payload
+ * @param {number} budget In bytes
+ * @returns {Object[]} The pings to send, in order
+ */
+function encodePayload(payload, budget) {
+    let common = {};
+    for (let [field, value] of Object.entries(payload)) {
+        if (!KEYED_FIELDS.includes(field) && field !== "dnsQueryErrors") {
+            common[field] = value;
+        }
+    }
+    let errorsFor = key => (payload.dnsQueryErrors || []).filter(({ errorRRTYPE }) => errorRRTYPE === key);
+    let entriesSize = (key, entries, errors, responses) =>
+        Object.values(entries).reduce((sum, value) => sum + jsonSize(key) + jsonSize(value) + 2, 0) +
+        errors.reduce((sum, error) => sum + jsonSize(error) + 1, 0) +
+        responses.reduce((sum, response) => sum + jsonSize(response) + 1, 0);
+
+    // Keys in the order their queries started, then any others
+    let keys = new Set(Object.keys(payload.dnsQueryInfo || {}));
+    for (let field of KEYED_FIELDS) {
+        Object.keys(payload[field] || {}).forEach(key => keys.add(key));
+    }
+    (payload.dnsQueryErrors || []).forEach(({ errorRRTYPE }) => keys.add(errorRRTYPE));
+
+    let emptyPart = () => {
+        let part = { ...common, dnsQueryErrors: [], dnsResponses: [] };
+        KEYED_FIELDS.filter(field => field in payload).forEach(field => {
+            part[field] = {};
+        });
+        return part;
+    };
+    let baseSize = () => jsonSize(emptyPart()) + PART_FIELDS_SIZE;
+
+    let optional = Object.keys(common)
+        .filter(field => !REQUIRED_FIELDS.includes(field))
+        .sort((a, b) => jsonSize(common[b]) - jsonSize(common[a]));
+    while (baseSize() > budget && optional.length > 0) {
+        let field = optional.shift();
+        delete common[field];
+        common.droppedFields = [...(common.droppedFields || []), field];
+    }
+    // Room for a droppedEntries field in any part
+    let droppedSize = (key, dropped) => jsonSize({ droppedEntries: { [key]: dropped } });
+
+    // Greedily fill each part. The size of a key's entries is counted as if
+    // each were followed by a comma, so parts come out a little under budget.
+    let parts = [];
+    let part = emptyPart();
+    let table = new ResponseTable();
+    let base = baseSize();
+    let size = base;
+    for (let key of keys) {
+        // Drop fields until the key fits in a ping of its own
+        let dropped = [];
+        let droppable = DROP_ORDER.filter(field => field === "dnsQueryErrors"
+            ? errorsFor(key).length > 0
+            : payload[field]?.[key] !== undefined);
+        let aloneSize = () => {
+            let aloneTable = new ResponseTable();
+            let aloneEntries = encodeEntries(payload, key, aloneTable, dropped);
+            let aloneErrors = dropped.includes("dnsQueryErrors") ? [] : errorsFor(key);
+            return base + entriesSize(key, aloneEntries, aloneErrors, aloneTable.responses) +
+                (dropped.length > 0 ? droppedSize(key, dropped) : 0);
+        };
+        while (aloneSize() > budget && droppable.length > 0) {
+            dropped.push(droppable.shift());
+        }
+
+        let responseCount = table.responses.length;
+        let entries = encodeEntries(payload, key, table, dropped);
+        let errors = dropped.includes("dnsQueryErrors") ? [] : errorsFor(key);
+        let keySize = () => entriesSize(key, entries, errors, table.responses.slice(responseCount)) +
+            (dropped.length > 0 ? droppedSize(key, dropped) : 0);
+
+        if (size + keySize() > budget && size > base) {
+            part.dnsResponses = table.responses.slice(0, responseCount);
+            parts.push(part);
+            part = emptyPart();
+            table = new ResponseTable();
+            responseCount = 0;
+            entries = encodeEntries(payload, key, table, dropped);
+            size = base;
+        }
+        for (let [field, value] of Object.entries(entries)) {
+            part[field][key] = value;
+        }
+        part.dnsQueryErrors.push(...errors);
+        if (dropped.length > 0) {
+            part.droppedEntries = { ...part.droppedEntries, [key]: dropped };
+        }
+        size += keySize();
+    }
+    part.dnsResponses = table.responses;
+    parts.push(part);
+
+    return parts.map((part, index) => ({ ...part, part: index, parts: parts.length }));
+}
+
+/**
+ * Put the pings encodePayload() made back together into the payload they were
+ * made from, with the responses as lists of bytes again, minus anything that
+ * was dropped to stay under budget. For tests and analysis.
+ *
+ * @param {Object[]} pings All the parts, in any order
+ * @returns {Object}
+ */
+function decodePayload(pings) {
+    let sorted = [...pings].sort((a, b) => a.part - b.part);
+    let payload = {};
+    for (let ping of sorted) {
+        let decodeResponse = index => Array.from(Buffer.from(ping.dnsResponses[index], "base64"));
+        for (let [field, value] of Object.entries(ping)) {
+            if (field === "dnsResponses" || field === "part" || field === "parts") {
+                continue;
+            } else if (field === "dnsQueryErrors") {
+                payload.dnsQueryErrors = (payload.dnsQueryErrors || []).concat(value);
+            } else if (field === "droppedEntries") {
+                payload.droppedEntries = { ...payload.droppedEntries, ...value };
+            } else if (KEYED_FIELDS.includes(field)) {
+                payload[field] = payload[field] || {};
+                for (let [key, entry] of Object.entries(value)) {
+                    if (field === "dnsData" && Number.isInteger(entry)) {
+                        entry = decodeResponse(entry);
+                    } else if (field === "dnsMismatchedData") {
+                        entry = entry.map(decodeResponse);
+                    } else if (field === "dnsAllResponses") {
+                        entry = entry.map(response => ({ ...response, data: decodeResponse(response.data) }));
+                    }
+                    payload[field][key] = entry;
+                }
+            } else {
+                payload[field] = value;
+            }
+        }
+    }
+    return payload;
+}
+
+/**
+ * Check a payload against our schema for it, payload.schema.json, which
+ * allows only the fields we mean to send. dnssec-v1.schema.json is the data
+ * pipeline's own schema, which is generated upstream and not edited here.
+ *
+ * @param {Object} payload
+ * @returns {string[]} Problems found, as "path: problem", empty if the payload is valid
+ */
+function checkPayload(payload) {
+    return validateSchema(PAYLOAD_SCHEMA, payload);
+}
+
+module.exports = {
+    PAYLOAD_SCHEMA_VERSION,
+    encodePayload,
+    decodePayload,
+    checkPayload
+};
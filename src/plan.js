@@ -0,0 +1,619 @@
+const { Buffer } = require("buffer");
+const IP_REGEX = require("ip-regex");
+const { checkRetryPolicies } = require("./retry");
+const BUNDLED_PLAN = require("./measurement-plan.json");
+
+const STUDY_ERROR_PLAN_INVALID = "STUDY_ERROR_PLAN_INVALID";
+const STUDY_ERROR_PLAN_FETCH_FAILED = "STUDY_ERROR_PLAN_FETCH_FAILED";
+const STUDY_ERROR_PLAN_SIGNATURE = "STUDY_ERROR_PLAN_SIGNATURE";
+
+const TRANSPORTS = ["webext", "udp", "tcp", "doh", "dot", "auth"];
+const DOH_METHODS = ["GET", "POST"];
+const QUERY_FLAGS = ["dnssec_ok", "checking_disabled", "noedns0"];
+const QUERY_STRINGS = ["rrtype", "prefix", "perClientPrefix"];
+// The smallest value each integer query property may have
+const QUERY_INTEGERS = {listenWindow: 0, udpPayloadSize: 512};
+const PLAN_PROPERTIES = ["id", "version", "apexDomains", "authoritativeServers", "trustAnchors", "retryPolicies", "groups"];
+const GROUP_PROPERTIES = ["name", "ordered", "probes", "matrix", "sweep", "chain"];
+const GROUP_KINDS = ["probes", "matrix", "sweep", "chain"];
+const PROBE_PROPERTIES = ["key", "transport", "perClient", "domain", "responseSize", "query"];
+const MATRIX_PROPERTIES = ["transports", "perClient", "rrtypes", "exclude"];
+const SWEEP_PROPERTIES = ["query", "udpPayloadSizes", "responseSizes"];
+// What each property of a matrix exclude pattern may be
+const MATRIX_EXCLUDE_PROPERTIES = {
+    transport: value => TRANSPORTS.includes(value),
+    rrtype: value => typeof value === "string",
+    perClient: value => typeof value === "boolean",
+    key: value => typeof value === "string"
+};
+// The largest value each integer field of a DS record may have
+const TRUST_ANCHOR_INTEGERS = {keyTag: 65535, algorithm: 255, digestType: 255};
+// Probes over these go to resolvers run by third parties by default, which
+// mustn't see the per-client names that embed the measurement ID
+const THIRD_PARTY_TRANSPORTS = ["doh", "dot"];
+// browser.dns.resolve() can only look up addresses, and has no flags for
+// DO, CD or EDNS0
+const WEBEXT_RRTYPES = ["A", "AAAA"];
+
+const SMIMEA_HASH = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15";
+
+/**
+ * @typedef {import("./dns-test.js").QueryConfig} QueryConfig
+ */
+
+/**
+ * The queries that "matrix" groups send over each transport
+ * @type QueryConfig[]
+ */
+const COMMON_QUERIES = [
+    { rrtype: "SMIMEA", prefix: SMIMEA_HASH + "._smimecert", perClientPrefix: "_smimecert.pc"},
+    { rrtype: "HTTPS", prefix: "httpssvc", perClientPrefix: "httpssvc-pc"},
+    { rrtype: "A"},
+    { rrtype: "AAAA"},
+    { rrtype: "A", noedns0: true },
+    { rrtype: "A", checking_disabled: true },
+    { rrtype: "A", dnssec_ok: true },
+    { rrtype: "A", dnssec_ok: true, checking_disabled: true },
+    { rrtype: "DNSKEY", dnssec_ok: true },
+    { rrtype: "DS"},
+    { rrtype: "NEWONE"},
+    { rrtype: "NEWTWO"},
+    { rrtype: "NEWTHREE"},
+    { rrtype: "NEWFOUR"}
+];
+
+/**
+ * @typedef {Object} Probe
+ * @property {string=} key - Key for the results. Defaults to computeKey()
+ * @property {"webext"|"udp"|"tcp"|"doh"|"dot"|"auth"} transport
+ * @property {boolean=} perClient - Query a name unique to this client and measurement
+ * @property {string=} domain - One of the plan's apexDomains. Defaults to the first
+ * @property {number=} responseSize - Size of the response the name is set up to return, in bytes
+ * @property {QueryConfig} query
+ */
+
+/**
+ * @typedef {Object} Plan
+ * @property {string} id
+ * @property {number} version
+ * @property {string[]} apexDomains
+ * @property {string[]=} authoritativeServers - Addresses of the authoritative servers for apexDomains, for auth probes
+ * @property {TrustAnchor[]=} trustAnchors - DS records to validate responses from
+ * @property {Object<string, Partial<import("./retry.js").RetryPolicy>>=} retryPolicies - Per transport, changes to the default retry policy
+ * @property {Group[]} groups
+ */
+
+/**
+ * @typedef {Object} TrustAnchor
+ * @property {string} zone
+ * @property {number} keyTag
+ * @property {number} algorithm
+ * @property {number} digestType
+ * @property {string} digest - In hex
+ */
+
+/**
+ * @typedef {Object} Group
+ * @property {string=} name
+ * @property {boolean=} ordered - Send the probes one after the other, in order
+ * @property {Probe[]=} probes
+ * @property {Matrix=} matrix - Generate the probes from COMMON_QUERIES instead
+ * @property {Sweep=} sweep - Generate EDNS0 buffer size probes instead
+ * @property {true=} chain - Generate the probes that collect the DNSKEY and DS
+ *   records between the trust anchors and the apex domains instead
+ */
+
+/**
+ * Every combination of a query in COMMON_QUERIES, a transport and shared or
+ * per-client names. Each property narrows one dimension.
+ *
+ * @typedef {Object} Matrix
+ * @property {("webext"|"udp"|"tcp"|"doh"|"dot"|"auth")[]=} transports - Defaults to all of them
+ * @property {boolean[]=} perClient - Defaults to [false, true]
+ * @property {string[]=} rrtypes - Only queries of these types. Defaults to all of them
+ * @property {{transport?: string, rrtype?: string, perClient?: boolean, key?: string}[]=} exclude -
+ *   Leave out the probes that match every property of any of these
+ */
+
+/**
+ * UDP probes for every combination of an advertised EDNS0 UDP payload size
+ * and a name that returns a response of a known size. The name for a
+ * response size n is size-n under the apex domain.
+ *
+ * @typedef {Object} Sweep
+ * @property {QueryConfig} query - What to ask for at each name
+ * @property {number[]} udpPayloadSizes
+ * @property {number[]} responseSizes
+ */
+
+/**
+ * @param {"udp"|"tcp"|"webext"|"doh"|"dot"|"auth"} transport
+ * @param {QueryConfig} args
+ * @param {boolean} [perClient]
+ * @returns {string}
+ */
+function computeKey(transport, args, perClient) {
+    let tmp = transport + "-" + args.rrtype;
+    if (args.dnssec_ok) {
+        tmp += "DO";
+    }
+    if (args.checking_disabled) {
+        tmp += "CD";
+    }
+    if (args.noedns0) {
+        tmp += "-N";
+    }
+    if (args.udpPayloadSize) {
+        tmp += "-E" + args.udpPayloadSize;
+    }
+    if (args.dohMethod === "POST") {
+        tmp += "-POST";
+    }
+    if (perClient) {
+        tmp += "-U";
+    }
+
+    return tmp;
+}
+
+/**
+ * @param {Probe} probe
+ * @returns {string}
+ */
+function probeKey({ key, transport, query, perClient }) {
+    return key || computeKey(transport, query, perClient);
+}
+
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isSize(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function checkUnknownProperties(object, known, path) {
+    return Object.keys(object)
+        .filter(name => !known.includes(name))
+        .map(name => path ? `${path}.${name}: unknown property` : `${name}: unknown property`);
+}
+
+/**
+ * Check a probe against measurement-plan.schema.json
+ * @returns {string[]} Problems found
+ */
+function checkProbe(probe, path, apexDomains) {
+    if (!isObject(probe)) {
+        return [`${path}: not an object`];
+    }
+    let problems = [];
+    let { key, transport, perClient, domain, query } = probe;
+    if (key !== undefined && (typeof key !== "string" || !key)) {
+        problems.push(`${path}.key: not a string`);
+    }
+    if (!TRANSPORTS.includes(transport)) {
+        problems.push(`${path}.transport: unknown transport ${transport}`);
+    }
+    if (perClient !== undefined && typeof perClient !== "boolean") {
+        problems.push(`${path}.perClient: not a boolean`);
+    }
+    if (domain !== undefined && !apexDomains.includes(domain)) {
+        problems.push(`${path}.domain: ${domain} is not one of apexDomains`);
+    }
+    if (probe.responseSize !== undefined && !isSize(probe.responseSize)) {
+        problems.push(`${path}.responseSize: not a positive integer`);
+    }
+    problems.push(...checkUnknownProperties(probe, PROBE_PROPERTIES, path));
+    if (!isObject(query)) {
+        problems.push(`${path}.query: not an object`);
+        return problems;
+    }
+    if (!query.rrtype) {
+        problems.push(`${path}.query.rrtype: missing`);
+    }
+    for (let [name, value] of Object.entries(query)) {
+        if (QUERY_STRINGS.includes(name)) {
+            if (typeof value !== "string") {
+                problems.push(`${path}.query.${name}: not a string`);
+            }
+        } else if (QUERY_FLAGS.includes(name)) {
+            if (typeof value !== "boolean") {
+                problems.push(`${path}.query.${name}: not a boolean`);
+            }
+        } else if (name === "dohMethod") {
+            if (!DOH_METHODS.includes(value)) {
+                problems.push(`${path}.query.${name}: not one of ${DOH_METHODS.join(", ")}`);
+            }
+        } else if (name in QUERY_INTEGERS) {
+            if (!Number.isInteger(value) || value < QUERY_INTEGERS[name]) {
+                problems.push(`${path}.query.${name}: not an integer of at least ${QUERY_INTEGERS[name]}`);
+            }
+        } else {
+            problems.push(`${path}.query.${name}: unknown property`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check a matrix against measurement-plan.schema.json
+ * @returns {string[]} Problems found
+ */
+function checkMatrix(matrix, path) {
+    if (!isObject(matrix)) {
+        return [`${path}: not an object`];
+    }
+    let problems = [];
+    let { transports, perClient, rrtypes, exclude } = matrix;
+    if (transports !== undefined &&
+        !(Array.isArray(transports) && transports.every(transport => TRANSPORTS.includes(transport)))) {
+        problems.push(`${path}.transports: not a list of transports`);
+    }
+    if (perClient !== undefined &&
+        !(Array.isArray(perClient) && perClient.every(value => typeof value === "boolean"))) {
+        problems.push(`${path}.perClient: not a list of booleans`);
+    }
+    if (rrtypes !== undefined &&
+        !(Array.isArray(rrtypes) && rrtypes.every(rrtype => typeof rrtype === "string"))) {
+        problems.push(`${path}.rrtypes: not a list of record types`);
+    }
+    if (exclude !== undefined) {
+        if (!Array.isArray(exclude)) {
+            problems.push(`${path}.exclude: not a list`);
+        } else {
+            exclude.forEach((pattern, i) => {
+                if (!isObject(pattern) || !Object.entries(pattern).every(([name, value]) =>
+                    name in MATRIX_EXCLUDE_PROPERTIES && MATRIX_EXCLUDE_PROPERTIES[name](value))) {
+                    problems.push(`${path}.exclude[${i}]: not a probe pattern`);
+                }
+            });
+        }
+    }
+    problems.push(...checkUnknownProperties(matrix, MATRIX_PROPERTIES, path));
+    return problems;
+}
+
+/**
+ * Generate the probes for a matrix group. Only plain A and AAAA queries are
+ * sent over webext.
+ *
+ * @param {Matrix} matrix
+ * @returns {Probe[]}
+ */
+function expandMatrix({
+    transports = TRANSPORTS,
+    perClient: perClientValues = [false, true],
+    rrtypes,
+    exclude = []
+}) {
+    let probes = [];
+    for (let query of COMMON_QUERIES) {
+        if (rrtypes && !rrtypes.includes(query.rrtype)) {
+            continue;
+        }
+        for (let transport of transports) {
+            if (transport === "webext" &&
+                (!WEBEXT_RRTYPES.includes(query.rrtype) || QUERY_FLAGS.some(flag => query[flag]))) {
+                continue;
+            }
+            for (let perClient of perClientValues) {
+                let probe = { transport, perClient, query };
+                let properties = { transport, rrtype: query.rrtype, perClient, key: probeKey(probe) };
+                let excluded = exclude.some(pattern =>
+                    Object.entries(pattern).every(([name, value]) => properties[name] === value)
+                );
+                if (!excluded) {
+                    probes.push(probe);
+                }
+            }
+        }
+    }
+    return probes;
+}
+
+/**
+ * Check a sweep against measurement-plan.schema.json
+ * @returns {string[]} Problems found
+ */
+function checkSweep(sweep, path, apexDomains) {
+    if (!isObject(sweep)) {
+        return [`${path}: not an object`];
+    }
+    let { query, udpPayloadSizes, responseSizes } = sweep;
+    let problems = checkProbe({ transport: "udp", query }, path, apexDomains);
+    if (!Array.isArray(udpPayloadSizes) || !udpPayloadSizes.length ||
+        !udpPayloadSizes.every(size => isSize(size) && size >= QUERY_INTEGERS.udpPayloadSize)) {
+        problems.push(`${path}.udpPayloadSizes: not a list of sizes of at least ${QUERY_INTEGERS.udpPayloadSize}`);
+    }
+    if (!Array.isArray(responseSizes) || !responseSizes.length || !responseSizes.every(isSize)) {
+        problems.push(`${path}.responseSizes: not a list of sizes`);
+    }
+    problems.push(...checkUnknownProperties(sweep, SWEEP_PROPERTIES, path));
+    return problems;
+}
+
+/**
+ * Generate the probes for a sweep group
+ *
+ * @param {Sweep} sweep
+ * @returns {Probe[]}
+ */
+function expandSweep({ query, udpPayloadSizes, responseSizes }) {
+    return udpPayloadSizes.flatMap(udpPayloadSize => responseSizes.map(responseSize => {
+        let sizedQuery = { ...query, udpPayloadSize, prefix: `size-${responseSize}` };
+        return {
+            key: `${computeKey("udp", sizedQuery)}-R${responseSize}`,
+            transport: "udp",
+            perClient: false,
+            responseSize,
+            query: sizedQuery
+        };
+    }));
+}
+
+function normalizeZone(zone) {
+    return zone.toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * Generate the probes for a chain group: DNSKEY and DS queries with DO set
+ * for every zone from the closest trust anchor down to each apex domain, so
+ * that responses from the apex domains can be validated up to the anchor.
+ * The root zone is queried as ".".
+ *
+ * @param {string[]} apexDomains
+ * @param {TrustAnchor[]} trustAnchors
+ * @returns {Probe[]}
+ */
+function expandChain(apexDomains, trustAnchors) {
+    let anchorZones = trustAnchors.map(({ zone }) => normalizeZone(zone));
+    let probes = new Map();
+    let addProbe = (zone, rrtype) => {
+        let query = { rrtype, dnssec_ok: true };
+        let key = `${computeKey("udp", query)}-chain-${zone || "root"}`;
+        probes.set(key, { key, transport: "udp", perClient: false, domain: zone || ".", query });
+    };
+    for (let apexDomain of apexDomains) {
+        let labels = normalizeZone(apexDomain).split(".");
+        // From the apex domain up to the root
+        let zones = [...labels.map((label, i) => labels.slice(i).join(".")), ""];
+        let anchorIndex = zones.findIndex(zone => anchorZones.includes(zone));
+        if (anchorIndex === -1) {
+            continue;
+        }
+        for (let zone of zones.slice(0, anchorIndex + 1).reverse()) {
+            addProbe(zone, "DNSKEY");
+            if (zone !== zones[anchorIndex]) {
+                addProbe(zone, "DS");
+            }
+        }
+    }
+    return [...probes.values()];
+}
+
+function isTrustAnchor(anchor) {
+    return isObject(anchor) &&
+        typeof anchor.zone === "string" &&
+        Object.entries(TRUST_ANCHOR_INTEGERS).every(([prop, max]) =>
+            Number.isInteger(anchor[prop]) && anchor[prop] >= 0 && anchor[prop] <= max) &&
+        typeof anchor.digest === "string" && /^([0-9a-fA-F]{2})+$/.test(anchor.digest) &&
+        !checkUnknownProperties(anchor, ["zone", "digest", ...Object.keys(TRUST_ANCHOR_INTEGERS)]).length;
+}
+
+/**
+ * Check that a plan matches measurement-plan.schema.json, that no two
+ * probes would store their results under the same key, that no per-client
+ * names are sent over DoH or DoT, and that chain groups have trust anchors to
+ * start from.
+ *
+ * We check by hand rather than with a JSON schema validator because those
+ * compile schemas with eval(), which the add-on's CSP doesn't allow.
+ *
+ * @param {Plan} plan
+ * @returns {string[]} Problems found, empty if the plan is valid
+ */
+function checkPlan(plan) {
+    if (!isObject(plan)) {
+        return ["plan: not an object"];
+    }
+    let problems = [];
+    let { id, version, apexDomains, authoritativeServers, trustAnchors, retryPolicies, groups } = plan;
+    if (typeof id !== "string" || !id) {
+        problems.push("id: not a string");
+    }
+    if (!Number.isInteger(version) || version < 1) {
+        problems.push("version: not a positive integer");
+    }
+    if (!Array.isArray(apexDomains) || !apexDomains.length ||
+        !apexDomains.every(domain => typeof domain === "string" && domain)) {
+        problems.push("apexDomains: not a list of domains");
+        apexDomains = [];
+    }
+    if (authoritativeServers !== undefined &&
+        !(Array.isArray(authoritativeServers) &&
+          authoritativeServers.every(addr => IP_REGEX({exact: true}).test(addr)))) {
+        problems.push("authoritativeServers: not a list of IP addresses");
+    }
+    if (trustAnchors !== undefined) {
+        if (!Array.isArray(trustAnchors)) {
+            problems.push("trustAnchors: not a list");
+        } else {
+            trustAnchors.forEach((anchor, i) => {
+                if (!isTrustAnchor(anchor)) {
+                    problems.push(`trustAnchors[${i}]: not a DS record`);
+                }
+            });
+        }
+    }
+    let validTrustAnchors = Array.isArray(trustAnchors) ? trustAnchors.filter(isTrustAnchor) : [];
+    if (retryPolicies !== undefined) {
+        problems.push(...checkRetryPolicies(retryPolicies, "retryPolicies"));
+    }
+    problems.push(...checkUnknownProperties(plan, PLAN_PROPERTIES, ""));
+    if (!Array.isArray(groups)) {
+        problems.push("groups: not a list");
+        return problems;
+    }
+
+    let keys = new Set();
+    let checkKey = (probe, path) => {
+        let key = probeKey(probe);
+        if (keys.has(key)) {
+            problems.push(`${path}: duplicate key ${key}`);
+        }
+        if (probe.perClient && THIRD_PARTY_TRANSPORTS.includes(probe.transport)) {
+            problems.push(`${path}: ${key} would send a per-client name to a third-party resolver`);
+        }
+        keys.add(key);
+    };
+    groups.forEach((group, i) => {
+        let path = `groups[${i}]`;
+        if (!isObject(group)) {
+            problems.push(`${path}: not an object`);
+            return;
+        }
+        if (group.name !== undefined && typeof group.name !== "string") {
+            problems.push(`${path}.name: not a string`);
+        }
+        if (group.ordered !== undefined && typeof group.ordered !== "boolean") {
+            problems.push(`${path}.ordered: not a boolean`);
+        }
+        problems.push(...checkUnknownProperties(group, GROUP_PROPERTIES, path));
+        let kinds = GROUP_KINDS.filter(kind => group[kind] !== undefined);
+        if (kinds.length !== 1) {
+            problems.push(`${path}: needs exactly one of ${GROUP_KINDS.join(", ")}`);
+            return;
+        }
+        if (group.chain !== undefined) {
+            if (group.chain !== true) {
+                problems.push(`${path}.chain: not true`);
+            } else if (!validTrustAnchors.length) {
+                problems.push(`${path}.chain: no trustAnchors to validate up to`);
+            } else {
+                expandChain(apexDomains, validTrustAnchors).forEach(probe => checkKey(probe, `${path}.chain`));
+            }
+            return;
+        }
+        if (group.matrix !== undefined) {
+            let matrixProblems = checkMatrix(group.matrix, `${path}.matrix`);
+            problems.push(...matrixProblems);
+            if (!matrixProblems.length) {
+                expandMatrix(group.matrix).forEach(probe => checkKey(probe, `${path}.matrix`));
+            }
+            return;
+        }
+        if (group.sweep !== undefined) {
+            let sweepProblems = checkSweep(group.sweep, `${path}.sweep`, apexDomains);
+            problems.push(...sweepProblems);
+            if (!sweepProblems.length) {
+                expandSweep(group.sweep).forEach(probe => checkKey(probe, `${path}.sweep`));
+            }
+            return;
+        }
+        if (!Array.isArray(group.probes) || !group.probes.length) {
+            problems.push(`${path}.probes: not a list of probes`);
+            return;
+        }
+        group.probes.forEach((probe, j) => {
+            let probePath = `${path}.probes[${j}]`;
+            let probeProblems = checkProbe(probe, probePath, apexDomains);
+            problems.push(...probeProblems);
+            if (!probeProblems.length) {
+                checkKey(probe, probePath);
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * Turn a plan into the list of queries sendQueries() sends. Each probe in an
+ * unordered group is its own entry. Ordered groups become a single entry
+ * holding their probes in order. Matrix, sweep and chain groups are expanded
+ * first.
+ *
+ * @param {Plan} plan
+ * @returns {(Probe|Probe[])[]}
+ */
+function expandPlan({ apexDomains, trustAnchors = [], groups }) {
+    let withDomain = probe => ({ ...probe, domain: probe.domain || apexDomains[0] });
+    let expandGroup = ({ probes, matrix, sweep }) => {
+        if (probes) {
+            return probes;
+        }
+        if (matrix) {
+            return expandMatrix(matrix);
+        }
+        return sweep ? expandSweep(sweep) : expandChain(apexDomains, trustAnchors);
+    };
+    return groups.flatMap(group => {
+        let probes = expandGroup(group).map(withDomain);
+        return group.ordered ? [probes] : probes;
+    });
+}
+
+/**
+ * Fetch a plan and its detached signature (at the same URL plus ".sig"),
+ * and check the signature.
+ *
+ * The signature is an ECDSA P-256 signature with SHA-256 over the bytes of
+ * the plan, as raw r || s, in base64.
+ *
+ * @param {string} url
+ * @param {JsonWebKey} signingKey The public key, as a JWK
+ * @returns {Promise<Plan>}
+ */
+async function fetchSignedPlan(url, signingKey) {
+    let planText, signature;
+    try {
+        let [planResponse, signatureResponse] = await Promise.all([
+            fetch(url, {cache: "no-store"}),
+            fetch(url + ".sig", {cache: "no-store"})
+        ]);
+        if (!planResponse.ok || !signatureResponse.ok) {
+            throw new Error("Bad response status");
+        }
+        planText = await planResponse.text();
+        signature = Buffer.from((await signatureResponse.text()).trim(), "base64");
+    } catch(e) {
+        throw new Error(STUDY_ERROR_PLAN_FETCH_FAILED);
+    }
+
+    let verified = false;
+    try {
+        let key = await crypto.subtle.importKey(
+            "jwk", signingKey, { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]
+        );
+        verified = await crypto.subtle.verify(
+            { name: "ECDSA", hash: "SHA-256" }, key, signature, new TextEncoder().encode(planText)
+        );
+    } catch(e) {
+        verified = false;
+    }
+    if (!verified) {
+        throw new Error(STUDY_ERROR_PLAN_SIGNATURE);
+    }
+
+    try {
+        return JSON.parse(planText);
+    } catch(e) {
+        throw new Error(STUDY_ERROR_PLAN_INVALID);
+    }
+}
+
+module.exports = {
+    BUNDLED_PLAN,
+    COMMON_QUERIES,
+    SMIMEA_HASH,
+    STUDY_ERROR_PLAN_INVALID,
+    STUDY_ERROR_PLAN_FETCH_FAILED,
+    STUDY_ERROR_PLAN_SIGNATURE,
+    computeKey,
+    probeKey,
+    checkPlan,
+    expandMatrix,
+    expandSweep,
+    expandChain,
+    expandPlan,
+    fetchSignedPlan
+};
@@ -0,0 +1,183 @@
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} attempts - Rounds through the transport's servers (for DoH, the endpoint; for webext, the OS resolver)
+ * @property {number|null} timeout - Timeout of each attempt in the first round, in ms. null where the OS picks it
+ * @property {number} backoff - Factor the timeout is multiplied by on each later round
+ * @property {number|null} maxTimeout - Cap on the timeout, in ms. null where the OS picks it
+ * @property {boolean} rotate - Start each query with the server after the one the previous query started with
+ * @property {boolean} adaptive - Base the timeout on the RTTs seen so far over the transport, rather than on timeout
+ */
+
+// Long timeout just in case we don't receive enough data but the socket
+// doesn't close. The tcpsocket experiment uses the same one by default.
+const LONG_TIMEOUT = 60000;
+// The libc resolver caps the resolvconf timeout at RES_MAXRETRANS
+const UDP_MAX_TIMEOUT = 30000;
+// Adaptive timeouts never go below this, so that a few fast responses don't
+// make us give up on the slower ones
+const ADAPTIVE_MIN_TIMEOUT = 250;
+const MAX_ATTEMPTS = 5;
+
+const STREAM_POLICY = {
+    attempts: 1,
+    timeout: LONG_TIMEOUT,
+    backoff: 1,
+    maxTimeout: LONG_TIMEOUT,
+    rotate: false,
+    adaptive: false
+};
+
+/**
+ * What each transport does unless the measurement plan says otherwise. UDP
+ * (and auth, which goes over UDP) follows the client's resolvconf options on
+ * top of these; see computeRetryPolicies().
+ *
+ * @type {Object<string, RetryPolicy>}
+ */
+const DEFAULT_RETRY_POLICIES = {
+    udp: {
+        attempts: 3,
+        timeout: 5000,
+        backoff: 1,
+        maxTimeout: UDP_MAX_TIMEOUT,
+        rotate: false,
+        adaptive: false
+    },
+    auth: {
+        attempts: 3,
+        timeout: 5000,
+        backoff: 1,
+        maxTimeout: UDP_MAX_TIMEOUT,
+        rotate: false,
+        adaptive: false
+    },
+    tcp: STREAM_POLICY,
+    dot: STREAM_POLICY,
+    doh: STREAM_POLICY,
+    webext: {
+        attempts: 1,
+        timeout: null,
+        backoff: 1,
+        maxTimeout: null,
+        rotate: false,
+        adaptive: false
+    }
+};
+
+// The properties a plan may not set for webext, whose timeouts and
+// nameservers are up to the OS resolver
+const WEBEXT_FIXED_PROPERTIES = ["timeout", "backoff", "maxTimeout", "rotate", "adaptive"];
+
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check the retryPolicies of a measurement plan: for any transport, any of
+ * the RetryPolicy properties.
+ *
+ * @param {*} retryPolicies
+ * @param {string} path
+ * @returns {string[]} Problems found
+ */
+function checkRetryPolicies(retryPolicies, path) {
+    if (!isObject(retryPolicies)) {
+        return [`${path}: not an object`];
+    }
+    let problems = [];
+    for (let [transport, policy] of Object.entries(retryPolicies)) {
+        let policyPath = `${path}.${transport}`;
+        if (!(transport in DEFAULT_RETRY_POLICIES)) {
+            problems.push(`${policyPath}: unknown transport`);
+            continue;
+        }
+        if (!isObject(policy)) {
+            problems.push(`${policyPath}: not an object`);
+            continue;
+        }
+        for (let [prop, value] of Object.entries(policy)) {
+            let propPath = `${policyPath}.${prop}`;
+            if (!(prop in DEFAULT_RETRY_POLICIES.udp)) {
+                problems.push(`${propPath}: unknown property`);
+            } else if (transport === "webext" && WEBEXT_FIXED_PROPERTIES.includes(prop)) {
+                problems.push(`${propPath}: set by the OS resolver`);
+            } else if (prop === "attempts" && !(Number.isInteger(value) && value >= 1 && value <= MAX_ATTEMPTS)) {
+                problems.push(`${propPath}: not an integer from 1 to ${MAX_ATTEMPTS}`);
+            } else if ((prop === "timeout" || prop === "maxTimeout") &&
+                       !(Number.isInteger(value) && value >= ADAPTIVE_MIN_TIMEOUT && value <= LONG_TIMEOUT)) {
+                problems.push(`${propPath}: not a number of ms from ${ADAPTIVE_MIN_TIMEOUT} to ${LONG_TIMEOUT}`);
+            } else if (prop === "backoff" && !(typeof value === "number" && value >= 1 && value <= 4)) {
+                problems.push(`${propPath}: not a number from 1 to 4`);
+            } else if ((prop === "rotate" || prop === "adaptive") && typeof value !== "boolean") {
+                problems.push(`${propPath}: not a boolean`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * The retry policy for each transport: the defaults, with the client's
+ * resolvconf options for UDP and auth queries, and then whatever the
+ * measurement plan sets.
+ *
+ * @param {{timeout: number, attempts: number, rotate: boolean}} resolvconfOptions timeout is in ms
+ * @param {Object<string, Partial<RetryPolicy>>} [overrides] The plan's retryPolicies, already checked
+ * @returns {Object<string, RetryPolicy>}
+ */
+function computeRetryPolicies({ timeout, attempts, rotate }, overrides = {}) {
+    let policies = {};
+    for (let [transport, defaults] of Object.entries(DEFAULT_RETRY_POLICIES)) {
+        let policy = { ...defaults };
+        if (transport === "udp" || transport === "auth") {
+            Object.assign(policy, { timeout, attempts, rotate });
+        }
+        Object.assign(policy, overrides[transport]);
+        if (policy.timeout !== null) {
+            policy.maxTimeout = Math.max(policy.maxTimeout, policy.timeout);
+        }
+        policies[transport] = policy;
+    }
+    return policies;
+}
+
+/**
+ * Fold an RTT sample into a transport's running estimate, the way TCP does
+ * (RFC 6298)
+ *
+ * @param {{srtt: number, rttvar: number}|undefined} estimate
+ * @param {number} rtt In ms
+ * @returns {{srtt: number, rttvar: number}}
+ */
+function updateRTTEstimate(estimate, rtt) {
+    if (!estimate) {
+        return { srtt: rtt, rttvar: rtt / 2 };
+    }
+    return {
+        srtt: 0.875 * estimate.srtt + 0.125 * rtt,
+        rttvar: 0.75 * estimate.rttvar + 0.25 * Math.abs(estimate.srtt - rtt)
+    };
+}
+
+/**
+ * How long to wait for a response to an attempt in the given round
+ *
+ * @param {RetryPolicy} policy
+ * @param {number} round 0 for the first round through the servers
+ * @param {{srtt: number, rttvar: number}} [estimate] RTT estimate for the transport, if we have one yet
+ * @returns {number} In ms
+ */
+function attemptTimeout({ timeout, backoff, maxTimeout, adaptive }, round, estimate) {
+    if (adaptive && estimate) {
+        timeout = Math.max(ADAPTIVE_MIN_TIMEOUT, Math.ceil(estimate.srtt + 4 * estimate.rttvar));
+    }
+    return Math.min(Math.round(timeout * backoff ** round), maxTimeout);
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICIES,
+    checkRetryPolicies,
+    computeRetryPolicies,
+    updateRTTEstimate,
+    attemptTimeout
+};
@@ -0,0 +1,49 @@
+/**
+ * Run tasks with at most a given number of them in flight at once.
+ *
+ * Each entry is either a single item or a list of items that have to run one
+ * after the other, e.g. an ordered group from the measurement plan. Entries
+ * start in the order given, and the items of a list run on the same worker,
+ * in order, so they never overlap.
+ *
+ * If a task throws, no new tasks are started, and the error is rethrown once
+ * the tasks already running have finished.
+ *
+ * @template T
+ * @param {(T|T[])[]} entries
+ * @param {(item: T) => Promise<void>} run
+ * @param {number} concurrency Maximum number of tasks running at once
+ * @returns {Promise<void>}
+ */
+async function schedule(entries, run, concurrency) {
+    let next = 0;
+    let failed = false;
+
+    let worker = async () => {
+        while (!failed && next < entries.length) {
+            let entry = entries[next++];
+            for (let item of Array.isArray(entry) ? entry : [entry]) {
+                if (failed) {
+                    return;
+                }
+                try {
+                    await run(item);
+                } catch(e) {
+                    failed = true;
+                    throw e;
+                }
+            }
+        }
+    };
+
+    let workerCount = Math.max(1, Math.min(concurrency, entries.length));
+    let results = await Promise.allSettled(Array.from({ length: workerCount }, worker));
+    let rejected = results.find(({ status }) => status === "rejected");
+    if (rejected) {
+        throw rejected.reason;
+    }
+}
+
+module.exports = {
+    schedule
+};
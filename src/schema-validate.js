@@ -0,0 +1,145 @@
+const TYPE_CHECKS = {
+    object: value => typeof value === "object" && value !== null && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === "string",
+    number: value => typeof value === "number" && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === "boolean",
+    null: value => value === null
+};
+
+// The keywords check() implements, and those that only describe
+const KEYWORDS = [
+    "$ref",
+    "type",
+    "enum",
+    "minimum",
+    "maximum",
+    "pattern",
+    "properties",
+    "required",
+    "additionalProperties",
+    "items",
+    "definitions"
+];
+const ANNOTATIONS = ["$schema", "title", "description", "mozPipelineMetadata"];
+
+// Schemas checkKeywords() has already been through
+const checkedSchemas = new WeakSet();
+
+function childPath(path, property) {
+    return path ? `${path}.${property}` : String(property);
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith("#/")) {
+        throw new Error(`Unsupported $ref ${ref}`);
+    }
+    return ref.slice(2).split("/").reduce((node, name) => node[name], root);
+}
+
+/**
+ * Throw if a schema uses a keyword we don't implement, so that it can't be
+ * silently ignored
+ */
+function checkKeywords(schema, path = "") {
+    if (checkedSchemas.has(schema)) {
+        return;
+    }
+    for (let [keyword, value] of Object.entries(schema)) {
+        if (!KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword)) {
+            throw new Error(`Unsupported keyword ${keyword} at ${path || "the root"}`);
+        }
+        if (keyword === "properties" || keyword === "definitions") {
+            Object.entries(value).forEach(([name, child]) => checkKeywords(child, `${path}/${keyword}/${name}`));
+        } else if (keyword === "items" && Array.isArray(value)) {
+            value.forEach((child, i) => checkKeywords(child, `${path}/items/${i}`));
+        } else if ((keyword === "items" || keyword === "additionalProperties") && typeof value === "object") {
+            checkKeywords(value, `${path}/${keyword}`);
+        }
+    }
+    checkedSchemas.add(schema);
+}
+
+function check(schema, value, path, root, problems) {
+    let label = path || "value";
+    if (schema.$ref) {
+        check(resolveRef(schema.$ref, root), value, path, root, problems);
+        return;
+    }
+    if (schema.type !== undefined) {
+        let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            problems.push(`${label}: not ${types.join(" or ")}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        problems.push(`${label}: not one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+    }
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${label}: below ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push(`${label}: above ${schema.maximum}`);
+        }
+    }
+    if (typeof value === "string" && schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+        problems.push(`${label}: doesn't match ${schema.pattern}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => {
+            let itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+            if (itemSchema) {
+                check(itemSchema, item, `${path}[${i}]`, root, problems);
+            }
+        });
+    }
+    if (TYPE_CHECKS.object(value)) {
+        let properties = schema.properties || {};
+        for (let name of schema.required || []) {
+            if (!(name in value)) {
+                problems.push(`${childPath(path, name)}: missing`);
+            }
+        }
+        for (let [name, propertyValue] of Object.entries(value)) {
+            if (name in properties) {
+                check(properties[name], propertyValue, childPath(path, name), root, problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${childPath(path, name)}: not allowed`);
+            } else if (typeof schema.additionalProperties === "object") {
+                check(schema.additionalProperties, propertyValue, childPath(path, name), root, problems);
+            }
+        }
+    }
+}
+
+/**
+ * Check a value against a JSON schema, for the keywords our schemas use:
+ * type, enum, minimum, maximum, pattern, properties, required,
+ * additionalProperties, items and $ref to the root schema's definitions.
+ * Annotations such as description are ignored, and any other keyword throws
+ * rather than going unchecked.
+ *
+ * We check by hand rather than with a JSON schema validator because those
+ * compile schemas with eval(), which the add-on's CSP doesn't allow.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {Object} [options.root] The schema $refs are resolved against. Defaults to schema
+ * @param {string} [options.path] Where value is, to prefix problems with
+ * @returns {string[]} Problems found, as "path: problem", empty if value matches
+ */
+function validateSchema(schema, value, { root = schema, path = "" } = {}) {
+    checkKeywords(schema);
+    checkKeywords(root);
+    let problems = [];
+    check(schema, value, path, root, problems);
+    return problems;
+}
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,193 @@
+/* global browser */
+
+/**
+ * Decides when to measure: at startup, when the client has been on the same
+ * network for a while, and when it moves to a different network.
+ */
+
+const REMEASURE_ALARM = "remeasure";
+// How often to check whether it's time to measure again, in minutes
+const ALARM_PERIOD = 60;
+// Measure again after this long, in ms, even if the network hasn't changed
+const REMEASURE_INTERVAL = 24 * 60 * 60 * 1000;
+// Don't measure more often than this, in ms, however often the network changes
+const MIN_RUN_GAP = 10 * 60 * 1000;
+
+const LAST_RUN_KEY = "lastRun";
+const NETWORK_SALT_KEY = "networkSalt";
+// Length of a network ID, in hex digits
+const NETWORK_ID_LENGTH = 16;
+const NETWORK_SALT_BYTES = 16;
+
+const TRIGGER_STARTUP = "startup";
+const TRIGGER_INTERVAL = "interval";
+const TRIGGER_NETWORK_CHANGE = "networkChange";
+
+/**
+ * @typedef {Object} LastRun
+ * @property {number} time When the run started, in ms since the epoch
+ * @property {?string} networkID The network it ran on
+ */
+
+/**
+ * Log an error, but only if the add-on was installed temporarily, like
+ * logError() in dns-test.js. Release builds stay quiet, including about the
+ * errors a run ends with as expected, e.g. STUDY_ENDED.
+ */
+async function logError(...args) {
+    let self = await browser.management.getSelf().catch(() => null);
+    if (self?.installType === "development") {
+        console.error(...args);
+    }
+}
+
+function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The salt for this client's network IDs, made the first time it's needed
+ *
+ * @param {browser.storage.StorageArea} storage
+ * @returns {Promise<string>}
+ */
+async function getNetworkSalt(storage) {
+    let { [NETWORK_SALT_KEY]: salt } = await storage.get(NETWORK_SALT_KEY);
+    if (!salt) {
+        salt = toHex(crypto.getRandomValues(new Uint8Array(NETWORK_SALT_BYTES)));
+        await storage.set({ [NETWORK_SALT_KEY]: salt });
+    }
+    return salt;
+}
+
+/**
+ * Turn the browser's ID for a network into one we can send. It's a truncated
+ * hash of the ID with a salt that never leaves the client, so the same network
+ * gets the same ID on one client but it can't be looked up or matched between
+ * clients.
+ *
+ * @param {?string} linkID From browser.networkStatus.getLinkInfo()
+ * @param {string} salt
+ * @returns {Promise<?string>} null if the browser can't tell networks apart
+ */
+async function computeNetworkID(linkID, salt) {
+    if (!linkID) {
+        return null;
+    }
+    let digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${linkID}`));
+    return toHex(digest).slice(0, NETWORK_ID_LENGTH);
+}
+
+/**
+ * @param {browser.storage.StorageArea} storage
+ * @returns {Promise<?string>} The ID of the network we're on, if we can tell
+ */
+async function currentNetworkID(storage) {
+    let linkInfo;
+    try {
+        linkInfo = await browser.networkStatus.getLinkInfo();
+    } catch (e) {
+        await logError(e);
+        return null;
+    }
+    return computeNetworkID(linkInfo?.id, await getNetworkSalt(storage));
+}
+
+/**
+ * @param {string} trigger What asked for a run, one of the TRIGGER_* values
+ * @param {?LastRun} lastRun
+ * @param {?string} networkID
+ * @param {number} now In ms since the epoch
+ * @param {Object} options
+ * @param {number} options.interval
+ * @param {number} options.minGap
+ * @returns {boolean} Whether to measure
+ */
+function shouldRun(trigger, lastRun, networkID, now, { interval, minGap }) {
+    if (trigger === TRIGGER_STARTUP || !lastRun) {
+        return true;
+    }
+    let sinceLastRun = now - lastRun.time;
+    if (trigger === TRIGGER_INTERVAL) {
+        return sinceLastRun >= interval;
+    }
+    // Only a network we can tell apart from the last one counts as a change
+    return networkID !== null && networkID !== lastRun.networkID && sinceLastRun >= minGap;
+}
+
+/**
+ * Measure now, and again whenever an alarm finds the last run is interval ms
+ * old, or the network comes up as a different one than we last measured on.
+ * Runs never overlap: a trigger that comes while one is going is dropped. A
+ * run that fails is logged on temporary installs, since nothing else would
+ * see it.
+ *
+ * @param {function({trigger: string, networkID: ?string}): Promise} run Runs a measurement
+ * @param {Object} [options]
+ * @param {number} [options.interval]
+ * @param {number} [options.minGap]
+ * @param {number} [options.alarmPeriod] In minutes
+ * @returns {Promise<boolean>} The startup run, resolving to true once it's
+ *     done, or false if it didn't run or failed
+ */
+function scheduleMeasurements(run, {
+    interval = REMEASURE_INTERVAL,
+    minGap = MIN_RUN_GAP,
+    alarmPeriod = ALARM_PERIOD
+} = {}) {
+    let running = null;
+
+    async function maybeRun(trigger) {
+        let storage = browser.storage.local;
+        let networkID = await currentNetworkID(storage);
+        let { [LAST_RUN_KEY]: lastRun = null } = await storage.get(LAST_RUN_KEY);
+        let now = Date.now();
+        if (!shouldRun(trigger, lastRun, networkID, now, { interval, minGap })) {
+            return false;
+        }
+        // Record the run first, so one that fails isn't retried right away
+        await storage.set({ [LAST_RUN_KEY]: { time: now, networkID } });
+        await run({ trigger, networkID });
+        return true;
+    }
+
+    function requestRun(trigger) {
+        if (running) {
+            return Promise.resolve(false);
+        }
+        running = maybeRun(trigger).catch(async e => {
+            await logError(e);
+            return false;
+        }).finally(() => {
+            running = null;
+        });
+        return running;
+    }
+
+    // The listeners return the run, so that tests can wait for it
+    browser.alarms.onAlarm.addListener(alarm => {
+        if (alarm.name === REMEASURE_ALARM) {
+            return requestRun(TRIGGER_INTERVAL);
+        }
+        return Promise.resolve(false);
+    });
+    browser.networkStatus.onConnectionChanged.addListener(linkInfo => {
+        if (linkInfo.status === "up") {
+            return requestRun(TRIGGER_NETWORK_CHANGE);
+        }
+        return Promise.resolve(false);
+    });
+    browser.alarms.create(REMEASURE_ALARM, { periodInMinutes: alarmPeriod });
+
+    return requestRun(TRIGGER_STARTUP);
+}
+
+module.exports = {
+    REMEASURE_ALARM,
+    TRIGGER_STARTUP,
+    TRIGGER_INTERVAL,
+    TRIGGER_NETWORK_CHANGE,
+    computeNetworkID,
+    shouldRun,
+    scheduleMeasurements
+};
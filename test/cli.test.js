@@ -0,0 +1,144 @@
+/* eslint-env node, mocha */
+
+const dgram = require("dgram");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const DNS_PACKET = require("dns-packet");
+const { assert } = require("chai");
+const { createUDPSocketAPI } = require("../cli/udpsocket");
+const { createTCPSocketAPI } = require("../cli/tcpsocket");
+const { createResolvconfAPI } = require("../cli/resolvconf");
+const { createBrowser } = require("../cli/browser");
+
+const QUERY = {
+    type: "query",
+    id: 1234,
+    flags: DNS_PACKET.RECURSION_DESIRED,
+    questions: [{ type: "A", name: "dnssec-experiment-moz.net" }]
+};
+const RESPONSE = {
+    ...QUERY,
+    type: "response",
+    answers: [{ type: "A", name: "dnssec-experiment-moz.net", ttl: 300, data: "192.0.2.1" }]
+};
+
+function listen(server, ...args) {
+    return new Promise(resolve => server.listen(...args, () => resolve(server.address().port)));
+}
+
+describe("cli", () => {
+    describe("udpsocket", () => {
+        let server, port;
+
+        beforeEach(async () => {
+            server = dgram.createSocket("udp4");
+            port = await new Promise(resolve => server.bind(0, "127.0.0.1", () => resolve(server.address().port)));
+        });
+
+        afterEach(() => {
+            server.close();
+        });
+
+        it("should set aside responses that don't match the query", async () => {
+            server.on("message", (msg, rinfo) => {
+                server.send(DNS_PACKET.encode({ ...RESPONSE, id: 4321 }), rinfo.port, rinfo.address);
+                server.send(DNS_PACKET.encode(RESPONSE), rinfo.port, rinfo.address);
+            });
+            const { response, mismatched, received } = await createUDPSocketAPI({ port })
+                .sendDNSQuery("127.0.0.1", DNS_PACKET.encode(QUERY), "A", 1000);
+            assert.equal(DNS_PACKET.decode(Buffer.from(response)).id, 1234);
+            assert.lengthOf(mismatched, 1);
+            assert.deepEqual(received.map(({ matched }) => matched), [false, true]);
+        });
+
+        it("should time out like the experiment", async () => {
+            let error;
+            try {
+                await createUDPSocketAPI({ port }).sendDNSQuery("127.0.0.1", DNS_PACKET.encode(QUERY), "A", 100);
+            } catch(e) {
+                error = e;
+            }
+            assert.equal(error?.message, "STUDY_ERROR_UDP_QUERY_TIMEOUT");
+        });
+    });
+
+    describe("tcpsocket", () => {
+        it("should read a length-prefixed response that arrives in pieces", async () => {
+            const server = net.createServer(socket => {
+                const bytes = DNS_PACKET.streamEncode(RESPONSE);
+                socket.write(bytes.slice(0, 5));
+                setTimeout(() => socket.end(bytes.slice(5)), 10);
+            });
+            const port = await listen(server, 0, "127.0.0.1");
+            try {
+                const response = await createTCPSocketAPI({ port })
+                    .sendDNSQuery("127.0.0.1", DNS_PACKET.streamEncode(QUERY));
+                assert.equal(DNS_PACKET.streamDecode(Buffer.from(response)).answers[0].data, "192.0.2.1");
+            } finally {
+                server.close();
+            }
+        });
+
+        it("should map connection errors to the experiment's codes", async () => {
+            const server = net.createServer();
+            const port = await listen(server, 0, "127.0.0.1");
+            await new Promise(resolve => server.close(resolve));
+
+            const api = createTCPSocketAPI({ port });
+            const errors = [];
+            for (const options of [{}, { port, tls: true }]) {
+                try {
+                    await api.sendDNSQuery("127.0.0.1", DNS_PACKET.streamEncode(QUERY), options);
+                } catch(e) {
+                    errors.push(e.message);
+                }
+            }
+            assert.deepEqual(errors, ["STUDY_ERROR_TCP_CONNECTION_REFUSED: ECONNREFUSED", "STUDY_ERROR_DOT_CONNECTION_REFUSED: ECONNREFUSED"]);
+        });
+    });
+
+    describe("resolvconf", () => {
+        it("should read nameservers and options from a resolv.conf", async () => {
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "resolvconf-")), "resolv.conf");
+            fs.writeFileSync(file, "nameserver 192.0.2.53\nnameserver 2001:db8::53\noptions timeout:2 rotate\n");
+            const result = await createResolvconfAPI({ path: file }).readNameserversLinux();
+            assert.deepEqual(result, {
+                nameservers: ["192.0.2.53", "2001:db8::53"],
+                options: { timeout: 2, rotate: true },
+                source: "resolvconf"
+            });
+        });
+
+        it("should prefer the nameservers it was given", async () => {
+            const api = createResolvconfAPI({ nameservers: ["127.0.0.1"], resolvconfOptions: { attempts: 1 } });
+            assert.deepEqual(await api.readNameserversMac(), {
+                nameservers: ["127.0.0.1"],
+                options: { attempts: 1 },
+                source: "cli"
+            });
+            assert.deepEqual(await api.readNameserversWin(), ["127.0.0.1"]);
+        });
+
+        it("should fail like the experiment when the file is missing", async () => {
+            let error;
+            try {
+                await createResolvconfAPI({ path: "/nonexistent/resolv.conf" }).readNameserversMac();
+            } catch(e) {
+                error = e;
+            }
+            assert.equal(error?.message, "STUDY_ERROR_NAMESERVERS_FILE: ENOENT");
+        });
+    });
+
+    describe("browser", () => {
+        it("should hand pings to onPing", async () => {
+            const pings = [];
+            const browser = createBrowser({ onPing: (type, payload) => pings.push([type, payload]) });
+            await browser.telemetry.submitPing("dnssec-study-v1", { reason: "STUDY_START" }, {});
+            assert.deepEqual(pings, [["dnssec-study-v1", { reason: "STUDY_START" }]]);
+            assert.equal(browser.runtime.getManifest().version, require("../src/manifest.json").version);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/* eslint-env node, mocha */
+
+const DNS_PACKET = require("dns-packet");
+const { assert } = require("chai");
+const { classifyResponse, classifyResponses } = require("../src/dns-classify");
+
+const DOMAIN = "dnssec-experiment-moz.net";
+
+/**
+ * Build a response to an A query for DOMAIN
+ */
+function makeResponse({ flags = DNS_PACKET.RECURSION_AVAILABLE, answers, authorities = [], additionals } = {}) {
+    return {
+        type: "response",
+        id: 1234,
+        flags,
+        questions: [{ type: "A", name: DOMAIN }],
+        answers: answers || [{ type: "A", name: DOMAIN, ttl: 300, data: "192.0.2.1" }],
+        authorities,
+        additionals: additionals || [{ type: "OPT", name: ".", udpPayloadSize: 4096 }]
+    };
+}
+
+const RRSIG = {
+    type: "RRSIG",
+    name: DOMAIN,
+    ttl: 300,
+    data: {
+        typeCovered: "A",
+        algorithm: 13,
+        labels: 2,
+        originalTTL: 300,
+        expiration: 1700000000,
+        inception: 1600000000,
+        keyTag: 12345,
+        signersName: DOMAIN,
+        signature: Buffer.alloc(64)
+    }
+};
+
+describe("dns-classify.js", () => {
+    describe("classifyResponse", () => {
+        it("should summarize a plain UDP response", () => {
+            const bytes = Array.from(DNS_PACKET.encode(makeResponse()));
+            assert.deepEqual(classifyResponse(bytes, "udp", { rrtype: "A", domain: DOMAIN }), {
+                rcode: "NOERROR",
+                tc: false,
+                ad: false,
+                ra: true,
+                answers: { A: 1 },
+                rrsig: false,
+                dnskey: false,
+                ds: false,
+                opt: true,
+                expected: true
+            });
+        });
+
+        it("should decode TCP responses with their length prefix", () => {
+            const bytes = Array.from(DNS_PACKET.streamEncode(makeResponse({
+                flags: DNS_PACKET.RECURSION_AVAILABLE | DNS_PACKET.AUTHENTIC_DATA,
+                answers: [{ type: "A", name: DOMAIN, ttl: 300, data: "192.0.2.1" }, RRSIG]
+            })));
+            const summary = classifyResponse(bytes, "tcp", { rrtype: "A", domain: DOMAIN });
+            assert.isTrue(summary.ad);
+            assert.isTrue(summary.rrsig);
+            assert.deepEqual(summary.answers, { A: 1, RRSIG: 1 });
+        });
+
+        it("should notice a stripped OPT record and a missing answer", () => {
+            const bytes = Array.from(DNS_PACKET.encode(makeResponse({
+                flags: DNS_PACKET.TRUNCATED_RESPONSE,
+                answers: [],
+                additionals: []
+            })));
+            const summary = classifyResponse(bytes, "udp", { rrtype: "A", domain: DOMAIN });
+            assert.isTrue(summary.tc);
+            assert.isFalse(summary.opt);
+            assert.isFalse(summary.expected);
+            assert.deepEqual(summary.answers, {});
+        });
+
+        it("should not match an answer for a different name", () => {
+            const bytes = Array.from(DNS_PACKET.encode(makeResponse({
+                answers: [{ type: "A", name: "example.com", ttl: 300, data: "192.0.2.1" }]
+            })));
+            assert.isFalse(classifyResponse(bytes, "udp", { rrtype: "A", domain: DOMAIN }).expected);
+        });
+
+        it("should flag responses that can't be decoded", () => {
+            assert.deepEqual(classifyResponse([1, 2, 3], "udp", { rrtype: "A", domain: DOMAIN }), { parseError: true });
+        });
+    });
+
+    describe("classifyResponses", () => {
+        it("should only summarize UDP and TCP responses", () => {
+            const bytes = Array.from(DNS_PACKET.encode(makeResponse()));
+            const summaries = classifyResponses({
+                "udp-A": bytes,
+                "webext-A": ["192.0.2.1"]
+            }, {
+                "udp-A": { transport: "udp", rrtype: "A", domain: DOMAIN },
+                "webext-A": { transport: "webext", rrtype: "A", domain: DOMAIN }
+            });
+            assert.deepEqual(Object.keys(summaries), ["udp-A"]);
+            assert.isTrue(summaries["udp-A"].expected);
+        });
+    });
+});
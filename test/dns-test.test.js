@@ -7,67 +7,109 @@
  */
 
 const { default: browserMock } = require("webextensions-api-mock");
+const DNS_PACKET = require("dns-packet");
 const {
     main,
     resetState,
     computeKey,
     computeDomain,
     sendDNSQuery,
+    encodeUDPQuery,
+    encodeTCPQuery,
+    checkResponse,
     TELEMETRY_TYPE,
     STUDY_START,
     STUDY_MEASUREMENT_COMPLETED,
+    STUDY_MEASUREMENT_INTERRUPTED,
+    STUDY_ENDED,
+    STUDY_CONFIG_URL,
     COMMON_QUERIES,
     EXPECTED_FETCH_RESPONSE,
     SMIMEA_HASH,
     APEX_DOMAIN_NAME,
     FETCH_ENDPOINT
 } = require("../src/dns-test");
+const { decodePayload } = require("../src/payload");
 const chai = require("chai")
 const { assert } = chai;
 const sinon = require("sinon");
+const http = require("http");
 const { v4: uuidv4 } = require("uuid");
 
-// Validate according to the data pipeline schema
-// https://github.com/mozilla-services/mozilla-pipeline-schemas/blob/main/schemas/telemetry/dnssec-study-v1/dnssec-study-v1.4.schema.json
+// Validate against our payload schema with Ajv too, not just the add-on's
+// own validator
 const Ajv = require("ajv");
 const ajv = new Ajv();
-const pingSchema = require("./dnssec-v1.schema.json");
-const payloadSchema = {
-    definitions: pingSchema.definitions,
-    properties: {
-        payload: pingSchema.properties.payload
-    }
-};
+const payloadSchema = require("../src/payload.schema.json");
 
 function validatePayload(payload) {
     const validate = ajv.compile(payloadSchema);
-    const valid = validate({payload});
+    const valid = validate(payload);
     assert.isOk(valid, "not a valid payload:\n" + JSON.stringify(validate.errors, null, 2));
 }
 
 // < Node 18
 global.fetch = global.fetch || require("node-fetch");
+// < Node 19
+global.crypto = global.crypto || require("crypto").webcrypto;
 
 /**
  * Some fake configuration
  */
 const FAKE_NAMESERVERS = ["172.19.134.11", "172.19.134.12"];
+const FAKE_NAMESERVERS_IPV6 = ["2001:db8::11"];
 const FAKE_WEBEXT_RESP = ["34.120.4.181"];
 const FAKE_DNSQUERY_RESP = [1, 2, 3];
 const FAKE_UUID = uuidv4();
+/**
+ * The EDNS0 buffer size probes: each advertised size against each name with a
+ * known response size
+ */
+const UDP_PAYLOAD_SIZES = [512, 1232, 1400, 4096];
+const RESPONSE_SIZES = [450, 1200, 1350, 1800, 4000];
+const EDNS_SIZE_KEY_TYPES = UDP_PAYLOAD_SIZES.flatMap(size =>
+    RESPONSE_SIZES.map(responseSize => `udp-TXT-E${size}-R${responseSize}`)
+);
+
+/**
+ * The DNSKEY and DS queries for the zones between the root trust anchor and
+ * each apex domain
+ */
+const CHAIN_KEY_TYPES = [
+    "udp-DNSKEYDO-chain-root",
+    ...["net", "dnssec-experiment-moz.net", "com", "dns-study.com"].flatMap(zone => [
+        `udp-DNSKEYDO-chain-${zone}`,
+        `udp-DSDO-chain-${zone}`
+    ])
+];
+
 /**
  * This is a list of all key types we expect to see in the final ping.
- * Each item will have 4 variants: tcp, udp, tcp per-client, udp per-client
+ * Each item in COMMON_QUERIES has 6 variants: tcp and udp, each shared and
+ * per-client, and shared over doh and dot. Plain A and AAAA are also sent
+ * over webext.
  */
 const ALL_KEY_TYPES = [
     "webext-A",
     "webext-A-U",
-    "udp-NEWONE",
-    "udp-NEWONE-U",
+    "webext-AAAA",
+    "webext-AAAA-U",
+    ...COMMON_QUERIES.flatMap(query => ["udp", "tcp"].flatMap(transport => [
+        computeKey(transport, query),
+        computeKey(transport, query, true)
+    ])),
+    ...COMMON_QUERIES.flatMap(query => ["doh", "dot"].map(transport => computeKey(transport, query))),
     "udp-NEWONE-prefix",
     "udp-NEWONE-alt",
     "udp-NEWONE-alt-U",
     "udp-NEWONE-alt-prefix",
+    "doh-A-POST",
+    "doh-DNSKEYDO-POST",
+    "doh-HTTPS-POST",
+    "doh-NEWONE-POST",
+    "udp-A-window",
+    ...EDNS_SIZE_KEY_TYPES,
+    ...CHAIN_KEY_TYPES,
     "webext-A-prefix",
     "udp-NEWONE-afirst"
 ];
@@ -95,6 +137,66 @@ const EXPECTED_QUERY_CHECK = [
     ["udp", "udp-SMIMEA-U", `udp-SMIMEA-U-${FAKE_UUID}._smimecert.pc.${APEX_DOMAIN_NAME}`],
 ];
 
+/**
+ * The names the plan's custom probes query, which have to stay the same for
+ * their results to be comparable with earlier data
+ */
+const CUSTOM_PROBE_DOMAINS = [
+    ["udp", "udp-NEWONE-prefix", APEX_DOMAIN_NAME],
+    ["udp", "udp-NEWONE-alt", "dns-study.com"],
+    ["udp", "udp-NEWONE-alt-U", `udp-NEWONE-alt-U-${FAKE_UUID}.pc.dns-study.com`],
+    ["udp", "udp-NEWONE-alt-prefix", "dns-study.com"],
+    ["webext", "webext-A-prefix", APEX_DOMAIN_NAME],
+    ["udp", "udp-NEWONE-afirst", APEX_DOMAIN_NAME],
+];
+
+/**
+ * Turn an encoded query into a response to it, with no answers
+ * @param {Buffer} queryBuf
+ * @param {number} offset Where the DNS message starts, i.e. 2 for TCP
+ */
+function fakeResponse(queryBuf, offset = 0) {
+    const response = Buffer.from(queryBuf);
+    response[offset + 2] |= 0x80;
+    return response;
+}
+
+/**
+ * A stand-in DoH server on loopback. It answers each query with fakeResponse()
+ * unless a test sets dohHandler to do something else.
+ */
+let dohServer;
+let dohEndpoint;
+let dohHandler;
+
+function defaultDoHHandler(queryBuf, res) {
+    res.writeHead(200, {"Content-Type": "application/dns-message"});
+    res.end(fakeResponse(queryBuf));
+}
+
+function startDoHServer() {
+    dohServer = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => {
+            let queryBuf;
+            if (req.method === "POST") {
+                queryBuf = Buffer.concat(chunks);
+            } else {
+                const dns = new URL(req.url, dohEndpoint).searchParams.get("dns");
+                queryBuf = Buffer.from(dns.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+            }
+            dohServer.requests.push({method: req.method, headers: req.headers, queryBuf});
+            dohHandler(queryBuf, res);
+        });
+    });
+    dohServer.requests = [];
+    return new Promise(resolve => dohServer.listen(0, "127.0.0.1", () => {
+        dohEndpoint = `http://127.0.0.1:${dohServer.address().port}/dns-query`;
+        resolve();
+    }));
+}
+
 function mockFetch(url, text) {
     global.fetch.withArgs(url).resolves(Promise.resolve({text: () => Promise.resolve(text)}));
 }
@@ -108,6 +210,7 @@ function setupExperiments(browserObj) {
     browserObj.experiments = {
         resolvconf: {
             readNameserversMac: sinonSandbox.stub(),
+            readNameserversLinux: sinonSandbox.stub(),
             readNameserversWin: sinonSandbox.stub()
         },
         tcpsocket: {
@@ -124,7 +227,13 @@ function setupExperiments(browserObj) {
  * and a response is returned.
  */
 async function setupMeasurementEnvironment(sandbox) {
+    // Clear behavior set up by earlier tests, e.g. with withArgs()
+    Object.values(browser.experiments).forEach(experiment => {
+        Object.values(experiment).forEach(stub => stub.reset());
+    });
+
     browser.telemetry.canUpload.resolves(true);
+    browser.telemetry.submitPing.reset();
     browser.captivePortal.getState.resolves("not_captive");
     browser.runtime.getPlatformInfo.resolves({os: "win"});
     browser.runtime.getManifest.returns({version: "1.2.3"})
@@ -134,8 +243,30 @@ async function setupMeasurementEnvironment(sandbox) {
 
     browser.experiments.resolvconf.readNameserversWin.resolves(FAKE_NAMESERVERS);
     browser.dns.resolve.resolves({addresses: FAKE_WEBEXT_RESP})
-    browser.experiments.tcpsocket.sendDNSQuery.resolves(Buffer.from(FAKE_DNSQUERY_RESP));
-    browser.experiments.udpsocket.sendDNSQuery.resolves(Buffer.from(FAKE_DNSQUERY_RESP));
+    browser.experiments.tcpsocket.sendDNSQuery.callsFake(async (addr, buf) => fakeResponse(buf, 2));
+    browser.experiments.udpsocket.sendDNSQuery.resolves({response: Buffer.from(FAKE_DNSQUERY_RESP), mismatched: [], received: []});
+
+    dohHandler = defaultDoHHandler;
+    dohServer.requests = [];
+}
+
+/**
+ * Back browser.storage.local with an object, like the storage shim in
+ * cli/browser.js
+ *
+ * @param {Object} items What storage starts out holding
+ */
+function setupStorage(items = {}) {
+    const { get, set } = browser.storage.local;
+    get.reset();
+    set.reset();
+    get.callsFake(async keys => Object.fromEntries([].concat(keys)
+        .filter(name => name in items)
+        .map(name => [name, JSON.parse(JSON.stringify(items[name]))])));
+    set.callsFake(async values => {
+        Object.assign(items, JSON.parse(JSON.stringify(values)));
+    });
+    return items;
 }
 
 /**
@@ -159,7 +290,9 @@ function assertPingSent(reason, customMatch) {
             if (payload.reason === reason) {
                 if (customMatch) {
                     validatePayload(payload);
-                    return customMatch(payload);
+                    // Check measurements as they were before encoding
+                    const encoded = [STUDY_MEASUREMENT_COMPLETED, STUDY_MEASUREMENT_INTERRUPTED].includes(reason);
+                    return customMatch(encoded ? decodePayload([payload]) : payload);
                 }
                 return true;
             }
@@ -168,8 +301,20 @@ function assertPingSent(reason, customMatch) {
     );
 }
 
+/**
+ * The fields of error records that say which query failed, for tests that
+ * don't check how it failed
+ *
+ * @param {Object[]} dnsQueryErrors
+ * @returns {Object[]}
+ */
+function queryErrorKeys(dnsQueryErrors) {
+    return dnsQueryErrors.map(({reason, errorRRTYPE, errorAttempt}) => ({reason, errorRRTYPE, errorAttempt}));
+}
+
 function run(opts = {}) {
-    return main({ uuid: FAKE_UUID, sleep: 0, ...opts });
+    // Keep measuring after the study's real expiry date, with the bundled plan
+    return main({ uuid: FAKE_UUID, sleep: 0, dohEndpoint, limits: {expires: null}, remotePlan: {}, ...opts });
 }
 
 describe("dns-test.js", () => {
@@ -178,16 +323,21 @@ describe("dns-test.js", () => {
         setupExperiments(global.browser);
         global.browser.sinonSandbox.stub(global, "fetch");
         global.browser.sinonSandbox.spy(sendDNSQuery);
+
+        await startDoHServer();
+        global.fetch.withArgs(sinon.match(url => url.startsWith(dohEndpoint))).callThrough();
     });
 
     after(() => {
         delete global.browser;
+        dohServer.close();
     });
 
     beforeEach(async () => {
         browser.sinonSandbox.resetHistory();
         resetState();
         setupMeasurementEnvironment();
+        setupStorage();
     });
 
     describe("computeKey", () => {
@@ -208,8 +358,10 @@ describe("dns-test.js", () => {
         });
     });
 
-    describe("computeDomain", async () => {
-        await run({uuid: "foo"});
+    describe("computeDomain", () => {
+        before(async () => {
+            await run({uuid: "foo"});
+        });
 
         it("should compute a non-per-client domain", () => {
             assert.equal(computeDomain("tcp-A", {rrtype: "A"}, false), APEX_DOMAIN_NAME);
@@ -221,7 +373,7 @@ describe("dns-test.js", () => {
             assert.equal(computeDomain("udp-A-U", {rrtype: "A", }, true), `udp-A-U-foo.pc.` + APEX_DOMAIN_NAME);
         });
         it("should compute a per-client domain with custom prefix", () => {
-            assert.equal(computeDomain("udp-HTTPS-U", {rrtype: "HTTPS", perClientPrefix: "httpssvc-pc."}, true), `udp-A-U-foo.httpssvc-pc.` + APEX_DOMAIN_NAME);
+            assert.equal(computeDomain("udp-HTTPS-U", {rrtype: "HTTPS", perClientPrefix: "httpssvc-pc"}, true), `udp-HTTPS-U-foo.httpssvc-pc.` + APEX_DOMAIN_NAME);
         });
     });
 
@@ -231,19 +383,64 @@ describe("dns-test.js", () => {
             assertPingSent(STUDY_START);
         });
 
-        // TODO - we changed the number of keys for a specific sub-experiment
-        it.skip("should send a valid STUDY_MEASUREMENT_COMPLETED ping with the right number of keys", async () => {
+        it("should wait out a captive portal and only resolve once the measurement is done", async () => {
+            const { getState, onConnectivityAvailable } = browser.captivePortal;
+            getState.resolves("locked_portal");
+            try {
+                let done = false;
+                const running = run().then(() => {
+                    done = true;
+                });
+                while (!onConnectivityAvailable.addListener.called) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+                assert.isFalse(done);
+                sinon.assert.neverCalledWithMatch(browser.telemetry.submitPing, TELEMETRY_TYPE, {reason: STUDY_START});
+
+                onConnectivityAvailable.addListener.firstCall.args[0]({status: "clear"});
+                await running;
+                assertPingSent(STUDY_MEASUREMENT_COMPLETED);
+            } finally {
+                getState.resolves("not_captive");
+            }
+        });
+
+        it("should give up on a captive portal that doesn't let it through in time", async () => {
+            const { getState, onConnectivityAvailable } = browser.captivePortal;
+            getState.resolves("locked_portal");
+            try {
+                try {
+                    await run({captivePortalTimeout: 20});
+                    assert.fail("should have thrown");
+                } catch (e) {
+                    assert.equal(e.message, "STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT");
+                }
+                const listener = onConnectivityAvailable.addListener.firstCall.args[0];
+                sinon.assert.calledWith(onConnectivityAvailable.removeListener, listener);
+                assertPingSent("STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT", ({phase, cause}) => {
+                    assert.equal(phase, "preflight");
+                    assert.equal(cause, "locked_portal");
+                    return true;
+                });
+                sinon.assert.neverCalledWithMatch(browser.telemetry.submitPing, TELEMETRY_TYPE, {reason: STUDY_START});
+            } finally {
+                getState.resolves("not_captive");
+            }
+        });
+
+        it("should send a valid STUDY_MEASUREMENT_COMPLETED ping with the right number of keys", async () => {
             await run();
             /**
-             * The total number of expected entries 4 queries for each item in the COMMON_QUERY config,
-             * and 2 extra (for the webext-A and webext-A-U queries)
+             * 6 queries for each item in the COMMON_QUERIES config, 4 webext
+             * queries for A and AAAA, the EDNS0 buffer size probes, the
+             * chain probes and 11 hand-written probes
              */
             assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({
                 dnsData,
                 dnsAttempts,
             }) => {
-                assert.lengthOf(Object.keys(dnsData),  2 + COMMON_QUERIES.length * 4);
-                assert.lengthOf(Object.keys(dnsAttempts),  2 + COMMON_QUERIES.length * 4);
+                assert.lengthOf(Object.keys(dnsData),  4 + COMMON_QUERIES.length * 6 + EDNS_SIZE_KEY_TYPES.length + CHAIN_KEY_TYPES.length + 11);
+                assert.lengthOf(Object.keys(dnsAttempts),  4 + COMMON_QUERIES.length * 6 + EDNS_SIZE_KEY_TYPES.length + CHAIN_KEY_TYPES.length + 11);
                 return true;
             });
         });
@@ -255,31 +452,304 @@ describe("dns-test.js", () => {
                 measurementID: FAKE_UUID,
                 dnsAttempts: {},
                 dnsData: {},
+                dnsSummary: {},
+                dnsAuthPairs: {},
+                dnssecValidation: {},
+                dnsMismatchedData: {},
+                dnsAllResponses: {"udp-A-window": []},
+                dnsTCPFallbacks: {},
+                ednsSizes: {},
+                ednsLargestDelivered: {ipv4: null},
                 dnsQueryErrors: [],
                 dnsQueryInfo: {},
+                dnsTimeline: {},
+                dnsTimelineFields: ["nameserver", "transport", "sent", "ended", "rtt", "size", "outcome"],
+                measurementDuration: 0,
+                concurrency: 8,
                 hasErrors: false,
                 addonVersion: "1.2.3",
-                apexDomain: APEX_DOMAIN_NAME
+                apexDomain: APEX_DOMAIN_NAME,
+                dohEndpoint,
+                dotServer: "1.1.1.1",
+                planID: "dnssec-interference",
+                planVersion: 12,
+                schemaVersion: 9,
+                retryCount: 0,
+                trigger: "startup",
+                networkID: null,
+                planSource: "bundled",
+                remotePlanError: null,
+                nameserversSource: "registry",
+                nameserverCounts: {ipv4: 2, ipv6: 0},
+                resolvconfOptions: {timeout: 5000, attempts: 3, rotate: false},
+                retryPolicies: {
+                    udp: {attempts: 3, timeout: 5000, backoff: 1, maxTimeout: 30000, rotate: false, adaptive: false},
+                    auth: {attempts: 3, timeout: 5000, backoff: 1, maxTimeout: 30000, rotate: false, adaptive: false},
+                    tcp: {attempts: 1, timeout: 60000, backoff: 1, maxTimeout: 60000, rotate: false, adaptive: false},
+                    dot: {attempts: 1, timeout: 60000, backoff: 1, maxTimeout: 60000, rotate: false, adaptive: false},
+                    doh: {attempts: 1, timeout: 60000, backoff: 1, maxTimeout: 60000, rotate: false, adaptive: false},
+                    webext: {attempts: 1, timeout: null, backoff: 1, maxTimeout: null, rotate: false, adaptive: false}
+                }
             };
 
             ALL_KEY_TYPES.forEach(key => {
                 expected.dnsAttempts[key] = 1;
-                expected.dnsData[key] = key.match(/^webext/) ? FAKE_WEBEXT_RESP : FAKE_DNSQUERY_RESP;
+                if (key.match(/^udp/)) {
+                    expected.dnsData[key] = FAKE_DNSQUERY_RESP;
+                    expected.dnsSummary[key] = {parseError: true};
+                    expected.dnssecValidation[key] = {status: "indeterminate", reason: "parse error"};
+                } else if (key.match(/^(tcp|doh|dot)/)) {
+                    // Every name is under the root trust anchor, and the fake
+                    // responses have no answers
+                    expected.dnssecValidation[key] = key.match(/^\w+-[A-Z]+DO/)
+                        ? {status: "indeterminate", reason: "no answer"}
+                        : {status: "indeterminate", reason: "DO not set"};
+                } else if (key.match(/^webext/)) {
+                    expected.dnsData[key] = FAKE_WEBEXT_RESP;
+                }
+            });
+            EDNS_SIZE_KEY_TYPES.forEach(key => {
+                const [, advertised, responseSize] = key.match(/-E(\d+)-R(\d+)$/);
+                expected.ednsSizes[key] = {
+                    advertised: Number(advertised),
+                    expected: Number(responseSize),
+                    received: FAKE_DNSQUERY_RESP.length,
+                    // The fake response is smaller than every size we ask for
+                    outcome: "shrunk"
+                };
             });
 
             assertPingSent(STUDY_MEASUREMENT_COMPLETED, (payload) => {
-                // Check this separately
-                const { dnsQueryInfo } = payload;
+                // Check these separately
+                const { dnsQueryInfo, dnsTimeline, measurementDuration } = payload;
                 payload.dnsQueryInfo = {}
+                payload.dnsTimeline = {};
+                payload.measurementDuration = 0;
+                ALL_KEY_TYPES.filter(key => key.match(/^(tcp|doh|dot)/)).forEach(key => {
+                    assert.isArray(payload.dnsData[key]);
+                    assert.isFalse(payload.dnsSummary[key].expected);
+                    delete payload.dnsData[key];
+                    delete payload.dnsSummary[key];
+                });
                 assert.deepEqual(
                     payload,
                     expected,
                     "should have all the expected data"
                 );
                 assert.deepEqual(Object.keys(dnsQueryInfo).sort(), ALL_KEY_TYPES.sort());
+                assert.deepEqual(Object.keys(dnsTimeline).sort(), ALL_KEY_TYPES.sort());
+                ALL_KEY_TYPES.forEach(key => {
+                    assert.lengthOf(dnsTimeline[key], 1);
+                    const [nameserver, transport, sent, ended, rtt, , outcome] = dnsTimeline[key][0];
+                    assert.equal(transport, key.split("-")[0]);
+                    assert.equal(nameserver, transport === "webext" ? null : 0);
+                    assert.isAtMost(sent, ended);
+                    assert.isAtLeast(rtt, 0);
+                    assert.equal(outcome, "response");
+                });
+                assert.isAtLeast(measurementDuration, 0);
                 return true;
             });
         });
+        it("should record the order queries started in, keeping ordered groups in order", async () => {
+            await run({ concurrency: 4 });
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsQueryInfo, concurrency}) => {
+                const orders = Object.values(dnsQueryInfo).map(({order}) => order).sort((a, b) => a - b);
+                assert.deepEqual(orders, ALL_KEY_TYPES.map((key, index) => index));
+                assert.isBelow(dnsQueryInfo["webext-A-prefix"].order, dnsQueryInfo["udp-NEWONE-afirst"].order);
+                assert.equal(concurrency, 4);
+                return true;
+            });
+        });
+        it("should send STUDY_ERROR_PAYLOAD_INVALID instead of a ping the pipeline would drop", async () => {
+            await run({ uuid: "not-a-uuid" });
+
+            const pings = browser.telemetry.submitPing.getCalls().map(call => call.args[1]);
+            assert.isNotEmpty(pings);
+            pings.forEach(ping => {
+                assert.equal(ping.reason, "STUDY_ERROR_PAYLOAD_INVALID");
+                assert.deepEqual(ping.payloadErrors, ["measurementID: doesn't match ^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$"]);
+            });
+            assert.deepEqual(pings.map(({invalidReason}) => invalidReason), [STUDY_START, STUDY_MEASUREMENT_COMPLETED]);
+        });
+        it("should resubmit a measurement that failed to submit on the next run", async () => {
+            const storage = setupStorage();
+            browser.telemetry.submitPing.withArgs(TELEMETRY_TYPE, sinon.match.has("reason", STUDY_MEASUREMENT_COMPLETED)).rejects(new Error("Too big"));
+            await run();
+            assert.lengthOf(storage.outbox, 1);
+
+            browser.telemetry.submitPing.reset();
+            await run({ uuid: uuidv4() });
+
+            const completed = browser.telemetry.submitPing.getCalls()
+                .map(call => call.args[1])
+                .filter(({reason}) => reason === STUDY_MEASUREMENT_COMPLETED);
+            assert.deepEqual(completed.map(({measurementID, retryCount}) => [measurementID, retryCount]).sort(), [
+                [FAKE_UUID, 1],
+                [completed.find(({measurementID}) => measurementID !== FAKE_UUID).measurementID, 0]
+            ].sort());
+            assert.isEmpty(storage.outbox);
+        });
+        it("should keep the measurement for the next run if the last fetch test fails", async () => {
+            const storage = setupStorage();
+            let fetchTests = 0;
+            global.fetch.withArgs(FETCH_ENDPOINT).callsFake(async () => {
+                if (++fetchTests > 1) {
+                    throw new Error("Offline");
+                }
+                return {text: async () => EXPECTED_FETCH_RESPONSE};
+            });
+            try {
+                await run();
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, "STUDY_ERROR_FETCH_FAILED");
+            }
+            global.fetch.withArgs(FETCH_ENDPOINT).resetBehavior();
+            sinon.assert.neverCalledWithMatch(browser.telemetry.submitPing, TELEMETRY_TYPE, {reason: STUDY_MEASUREMENT_COMPLETED});
+            assert.lengthOf(storage.outbox, 1);
+
+            browser.sinonSandbox.resetHistory();
+            mockFetch(FETCH_ENDPOINT, EXPECTED_FETCH_RESPONSE);
+            await run({ uuid: uuidv4() });
+            sinon.assert.calledWithMatch(browser.telemetry.submitPing, TELEMETRY_TYPE, {
+                reason: STUDY_MEASUREMENT_COMPLETED,
+                measurementID: FAKE_UUID,
+                retryCount: 0
+            });
+        });
+        it("should send what was measured as STUDY_MEASUREMENT_INTERRUPTED if the measurement didn't finish", async () => {
+            const storage = setupStorage();
+            // Fail once all the queries are done, when queueing the measurement
+            browser.storage.local.set.withArgs(sinon.match(({outbox}) => outbox?.length > 0)).rejects(new Error("Shut down"));
+            try {
+                await run();
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, "Shut down");
+            }
+            assert.lengthOf(storage.checkpoint, 1);
+
+            browser.telemetry.submitPing.resetHistory();
+            setupStorage(storage);
+            await run({ uuid: uuidv4() });
+            assertPingSent(STUDY_MEASUREMENT_INTERRUPTED, ({measurementID, retryCount, dnsData, dnsAttempts, dnsSummary}) => {
+                assert.equal(measurementID, FAKE_UUID);
+                assert.equal(retryCount, 0);
+                assert.deepEqual(Object.keys(dnsAttempts).sort(), ALL_KEY_TYPES.sort());
+                assert.deepEqual(dnsData["udp-A"], FAKE_DNSQUERY_RESP);
+                assert.isUndefined(dnsSummary);
+                return true;
+            });
+            assert.isEmpty(storage.checkpoint);
+        });
+        it("should save what was measured every so often, not after every query", async () => {
+            setupStorage();
+            await run();
+
+            const checkpoints = browser.storage.local.set.getCalls()
+                .map(call => call.args[0])
+                .filter(values => "checkpoint" in values && !("outbox" in values));
+            // After the first query, then once they're all done
+            assert.lengthOf(checkpoints, 2);
+            assert.deepEqual(Object.keys(checkpoints[1].checkpoint[0].dnsAttempts).sort(), ALL_KEY_TYPES.sort());
+        });
+        it("should tag every ping with what started the run and the network it's on", async () => {
+            await run({ trigger: "networkChange", networkID: "0123456789abcdef" });
+
+            const pings = browser.telemetry.submitPing.getCalls().map(call => call.args[1]);
+            assert.deepEqual(pings.map(({reason}) => reason), [STUDY_START, STUDY_MEASUREMENT_COMPLETED]);
+            pings.forEach(ping => {
+                assert.include(ping, {trigger: "networkChange", networkID: "0123456789abcdef"});
+            });
+        });
+        it("should end the study once it has run enough times", async () => {
+            const storage = setupStorage();
+            await run({ limits: {maxRuns: 2, expires: null} });
+            await run({ limits: {maxRuns: 2, expires: null} });
+            sinon.assert.notCalled(browser.management.uninstallSelf);
+
+            browser.telemetry.submitPing.resetHistory();
+            try {
+                await run({ limits: {maxRuns: 2, expires: null} });
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, STUDY_ENDED);
+            }
+            sinon.assert.calledOnce(browser.telemetry.submitPing);
+            assertPingSent(STUDY_ENDED, ({endReason, runCount}) => {
+                assert.equal(endReason, "maxRuns");
+                assert.equal(runCount, 2);
+                return true;
+            });
+            sinon.assert.calledOnce(browser.management.uninstallSelf);
+            assert.include(storage.lifecycle, {runs: 2, ended: "maxRuns"});
+
+            // Only say so once
+            browser.telemetry.submitPing.resetHistory();
+            try {
+                await run();
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, STUDY_ENDED);
+            }
+            sinon.assert.notCalled(browser.telemetry.submitPing);
+            sinon.assert.calledTwice(browser.management.uninstallSelf);
+        });
+        it("should only count runs that get to measure", async () => {
+            const storage = setupStorage();
+            try {
+                await run({plan: {id: "broken", version: 1, apexDomains: [APEX_DOMAIN_NAME], groups: "none"}});
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, "STUDY_ERROR_PLAN_INVALID");
+            }
+            browser.captivePortal.getState.resolves("locked_portal");
+            try {
+                await run({captivePortalTimeout: 20});
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, "STUDY_ERROR_CAPTIVE_PORTAL_TIMEOUT");
+            } finally {
+                browser.captivePortal.getState.resolves("not_captive");
+            }
+            assert.notProperty(storage, "lifecycle");
+
+            await run();
+            assert.include(storage.lifecycle, {runs: 1, ended: null});
+        });
+        it("should end the study when the study config turns it off", async () => {
+            global.fetch.withArgs(STUDY_CONFIG_URL).resolves({ok: true, json: async () => ({enabled: false})});
+            try {
+                await run();
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, STUDY_ENDED);
+            } finally {
+                global.fetch.withArgs(STUDY_CONFIG_URL).resetBehavior();
+            }
+            assertPingSent(STUDY_ENDED, ({endReason}) => endReason === "killSwitch");
+            sinon.assert.neverCalledWithMatch(browser.telemetry.submitPing, TELEMETRY_TYPE, {reason: STUDY_START});
+            sinon.assert.calledOnce(browser.management.uninstallSelf);
+        });
+        it("should split the measurement into pings under the payload budget", async () => {
+            const payloadBudget = 20000;
+            await run({ payloadBudget });
+
+            const parts = browser.telemetry.submitPing.getCalls()
+                .map(call => call.args[1])
+                .filter(({reason}) => reason === STUDY_MEASUREMENT_COMPLETED);
+            assert.isAbove(parts.length, 1);
+            parts.forEach((part, i) => {
+                validatePayload(part);
+                assert.isAtMost(Buffer.byteLength(JSON.stringify(part)), payloadBudget);
+                assert.include(part, {part: i, parts: parts.length, measurementID: FAKE_UUID});
+            });
+            const { dnsData, dnsQueryInfo } = decodePayload(parts);
+            assert.hasAllKeys(dnsQueryInfo, ALL_KEY_TYPES);
+            assert.deepEqual(dnsData["udp-A"], FAKE_DNSQUERY_RESP);
+        });
         it("should send a STUDY_MEASUREMENT_COMPLETED ping with the correct data when udp reattempts were made", async () => {
             const expectedAttempts = {};
             const expectedData = {};
@@ -291,17 +761,23 @@ describe("dns-test.js", () => {
 
             ALL_KEY_TYPES.forEach(key => {
                 expectedAttempts[key] = key.match(/^udp/) ? 2 : 1
-                expectedData[key] = key.match(/^webext/) ? FAKE_WEBEXT_RESP : FAKE_DNSQUERY_RESP;
+                // TCP, DoH and DoT responses echo the query
+                if (!key.match(/^(tcp|doh|dot)/)) {
+                    expectedData[key] = key.match(/^webext/) ? FAKE_WEBEXT_RESP : FAKE_DNSQUERY_RESP;
+                }
             });
 
-            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsAttempts, dnsData, dnsQueryErrors}) => {
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsAttempts, dnsData, dnsQueryErrors, dnsTimeline}) => {
                 assert.deepEqual(
                     dnsAttempts,
                     expectedAttempts,
                     "dnsAttempts should exist and have 1 attempt"
                 );
+                const [failed, answered] = dnsTimeline["udp-A"];
+                assert.deepEqual([failed[0], failed[1], failed[4], failed[5], failed[6]], [0, "udp", null, null, "STUDY_ERROR_UDP_MISC"]);
+                assert.deepEqual([answered[0], answered[1], answered[5], answered[6]], [1, "udp", FAKE_DNSQUERY_RESP.length, "response"]);
                 assert.includeDeepMembers(
-                    dnsQueryErrors,
+                    queryErrorKeys(dnsQueryErrors),
                     [
                         {
                             reason: 'STUDY_ERROR_UDP_MISC',
@@ -316,11 +792,311 @@ describe("dns-test.js", () => {
                     ],
                     "errors were logged"
                 );
-                assert.deepEqual(
-                    dnsData,
-                    expectedData,
-                    "dnsData should exist and have the right response"
-                );
+                Object.keys(expectedData).forEach(key => {
+                    assert.deepEqual(
+                        dnsData[key],
+                        expectedData[key],
+                        "dnsData should exist and have the right response"
+                    );
+                });
+                return true;
+            });
+        });
+
+        it("should query IPv6 nameservers under separate keys", async () => {
+            browser.experiments.resolvconf.readNameserversWin.resolves([...FAKE_NAMESERVERS, ...FAKE_NAMESERVERS_IPV6]);
+            browser.experiments.udpsocket.sendDNSQuery.withArgs(FAKE_NAMESERVERS_IPV6[0]).resolves({response: Buffer.from([4, 5, 6]), mismatched: [], received: []});
+
+            await run();
+
+            sinon.assert.calledWithMatch(browser.dns.resolve, APEX_DOMAIN_NAME, ["bypass_cache", "disable_ipv4", "disable_trr"]);
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, nameserverCounts}) => {
+                assert.deepEqual(nameserverCounts, {ipv4: 2, ipv6: 1});
+                ALL_KEY_TYPES.filter(key => key.match(/^udp/)).forEach(key => {
+                    assert.deepEqual(dnsData[key], FAKE_DNSQUERY_RESP);
+                    assert.deepEqual(dnsData[key + "-6"], [4, 5, 6]);
+                });
+                assert.notProperty(dnsData, "webext-A-6");
+                return true;
+            });
+        });
+
+        it("should report the systemd-resolved nameservers source on Linux", async () => {
+            browser.runtime.getPlatformInfo.resolves({os: "linux"});
+            browser.experiments.resolvconf.readNameserversLinux.resolves({
+                nameservers: FAKE_NAMESERVERS,
+                source: "systemd-resolved"
+            });
+
+            await run();
+
+            sinon.assert.calledWithMatch(browser.experiments.udpsocket.sendDNSQuery, FAKE_NAMESERVERS[0]);
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({nameserversSource}) => {
+                assert.equal(nameserversSource, "systemd-resolved");
+                return true;
+            });
+        });
+
+        it("should re-transmit UDP queries according to the resolvconf options", async () => {
+            browser.runtime.getPlatformInfo.resolves({os: "mac"});
+            browser.experiments.resolvconf.readNameserversMac.resolves({
+                nameservers: FAKE_NAMESERVERS,
+                options: {timeout: 2, attempts: 1, rotate: true},
+                source: "resolvconf"
+            });
+            browser.experiments.udpsocket.sendDNSQuery.rejects(new Error("STUDY_ERROR_UDP_QUERY_TIMEOUT"));
+
+            await run();
+
+            sinon.assert.neverCalledWith(browser.experiments.udpsocket.sendDNSQuery, sinon.match.any, sinon.match.any, sinon.match.any, 5000);
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, FAKE_NAMESERVERS[1], sinon.match.any, sinon.match.any, 2000);
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsAttempts, resolvconfOptions}) => {
+                assert.deepEqual(resolvconfOptions, {timeout: 2000, attempts: 1, rotate: true});
+                ALL_KEY_TYPES.filter(key => key.match(/^udp/)).forEach(key => {
+                    assert.equal(dnsAttempts[key], FAKE_NAMESERVERS.length);
+                });
+                return true;
+            });
+        });
+
+        it("should record UDP packets that don't match the query", async () => {
+            const forged = Buffer.from([0, 0, 0x80, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+            browser.experiments.udpsocket.sendDNSQuery.resolves({response: Buffer.from(FAKE_DNSQUERY_RESP), mismatched: [forged], received: []});
+
+            await run();
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsMismatchedData, dnsQueryErrors}) => {
+                assert.deepEqual(dnsData["udp-NEWONE"], FAKE_DNSQUERY_RESP);
+                assert.deepEqual(dnsMismatchedData["udp-NEWONE"], [Array.from(forged)]);
+                assert.includeDeepMembers(queryErrorKeys(dnsQueryErrors), [{
+                    reason: "STUDY_ERROR_UDP_TXID_MISMATCH",
+                    errorRRTYPE: "udp-NEWONE",
+                    errorAttempt: 1
+                }]);
+                return true;
+            });
+        });
+
+        it("should re-transmit when only mismatched UDP packets arrive", async () => {
+            const forged = Buffer.from([0, 0, 0x80, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+            browser.experiments.udpsocket.sendDNSQuery.resolves({response: null, mismatched: [forged], received: []});
+
+            await run();
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsAttempts, dnsQueryErrors}) => {
+                assert.notProperty(dnsData, "udp-NEWONE");
+                assert.equal(dnsAttempts["udp-NEWONE"], 3 * FAKE_NAMESERVERS.length);
+                assert.isOk(dnsQueryErrors.some(({reason, errorRRTYPE}) =>
+                    reason === "STUDY_ERROR_UDP_QUERY_TIMEOUT" && errorRRTYPE === "udp-NEWONE"
+                ));
+                return true;
+            });
+        });
+
+        it("should report every response received within the listening window", async () => {
+            const received = [
+                {data: Buffer.from([1, 2, 3]), offset: 12, matched: true},
+                {data: Buffer.from([4, 5, 6]), offset: 40, matched: true}
+            ];
+            browser.experiments.udpsocket.sendDNSQuery.resolves({response: received[0].data, mismatched: [], received});
+
+            await run();
+
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, sinon.match.any, sinon.match.any, "A", 5000, 2000);
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsAllResponses}) => {
+                assert.deepEqual(dnsData["udp-A-window"], [1, 2, 3]);
+                assert.deepEqual(dnsAllResponses, {
+                    "udp-A-window": [
+                        {data: [1, 2, 3], offset: 12, matched: true},
+                        {data: [4, 5, 6], offset: 40, matched: true}
+                    ]
+                });
+                return true;
+            });
+        });
+
+        it("should retry truncated UDP responses over TCP", async () => {
+            const truncated = Buffer.from([0, 0, 0x82, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+            browser.experiments.udpsocket.sendDNSQuery.withArgs(sinon.match.any, sinon.match.any, "AAAA")
+                .resolves({response: truncated, mismatched: [], received: []});
+
+            await run();
+
+            sinon.assert.calledWithMatch(sendDNSQuery.tcp, "udp-AAAA-TCP", APEX_DOMAIN_NAME, {rrtype: "AAAA"}, FAKE_NAMESERVERS);
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsTCPFallbacks, dnsSummary, dnsQueryInfo}) => {
+                assert.deepEqual(dnsData["udp-AAAA"], Array.from(truncated));
+                assert.isArray(dnsData["udp-AAAA-TCP"]);
+                assert.isAbove(dnsQueryInfo["udp-AAAA-TCP"].order, dnsQueryInfo["udp-AAAA"].order);
+                assert.isAtLeast(dnsQueryInfo["udp-AAAA-TCP"].timestamp, dnsQueryInfo["udp-AAAA"].timestamp);
+                assert.isTrue(dnsSummary["udp-AAAA"].tc);
+                assert.isFalse(dnsSummary["udp-AAAA-TCP"].tc);
+                assert.deepEqual(dnsTCPFallbacks, {
+                    "udp-AAAA": {fallbackKey: "udp-AAAA-TCP", fallbackSucceeded: true},
+                    "udp-AAAA-U": {fallbackKey: "udp-AAAA-U-TCP", fallbackSucceeded: true}
+                });
+                return true;
+            });
+        });
+
+        it("should not count a failed TCP fallback as a UDP failure", async () => {
+            const truncated = Buffer.from([0, 0, 0x82, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+            browser.experiments.udpsocket.sendDNSQuery.withArgs(sinon.match.any, sinon.match.any, "AAAA")
+                .resolves({response: truncated, mismatched: [], received: []});
+            const { tcp } = sendDNSQuery;
+            sendDNSQuery.tcp = async (key, ...args) => {
+                if (key.endsWith("-TCP")) {
+                    throw new Error("STUDY_ERROR_TCP_ENCODE");
+                }
+                return tcp(key, ...args);
+            };
+
+            let error;
+            try {
+                await run();
+            } catch(e) {
+                error = e;
+            } finally {
+                sendDNSQuery.tcp = tcp;
+            }
+
+            assert.equal(error?.message, "STUDY_ERROR_TCP_ENCODE");
+            // The UDP response was already stored, so the next nameserver isn't tried
+            sinon.assert.neverCalledWith(browser.experiments.udpsocket.sendDNSQuery, FAKE_NAMESERVERS[1], sinon.match.any, "AAAA");
+        });
+
+        it("should record a TCP fallback that got no response", async () => {
+            const truncated = Buffer.from([0, 0, 0x82, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+            browser.experiments.udpsocket.sendDNSQuery.withArgs(sinon.match.any, sinon.match.any, "AAAA")
+                .resolves({response: truncated, mismatched: [], received: []});
+            browser.experiments.tcpsocket.sendDNSQuery.rejects(new Error("STUDY_ERROR_TCP_CONNECTION_REFUSED: ConnectionRefusedError"));
+
+            await run();
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsTCPFallbacks, dnsQueryErrors}) => {
+                assert.notProperty(dnsData, "udp-AAAA-TCP");
+                assert.deepEqual(dnsTCPFallbacks["udp-AAAA"], {fallbackKey: "udp-AAAA-TCP", fallbackSucceeded: false});
+                const { elapsed, ...record } = dnsQueryErrors.find(({errorRRTYPE}) => errorRRTYPE === "udp-AAAA-TCP");
+                assert.deepEqual(record, {
+                    reason: "STUDY_ERROR_TCP_CONNECTION_REFUSED",
+                    errorRRTYPE: "udp-AAAA-TCP",
+                    errorAttempt: 1,
+                    phase: "send",
+                    transport: "tcp",
+                    nameserverIndex: 0,
+                    cause: "ConnectionRefusedError"
+                });
+                assert.isAtLeast(elapsed, 0);
+                return true;
+            });
+        });
+
+        it("should report the outcome of each EDNS0 buffer size probe", async () => {
+            // The resolver truncates responses bigger than the advertised
+            // size, and the path drops anything that needs fragmenting
+            browser.experiments.udpsocket.sendDNSQuery.callsFake(async (addr, buf) => {
+                const { questions: [{ name }], additionals } = DNS_PACKET.decode(buf);
+                const responseSize = Number((name.match(/^size-(\d+)\./) || [0, buf.length])[1]);
+                const response = fakeResponse(buf);
+                if (additionals.length && responseSize > additionals[0].udpPayloadSize) {
+                    response[2] |= 0x02;
+                    return {response, mismatched: [], received: []};
+                }
+                if (responseSize > 1400) {
+                    throw new Error("STUDY_ERROR_UDP_QUERY_TIMEOUT");
+                }
+                if (responseSize === 1200) {
+                    // Something on the path strips records rather than
+                    // setting the TC bit
+                    return {response: Buffer.concat([response, Buffer.alloc(1000 - response.length)]), mismatched: [], received: []};
+                }
+                return {response: Buffer.concat([response, Buffer.alloc(responseSize - response.length)]), mismatched: [], received: []};
+            });
+
+            await run();
+
+            sinon.assert.calledWithMatch(sendDNSQuery.udp, "udp-TXT-E1232-R1350", "size-1350." + APEX_DOMAIN_NAME, {rrtype: "TXT", udpPayloadSize: 1232});
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({ednsSizes, ednsLargestDelivered, dnsTCPFallbacks}) => {
+                assert.deepEqual(ednsSizes["udp-TXT-E4096-R1350"], {advertised: 4096, expected: 1350, received: 1350, outcome: "delivered"});
+                assert.deepEqual(ednsSizes["udp-TXT-E4096-R1800"], {advertised: 4096, expected: 1800, received: null, outcome: "lost"});
+                assert.equal(ednsSizes["udp-TXT-E1232-R1350"].outcome, "truncated");
+                assert.equal(ednsSizes["udp-TXT-E512-R450"].outcome, "delivered");
+                assert.deepEqual(ednsSizes["udp-TXT-E4096-R1200"], {advertised: 4096, expected: 1200, received: 1000, outcome: "shrunk"});
+                assert.deepEqual(ednsLargestDelivered, {ipv4: 1350});
+                assert.property(dnsTCPFallbacks, "udp-TXT-E1232-R1350");
+                return true;
+            });
+        });
+
+        it("should advertise the EDNS0 UDP payload size over TCP too", () => {
+            const { buf } = encodeTCPQuery(APEX_DOMAIN_NAME, {rrtype: "A", dnssec_ok: true, udpPayloadSize: 1232});
+            const { additionals } = DNS_PACKET.streamDecode(buf);
+            assert.equal(additionals[0].udpPayloadSize, 1232);
+        });
+
+        it("should send DoH queries with GET and POST", async () => {
+            await run();
+
+            const getRequest = dohServer.requests.find(({method, queryBuf}) =>
+                method === "GET" && DNS_PACKET.decode(queryBuf).questions[0].type === "DNSKEY"
+            );
+            const postRequest = dohServer.requests.find(({method, queryBuf}) =>
+                method === "POST" && DNS_PACKET.decode(queryBuf).questions[0].type === "DNSKEY"
+            );
+            for (const {headers, queryBuf} of [getRequest, postRequest]) {
+                assert.equal(headers.accept, "application/dns-message");
+                assert.equal(queryBuf.readUInt16BE(0), 0);
+            }
+            assert.equal(postRequest.headers["content-type"], "application/dns-message");
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsSummary}) => {
+                assert.deepEqual(dnsData["doh-DNSKEYDO-POST"], Array.from(fakeResponse(postRequest.queryBuf)));
+                assert.equal(dnsSummary["doh-DNSKEYDO"].rcode, "NOERROR");
+                return true;
+            });
+        });
+
+        it("should record DoH responses that aren't DNS messages", async () => {
+            dohHandler = (queryBuf, res) => {
+                const { questions: [{ type }] } = DNS_PACKET.decode(queryBuf);
+                if (type === "A") {
+                    res.writeHead(200, {"Content-Type": "text/html"});
+                    res.end("<h1>Please log in</h1>");
+                } else {
+                    res.writeHead(403);
+                    res.end();
+                }
+            };
+
+            await run();
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsQueryErrors}) => {
+                assert.notProperty(dnsData, "doh-A");
+                assert.includeDeepMembers(queryErrorKeys(dnsQueryErrors), [
+                    {reason: "STUDY_ERROR_DOH_CONTENT_TYPE", errorRRTYPE: "doh-A", errorAttempt: 1},
+                    {reason: "STUDY_ERROR_DOH_HTTP_STATUS", errorRRTYPE: "doh-NEWONE-POST", errorAttempt: 1}
+                ]);
+                const statusError = dnsQueryErrors.find(({reason}) => reason === "STUDY_ERROR_DOH_HTTP_STATUS");
+                assert.include(statusError, {phase: "receive", transport: "doh", cause: "403"});
+                assert.include(dnsQueryErrors.find(({reason}) => reason === "STUDY_ERROR_DOH_CONTENT_TYPE"), {phase: "parse", cause: null});
+                return true;
+            });
+        });
+
+        it("should send DoT queries over TLS to port 853", async () => {
+            browser.experiments.tcpsocket.sendDNSQuery.withArgs("192.0.2.53", sinon.match.any, {port: 853, tls: true, timeout: 60000})
+                .rejects(new Error("STUDY_ERROR_DOT_CERTIFICATE"));
+
+            await run({dotServer: "192.0.2.53"});
+
+            sinon.assert.calledWith(browser.experiments.tcpsocket.sendDNSQuery, FAKE_NAMESERVERS[0], sinon.match.any, {port: 53, tls: false, timeout: 60000});
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsQueryErrors, dotServer}) => {
+                assert.equal(dotServer, "192.0.2.53");
+                assert.notProperty(dnsData, "dot-A");
+                assert.property(dnsData, "tcp-A");
+                assert.includeDeepMembers(queryErrorKeys(dnsQueryErrors), [{
+                    reason: "STUDY_ERROR_DOT_CERTIFICATE",
+                    errorRRTYPE: "dot-A",
+                    errorAttempt: 1
+                }]);
                 return true;
             });
         });
@@ -336,10 +1112,245 @@ describe("dns-test.js", () => {
         });
     });
 
-    describe.skip("queries", () => {
-        it("should send two control queries, one basic and one to the per-client domain", async () => {
+    describe("custom plan", () => {
+        const customPlan = {
+            id: "custom-test",
+            version: 7,
+            apexDomains: [APEX_DOMAIN_NAME],
+            groups: [{probes: [{transport: "udp", query: {rrtype: "DS"}}]}]
+        };
+
+        it("should measure with the plan it's given", async () => {
+            await run({plan: customPlan});
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, planID, planVersion}) => {
+                assert.deepEqual(Object.keys(dnsData), ["udp-DS"]);
+                assert.equal(planID, "custom-test");
+                assert.equal(planVersion, 7);
+                return true;
+            });
+        });
+
+        it("should compare queries to the authoritative servers with the recursive path", async () => {
+            const AUTH_SERVER = "192.0.2.1";
+            const plan = {
+                ...customPlan,
+                authoritativeServers: [AUTH_SERVER, "2001:db8::1"],
+                groups: [{matrix: {transports: ["udp", "auth"], perClient: [false], rrtypes: ["DS"]}}]
+            };
+            // Our server signs its answers, but the path to the resolver
+            // strips the signatures
+            browser.experiments.udpsocket.sendDNSQuery.callsFake(async (addr, buf) => {
+                const query = DNS_PACKET.decode(buf);
+                const answers = [{type: "DS", name: query.questions[0].name, ttl: 300, data: {
+                    keyTag: 1, algorithm: 13, digestType: 2, digest: Buffer.alloc(32)
+                }}];
+                if (addr === AUTH_SERVER) {
+                    assert.isFalse(query.flag_rd);
+                    answers.push({type: "RRSIG", name: query.questions[0].name, ttl: 300, data: {
+                        typeCovered: "DS", algorithm: 13, labels: 2, originalTTL: 300, expiration: 1700000000,
+                        inception: 1600000000, keyTag: 1, signersName: APEX_DOMAIN_NAME, signature: Buffer.alloc(64)
+                    }});
+                }
+                const response = DNS_PACKET.encode({type: "response", id: query.id, questions: query.questions, answers});
+                return {response, mismatched: [], received: []};
+            });
+
+            await run({plan});
+
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, AUTH_SERVER);
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, "2001:db8::1");
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, dnsAuthPairs}) => {
+                assert.hasAllKeys(dnsData, ["udp-DS", "auth-DS", "auth-DS-6"]);
+                assert.deepEqual(dnsAuthPairs, {
+                    "auth-DS": {
+                        recursiveKey: "udp-DS",
+                        authoritativeAnswered: true,
+                        recursiveAnswered: true,
+                        missingFromRecursive: ["rrsig"]
+                    }
+                });
+                return true;
+            });
+        });
+
+        it("should find the authoritative servers if the plan doesn't list them", async () => {
+            const plan = {...customPlan, groups: [{probes: [{transport: "auth", query: {rrtype: "DS"}}]}]};
+            browser.experiments.udpsocket.sendDNSQuery.callsFake(async (addr, buf) => {
+                const query = DNS_PACKET.decode(buf);
+                const { name, type } = query.questions[0];
+                const answers = type === "NS"
+                    ? [{type: "NS", name, ttl: 300, data: "ns1." + APEX_DOMAIN_NAME}, {type: "NS", name, ttl: 300, data: "ns2." + APEX_DOMAIN_NAME}]
+                    : [];
+                return {response: DNS_PACKET.encode({type: "response", id: query.id, questions: query.questions, answers}), mismatched: [], received: []};
+            });
+            browser.dns.resolve.withArgs("ns1." + APEX_DOMAIN_NAME).resolves({addresses: ["192.0.2.53", "2001:db8::53"]});
+            browser.dns.resolve.withArgs("ns2." + APEX_DOMAIN_NAME).rejects(new Error("NS_ERROR_UNKNOWN_HOST"));
+
+            await run({plan});
+
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, FAKE_NAMESERVERS[0], sinon.match.any, "NS");
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, "192.0.2.53", sinon.match.any, "DS");
+            sinon.assert.calledWith(browser.experiments.udpsocket.sendDNSQuery, "2001:db8::53", sinon.match.any, "DS");
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData}) => {
+                assert.hasAllKeys(dnsData, ["auth-DS", "auth-DS-6"]);
+                return true;
+            });
+        });
+
+        it("should record auth failures under their own codes", async () => {
+            const plan = {
+                ...customPlan,
+                authoritativeServers: ["192.0.2.1"],
+                retryPolicies: {auth: {attempts: 1}},
+                groups: [{probes: [{transport: "auth", query: {rrtype: "DS"}}, {transport: "auth", query: {rrtype: "A"}}]}]
+            };
+            browser.experiments.udpsocket.sendDNSQuery.callsFake(async (addr, buf, rrtype) => {
+                if (rrtype === "A") {
+                    throw new Error("STUDY_ERROR_UDP_BYTES_WRITTEN");
+                }
+                return {response: null, mismatched: [Buffer.from(FAKE_DNSQUERY_RESP)], received: []};
+            });
+
+            await run({plan});
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsQueryErrors}) => {
+                assert.sameDeepMembers(queryErrorKeys(dnsQueryErrors), [
+                    {reason: "STUDY_ERROR_AUTH_TXID_MISMATCH", errorRRTYPE: "auth-DS", errorAttempt: 1},
+                    {reason: "STUDY_ERROR_AUTH_QUERY_TIMEOUT", errorRRTYPE: "auth-DS", errorAttempt: 1},
+                    {reason: "STUDY_ERROR_AUTH_BYTES_WRITTEN", errorRRTYPE: "auth-A", errorAttempt: 1}
+                ]);
+                assert.isTrue(dnsQueryErrors.every(({transport}) => transport === "auth"));
+                return true;
+            });
+        });
+
+        it("should retry with the plan's retry policies", async () => {
+            const plan = {
+                ...customPlan,
+                retryPolicies: {udp: {attempts: 2, backoff: 2}, tcp: {attempts: 2, timeout: 1000, rotate: true}},
+                groups: [{probes: [{transport: "udp", query: {rrtype: "DS"}}, {transport: "tcp", query: {rrtype: "DS"}}]}]
+            };
+            browser.experiments.udpsocket.sendDNSQuery.rejects(new Error("STUDY_ERROR_UDP_QUERY_TIMEOUT"));
+            browser.experiments.tcpsocket.sendDNSQuery.rejects(new Error("STUDY_ERROR_TCP_CONNECTION_REFUSED"));
+
+            await run({plan});
+
+            const udpTimeouts = browser.experiments.udpsocket.sendDNSQuery.getCalls().map(call => call.args[3]);
+            assert.deepEqual(udpTimeouts, [5000, 5000, 10000, 10000]);
+            const tcpCalls = browser.experiments.tcpsocket.sendDNSQuery.getCalls().map(call => [call.args[0], call.args[2].timeout]);
+            assert.deepEqual(tcpCalls, [
+                [FAKE_NAMESERVERS[0], 1000], [FAKE_NAMESERVERS[1], 1000], [FAKE_NAMESERVERS[0], 1000], [FAKE_NAMESERVERS[1], 1000]
+            ]);
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsAttempts, retryPolicies}) => {
+                assert.deepEqual(dnsAttempts, {"udp-DS": 4, "tcp-DS": 4});
+                assert.deepEqual(retryPolicies.udp, {attempts: 2, timeout: 5000, backoff: 2, maxTimeout: 30000, rotate: false, adaptive: false});
+                assert.deepEqual(retryPolicies.tcp, {attempts: 2, timeout: 1000, backoff: 1, maxTimeout: 60000, rotate: true, adaptive: false});
+                return true;
+            });
+        });
+    });
+
+    describe("remote plan", () => {
+        const REMOTE_PLAN_URL = "https://example.com/plan.json";
+        const remotePlan = {
+            id: "remote-test",
+            version: 7,
+            apexDomains: [APEX_DOMAIN_NAME],
+            groups: [{probes: [{transport: "udp", query: {rrtype: "DS"}}]}]
+        };
+        let signingKey;
+
+        async function serveRemotePlan(signWith, planToServe = remotePlan) {
+            const keyPair = await crypto.subtle.generateKey({name: "ECDSA", namedCurve: "P-256"}, true, ["sign", "verify"]);
+            signingKey = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+            const planText = JSON.stringify(planToServe);
+            const signature = await crypto.subtle.sign(
+                {name: "ECDSA", hash: "SHA-256"}, signWith || keyPair.privateKey, new TextEncoder().encode(planText)
+            );
+            global.fetch.withArgs(REMOTE_PLAN_URL).resolves({ok: true, text: async () => planText});
+            global.fetch.withArgs(REMOTE_PLAN_URL + ".sig").resolves({ok: true, text: async () => Buffer.from(signature).toString("base64")});
+        }
+
+        function assertBundledPlanUsed(expectedError) {
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, planID, planSource, remotePlanError}) => {
+                assert.property(dnsData, "udp-NEWONE");
+                assert.equal(planID, "dnssec-interference");
+                assert.equal(planSource, "bundled");
+                assert.equal(remotePlanError, expectedError);
+                return true;
+            });
+        }
+
+        it("should measure with a correctly signed remote plan", async () => {
+            await serveRemotePlan();
+            await run({remotePlan: {url: REMOTE_PLAN_URL, signingKey}});
+
+            assertPingSent(STUDY_MEASUREMENT_COMPLETED, ({dnsData, planID, planVersion, planSource, remotePlanError}) => {
+                assert.deepEqual(Object.keys(dnsData), ["udp-DS"]);
+                assert.equal(planID, "remote-test");
+                assert.equal(planVersion, 7);
+                assert.equal(planSource, "remote");
+                assert.isNull(remotePlanError);
+                return true;
+            });
+        });
+
+        it("should keep the bundled plan if the signature doesn't verify", async () => {
+            const otherKeyPair = await crypto.subtle.generateKey({name: "ECDSA", namedCurve: "P-256"}, true, ["sign", "verify"]);
+            await serveRemotePlan(otherKeyPair.privateKey);
+            await run({remotePlan: {url: REMOTE_PLAN_URL, signingKey}});
+
+            assertBundledPlanUsed("STUDY_ERROR_PLAN_SIGNATURE");
+        });
+
+        it("should keep the bundled plan if a signed remote plan is invalid", async () => {
+            await serveRemotePlan(undefined, {...remotePlan, groups: "none"});
+            await run({remotePlan: {url: REMOTE_PLAN_URL, signingKey}});
+
+            assertBundledPlanUsed("STUDY_ERROR_PLAN_INVALID");
+        });
+
+        it("should keep the bundled plan if the remote plan can't be fetched", async () => {
+            await serveRemotePlan();
+            global.fetch.withArgs(REMOTE_PLAN_URL + ".sig").resolves({ok: false, text: async () => ""});
+            await run({remotePlan: {url: REMOTE_PLAN_URL, signingKey}});
+
+            assertBundledPlanUsed("STUDY_ERROR_PLAN_FETCH_FAILED");
+        });
+    });
+
+    describe("checkResponse", () => {
+        const domain = "Udp-A-U-foo.pc." + APEX_DOMAIN_NAME;
+
+        it("should accept a response to the query", () => {
+            const { id, buf } = encodeUDPQuery(domain, {rrtype: "A"});
+            assert.isNull(checkResponse(fakeResponse(buf), "udp", {id, domain, rrtype: "A"}));
+        });
+        it("should accept a TCP response to the query", () => {
+            const { id, buf } = encodeTCPQuery(domain, {rrtype: "A"});
+            assert.isNull(checkResponse(fakeResponse(buf, 2), "tcp", {id, domain, rrtype: "A"}));
+        });
+        it("should reject a response with a different transaction ID", () => {
+            const { id, buf } = encodeUDPQuery(domain, {rrtype: "A"});
+            assert.equal(checkResponse(fakeResponse(buf), "udp", {id: (id + 1) % 65536, domain, rrtype: "A"}), "STUDY_ERROR_UDP_TXID_MISMATCH");
+        });
+        it("should reject a response with a differently-cased QNAME", () => {
+            const { id, buf } = encodeTCPQuery(domain.toLowerCase(), {rrtype: "A"});
+            assert.equal(checkResponse(fakeResponse(buf, 2), "tcp", {id, domain, rrtype: "A"}), "STUDY_ERROR_TCP_QNAME_MISMATCH");
+        });
+        it("should reject a response with a different QTYPE", () => {
+            const { id, buf } = encodeUDPQuery(domain, {rrtype: "AAAA"});
+            assert.equal(checkResponse(fakeResponse(buf), "udp", {id, domain, rrtype: "A"}), "STUDY_ERROR_UDP_QTYPE_MISMATCH");
+        });
+        it("should reject a response that is too short", () => {
+            assert.equal(checkResponse([1, 2, 3], "udp", {id: 0x0102, domain, rrtype: "A"}), "STUDY_ERROR_UDP_TXID_MISMATCH");
+        });
+    });
+
+    describe("queries", () => {
+        it("should send control queries, to the basic and the per-client domain", async () => {
             await run();
-            sinon.assert.calledTwice(sendDNSQuery.webext);
             sinon.assert.calledWithMatch(sendDNSQuery.webext, "webext-A", APEX_DOMAIN_NAME);
             sinon.assert.calledWithMatch(sendDNSQuery.webext, "webext-A-U", "webext-A-U-" + FAKE_UUID + ".pc." + APEX_DOMAIN_NAME);
         });
@@ -350,5 +1361,12 @@ describe("dns-test.js", () => {
                 sinon.assert.calledWithMatch(sendDNSQuery[transport], ...args);
             });
         });
+
+        it("should send the plan's custom probes to the same names as before", async () => {
+            await run();
+            CUSTOM_PROBE_DOMAINS.forEach(([transport, ...args]) => {
+                sinon.assert.calledWith(sendDNSQuery[transport], ...args);
+            });
+        });
     });
 });
@@ -0,0 +1,158 @@
+/* eslint-env node, mocha */
+
+const DNS_PACKET = require("dns-packet");
+const { assert } = require("chai");
+const { validateResponses } = require("../src/dnssec-validate");
+const { makeZone } = require("./fixtures/signed-zone");
+
+const ZONE = "dnssec-experiment-moz.net";
+const CHILD_ZONE = "sub." + ZONE;
+const NOW = 1700000000 * 1000;
+
+function response(rrtype, name, answers, encode = DNS_PACKET.encode) {
+    return Array.from(encode({
+        type: "response",
+        id: 0,
+        flags: DNS_PACKET.RECURSION_AVAILABLE,
+        questions: [{ type: rrtype, name }],
+        answers,
+        additionals: [{ type: "OPT", name: ".", udpPayloadSize: 4096, flags: DNS_PACKET.DNSSEC_OK }]
+    }));
+}
+
+function details(transport, rrtype, domain, dnssecOk = true) {
+    return { transport, rrtype, domain, dnssecOk };
+}
+
+describe("dnssec-validate.js", () => {
+    let zone;
+    let a = { type: "A", name: ZONE, ttl: 300, data: "192.0.2.1" };
+
+    before(async () => {
+        zone = await makeZone(ZONE, 13);
+    });
+
+    async function dnskeyResponse(z = zone) {
+        return response("DNSKEY", z.dnskey.name, [z.dnskey, await z.sign([z.dnskey])]);
+    }
+
+    it("should find signed answers secure over UDP and TCP", async () => {
+        let rrsig = await zone.sign([a]);
+        let results = await validateResponses({
+            "udp-ADO": response("A", ZONE, [a, rrsig]),
+            "tcp-ADO": response("A", ZONE, [a, rrsig], DNS_PACKET.streamEncode),
+            "udp-DNSKEYDO": await dnskeyResponse()
+        }, {
+            "udp-ADO": details("udp", "A", ZONE),
+            "tcp-ADO": details("tcp", "A", ZONE),
+            "udp-DNSKEYDO": details("udp", "DNSKEY", ZONE)
+        }, [zone.trustAnchor], NOW);
+        assert.deepEqual(results, {
+            "udp-ADO": { status: "secure" },
+            "tcp-ADO": { status: "secure" },
+            "udp-DNSKEYDO": { status: "secure" }
+        });
+    });
+
+    it("should find tampered, stripped and expired answers bogus", async () => {
+        let results = await validateResponses({
+            "udp-ADO": response("A", ZONE, [{ ...a, data: "192.0.2.2" }, await zone.sign([a])]),
+            "tcp-ADO": response("A", ZONE, [a], DNS_PACKET.streamEncode),
+            "doh-ADO": response("A", ZONE, [a, await zone.sign([a], { expiration: 1650000000 })]),
+            "udp-DNSKEYDO": await dnskeyResponse()
+        }, {
+            "udp-ADO": details("udp", "A", ZONE),
+            "tcp-ADO": details("tcp", "A", ZONE),
+            "doh-ADO": details("doh", "A", ZONE),
+            "udp-DNSKEYDO": details("udp", "DNSKEY", ZONE)
+        }, [zone.trustAnchor], NOW);
+        assert.deepEqual(results["udp-ADO"], { status: "bogus", reason: "bad signature" });
+        assert.deepEqual(results["tcp-ADO"], { status: "bogus", reason: "missing RRSIG" });
+        assert.deepEqual(results["doh-ADO"], { status: "bogus", reason: "signature expired" });
+    });
+
+    it("should not trust a DNSKEY that doesn't match the trust anchor", async () => {
+        let results = await validateResponses({
+            "udp-ADO": response("A", ZONE, [a, await zone.sign([a])]),
+            "udp-DNSKEYDO": await dnskeyResponse()
+        }, {
+            "udp-ADO": details("udp", "A", ZONE),
+            "udp-DNSKEYDO": details("udp", "DNSKEY", ZONE)
+        }, [{ ...zone.trustAnchor, digest: "00".repeat(32) }], NOW);
+        assert.deepEqual(results["udp-ADO"], { status: "bogus", reason: "untrusted DNSKEY" });
+    });
+
+    it("should trust a root signed only by the newer of two anchored keys", async () => {
+        // Like the root's KSK-2017 and KSK-2024 after the rollover
+        let oldRoot = await makeZone(".", 8);
+        let newRoot = await makeZone(".", 8);
+        let tld = await makeZone("net", 13);
+        let rootKeys = [oldRoot.dnskey, newRoot.dnskey];
+        let ds = { type: "DS", name: "net", ttl: 3600, data: tld.ds };
+        let responses = {
+            "udp-DNSKEYDO": response("DNSKEY", ".", [...rootKeys, await newRoot.sign(rootKeys)]),
+            "udp-DSDO": response("DS", "net", [ds, await newRoot.sign([ds])])
+        };
+        let queries = {
+            "udp-DNSKEYDO": details("udp", "DNSKEY", "."),
+            "udp-DSDO": details("udp", "DS", "net")
+        };
+
+        let results = await validateResponses(responses, queries, [oldRoot.trustAnchor, newRoot.trustAnchor], NOW);
+        assert.deepEqual(results, {
+            "udp-DNSKEYDO": { status: "secure" },
+            "udp-DSDO": { status: "secure" }
+        });
+        // With only the old key anchored, nothing it trusts signed the keys
+        results = await validateResponses(responses, queries, [oldRoot.trustAnchor], NOW);
+        assert.equal(results["udp-DSDO"].status, "bogus");
+    });
+
+    it("should follow DS records to an RSA-signed child zone", async () => {
+        let child = await makeZone(CHILD_ZONE, 8);
+        let childA = { ...a, name: CHILD_ZONE };
+        let ds = { type: "DS", name: CHILD_ZONE, ttl: 3600, data: child.ds };
+        let results = await validateResponses({
+            "udp-ADO": response("A", CHILD_ZONE, [childA, await child.sign([childA])]),
+            "udp-DSDO": response("DS", CHILD_ZONE, [ds, await zone.sign([ds])]),
+            "tcp-DNSKEYDO": response("DNSKEY", CHILD_ZONE, [child.dnskey, await child.sign([child.dnskey])], DNS_PACKET.streamEncode),
+            "udp-DNSKEYDO": await dnskeyResponse()
+        }, {
+            "udp-ADO": details("udp", "A", CHILD_ZONE),
+            "udp-DSDO": details("udp", "DS", CHILD_ZONE),
+            "tcp-DNSKEYDO": details("tcp", "DNSKEY", CHILD_ZONE),
+            "udp-DNSKEYDO": details("udp", "DNSKEY", ZONE)
+        }, [zone.trustAnchor], NOW);
+        assert.deepEqual(results["udp-ADO"], { status: "secure" });
+    });
+
+    it("should explain why it couldn't validate", async () => {
+        let results = await validateResponses({
+            "udp-A": response("A", ZONE, [a]),
+            "auth-ADO": [1, 2, 3],
+            "udp-A-U": response("A", "dns-study.com", [{ ...a, name: "dns-study.com" }]),
+            "webext-A": ["192.0.2.1"]
+        }, {
+            "udp-A": details("udp", "A", ZONE, false),
+            "auth-ADO": details("auth", "A", ZONE),
+            "doh-ADO": details("doh", "A", ZONE),
+            "udp-A-U": details("udp", "A", "dns-study.com"),
+            "webext-A": details("webext", "A", ZONE)
+        }, [zone.trustAnchor], NOW);
+        assert.deepEqual(results, {
+            "udp-A": { status: "indeterminate", reason: "DO not set" },
+            "auth-ADO": { status: "indeterminate", reason: "parse error" },
+            "doh-ADO": { status: "indeterminate", reason: "no response" },
+            "udp-A-U": { status: "insecure", reason: "no trust anchor" }
+        });
+    });
+
+    it("should say there's no DNSKEY when none was collected", async () => {
+        let results = await validateResponses({
+            "udp-ADO": response("A", ZONE, [a, await zone.sign([a])])
+        }, {
+            "udp-ADO": details("udp", "A", ZONE)
+        }, [zone.trustAnchor], NOW);
+        assert.deepEqual(results["udp-ADO"], { status: "indeterminate", reason: "no DNSKEY" });
+    });
+});
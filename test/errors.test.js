@@ -0,0 +1,42 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const { sanitizeCause, withCause, parseError, errorPhase } = require("../src/errors");
+
+describe("errors.js", () => {
+    it("should keep only the characters of error names and codes in causes", () => {
+        assert.equal(sanitizeCause("NS_ERROR_CONNECTION_REFUSED"), "NS_ERROR_CONNECTION_REFUSED");
+        assert.equal(sanitizeCause(403), "403");
+        assert.equal(sanitizeCause("/home/user/resolv.conf (not found)"), "homeuserresolv.confnotfound");
+        assert.lengthOf(sanitizeCause("E".repeat(100)), 64);
+        assert.isNull(sanitizeCause(undefined));
+        assert.isNull(sanitizeCause(" "));
+    });
+
+    it("should split errors thrown with a cause back into code and cause", () => {
+        const message = withCause("STUDY_ERROR_TCP_NETWORK_MISC", "NetworkError");
+        assert.equal(message, "STUDY_ERROR_TCP_NETWORK_MISC: NetworkError");
+        assert.deepEqual(parseError(new Error(message), "STUDY_ERROR_TCP", "STUDY_ERROR_TCP_MISC"), {
+            reason: "STUDY_ERROR_TCP_NETWORK_MISC",
+            cause: "NetworkError"
+        });
+        assert.deepEqual(parseError(new Error("STUDY_ERROR_TCP_QUERY_TIMEOUT"), "STUDY_ERROR_TCP", "STUDY_ERROR_TCP_MISC"), {
+            reason: "STUDY_ERROR_TCP_QUERY_TIMEOUT",
+            cause: null
+        });
+    });
+
+    it("should give errors it doesn't know the misc code and their name as the cause", () => {
+        assert.deepEqual(parseError(new TypeError("addr is undefined"), "STUDY_ERROR_UDP", "STUDY_ERROR_UDP_MISC"), {
+            reason: "STUDY_ERROR_UDP_MISC",
+            cause: "TypeError"
+        });
+    });
+
+    it("should place codes in their phase, and others where the attempt had got to", () => {
+        assert.equal(errorPhase("STUDY_ERROR_DOT_CERTIFICATE", "parse"), "send");
+        assert.equal(errorPhase("STUDY_ERROR_UDP_QUERY_TIMEOUT", "send"), "receive");
+        assert.equal(errorPhase("STUDY_ERROR_DOH_CONTENT_TYPE", "receive"), "parse");
+        assert.equal(errorPhase("STUDY_ERROR_TCP_MISC", "parse"), "parse");
+    });
+});
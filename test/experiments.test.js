@@ -0,0 +1,189 @@
+/* eslint-env node, mocha */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { assert } = require("chai");
+const DNS_PACKET = require("dns-packet");
+const { parseError } = require("../src/errors");
+
+/**
+ * Load an experiment's api.js the way Firefox does, with just enough of the
+ * privileged globals for getAPI() to run.
+ *
+ * @param {string} name The experiment's directory under src/experiments
+ * @param {Object} globals Stand-ins for the platform modules it uses
+ * @returns {Object} The API the experiment gives the extension
+ */
+function loadExperiment(name, globals) {
+    const context = vm.createContext({
+        ExtensionAPI: class ExtensionAPI {},
+        ExtensionCommon: {
+            defineLazyGetter(object, property, getter) {
+                Object.defineProperty(object, property, {get: getter});
+            }
+        },
+        ExtensionUtils: {ExtensionError: class ExtensionError extends Error {}},
+        ChromeUtils: {
+            import: () => ({}),
+            defineModuleGetter(object, property) {
+                // Don't let the long timeouts keep the tests running
+                object[property] = () => {};
+            }
+        },
+        Cu: {reportError: () => {}},
+        ...globals
+    });
+    const file = path.join(__dirname, "..", "src", "experiments", name, "api.js");
+    vm.runInContext(fs.readFileSync(file, "utf-8"), context, {filename: file});
+    const fakeExtensionContext = {callOnClose: () => {}, forgetOnClose: () => {}};
+    return new context[name]().getAPI(fakeExtensionContext).experiments[name];
+}
+
+describe("experiments", () => {
+    describe("tcpsocket/api.js", () => {
+        let sockets;
+        let tcpsocket;
+
+        beforeEach(() => {
+            sockets = [];
+            class FakeTCPSocket {
+                constructor(addr, port, options) {
+                    Object.assign(this, {addr, port, options});
+                    sockets.push(this);
+                }
+                send() {}
+                close() {}
+            }
+            tcpsocket = loadExperiment("tcpsocket", {
+                Cu: {reportError: () => {}, getGlobalForObject: () => ({TCPSocket: FakeTCPSocket})}
+            });
+        });
+
+        /**
+         * Fail a query with a TCPSocketErrorEvent, which has the specific
+         * error as its name and its class as its message
+         */
+        async function failWith(event, options) {
+            const query = tcpsocket.sendDNSQuery("1.1.1.1", new Uint8Array([0, 1, 2]), options);
+            sockets[sockets.length - 1].onerror(event);
+            try {
+                await query;
+            } catch (e) {
+                return e.message;
+            }
+            throw new Error("The query didn't fail");
+        }
+
+        it("should tell certificate errors apart from handshake failures over TLS", async () => {
+            const options = {port: 853, tls: true};
+            assert.equal(
+                await failWith({name: "SecurityUntrustedCertificateIssuerError", message: "SecurityCertificate"}, options),
+                "STUDY_ERROR_DOT_CERTIFICATE: SecurityUntrustedCertificateIssuerError"
+            );
+            assert.equal(
+                await failWith({name: "SecurityProtocolVersionAlertError", message: "SecurityProtocol"}, options),
+                "STUDY_ERROR_DOT_HANDSHAKE: SecurityProtocolVersionAlertError"
+            );
+            assert.equal(
+                await failWith({name: "ConnectionRefusedError", message: "Network"}, options),
+                "STUDY_ERROR_DOT_CONNECTION_REFUSED"
+            );
+        });
+
+        it("should count TLS errors as network errors without TLS", async () => {
+            assert.equal(
+                await failWith({name: "SecurityUntrustedCertificateIssuerError", message: "SecurityCertificate"}),
+                "STUDY_ERROR_TCP_NETWORK_MISC: SecurityUntrustedCertificateIssuerError"
+            );
+        });
+
+        it("should leave sanitizing error names to parseError", async () => {
+            const message = await failWith({name: "Odd error (192.0.2.1)", message: "Network"});
+            assert.equal(message, "STUDY_ERROR_TCP_NETWORK_MISC: Odd error (192.0.2.1)");
+            assert.deepEqual(parseError(new Error(message), "STUDY_ERROR_TCP", "STUDY_ERROR_TCP_MISC"), {
+                reason: "STUDY_ERROR_TCP_NETWORK_MISC",
+                cause: "Odderror192.0.2.1"
+            });
+            assert.equal(await failWith({name: "", message: "Network"}), "STUDY_ERROR_TCP_NETWORK_MISC");
+        });
+    });
+
+    describe("udpsocket/api.js", () => {
+        let listener;
+        let udpsocket;
+
+        beforeEach(() => {
+            class FakeUDPSocket {
+                init2() {}
+                asyncListen(aListener) {
+                    listener = aListener;
+                }
+                send(addr, port, buf) {
+                    return buf.length;
+                }
+                close() {}
+            }
+            udpsocket = loadExperiment("udpsocket", {
+                Cc: {"@mozilla.org/network/udp-socket;1": {createInstance: () => new FakeUDPSocket()}},
+                Ci: {},
+                Services: {scriptSecurityManager: {getSystemPrincipal: () => ({})}},
+                ChromeUtils: {
+                    generateQI: () => {},
+                    defineModuleGetter(object, property) {
+                        object[property] = () => {};
+                    }
+                }
+            });
+        });
+
+        it("should only take the answer from the nameserver's address and port", async () => {
+            const query = {id: 1, questions: [{type: "A", name: "example.com"}]};
+            const answer = new Uint8Array(DNS_PACKET.encode({...query, type: "response"}));
+            const result = udpsocket.sendDNSQuery("192.0.2.53", DNS_PACKET.encode(query), "A");
+            listener.onPacketReceived(null, {rawData: answer, fromAddr: {address: "192.0.2.53", port: 5353}});
+            listener.onPacketReceived(null, {rawData: answer, fromAddr: {address: "192.0.2.54", port: 53}});
+            listener.onPacketReceived(null, {rawData: answer, fromAddr: {address: "::ffff:192.0.2.53", port: 53}});
+
+            const {response, mismatched, foreign, received} = await result;
+            assert.equal(response, answer);
+            assert.deepEqual(mismatched, []);
+            assert.lengthOf(foreign, 2);
+            assert.deepEqual(received.map(({matched}) => matched), [false, false, true]);
+        });
+    });
+
+    describe("resolvconf/api.js", () => {
+        function loadWithFile(read) {
+            return loadExperiment("resolvconf", {
+                ChromeUtils: {
+                    defineModuleGetter(object, property) {
+                        object[property] = {File: {read}};
+                    }
+                }
+            });
+        }
+
+        it("should read the nameservers and options", async () => {
+            const resolvconf = loadWithFile(async () => "nameserver 192.0.2.53\nnameserver fe80::1%en0\noptions timeout:2 rotate\n");
+            assert.deepEqual(await resolvconf.readNameserversMac(), {
+                nameservers: ["192.0.2.53"],
+                options: {timeout: 2, rotate: true},
+                source: "resolvconf"
+            });
+        });
+
+        it("should name file errors, leaving sanitizing them to parseError", async () => {
+            const resolvconf = loadWithFile(async () => {
+                throw Object.assign(new Error("Could not read /etc/resolv.conf"), {name: "OSError: /etc/resolv.conf"});
+            });
+            try {
+                await resolvconf.readNameserversMac();
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, "STUDY_ERROR_NAMESERVERS_FILE: OSError: /etc/resolv.conf");
+                assert.equal(parseError(e, "STUDY_ERROR_NAMESERVERS", "STUDY_ERROR_NAMESERVERS_MISC").cause, "OSError:etcresolv.conf");
+            }
+        });
+    });
+});
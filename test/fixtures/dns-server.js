@@ -0,0 +1,276 @@
+/* eslint-env node */
+
+const dgram = require("dgram");
+const net = require("net");
+const DNS_PACKET = require("dns-packet");
+const DNS_RCODES = require("dns-packet/rcodes");
+
+const APEX_DOMAINS = ["dnssec-experiment-moz.net", "dns-study.com"];
+const TTL = 300;
+const FORGED_ADDRESS = "198.51.100.1";
+const SIGNATURE_SIZE = 64;
+
+/**
+ * The record types a run-of-the-mill middlebox knows about. servfailUnknown
+ * answers queries for anything else with SERVFAIL.
+ */
+const KNOWN_TYPES = ["A", "AAAA", "CNAME", "NS", "SOA", "TXT", "DS", "RRSIG", "DNSKEY"];
+
+/**
+ * What we serve for each record type in the experiment zone. Types
+ * dns-packet has no encoder for get opaque RDATA.
+ */
+const RDATA = {
+    A: () => "192.0.2.1",
+    AAAA: () => "2001:db8::1",
+    DNSKEY: () => ({ flags: 257, algorithm: 13, key: Buffer.alloc(64, 1) }),
+    DS: () => ({ keyTag: 12345, algorithm: 13, digestType: 2, digest: Buffer.alloc(32, 2) }),
+    TXT: () => ["v=dnssec-study"]
+};
+
+/**
+ * @typedef {Object} Behavior
+ * Each property is either true, to always behave that way, or a function
+ * (query, transport) => boolean, where query is the decoded query and
+ * transport "udp" or "tcp", to behave that way for some queries only.
+ *
+ * @property {boolean|Function=} dropDO - Don't answer queries with the DO bit set
+ * @property {boolean|Function=} stripRRSIG - Remove RRSIGs from answers
+ * @property {boolean|Function=} servfailUnknown - SERVFAIL queries for types not in KNOWN_TYPES
+ * @property {boolean|Function=} truncate - Answer UDP queries with TC set and no records
+ * @property {boolean|Function=} inject - Send a forged A answer before the real one over UDP
+ * @property {boolean|Function=} injectElsewhere - Send the forged answer from another port
+ * @property {boolean|Function=} stall - Don't answer, but keep TCP connections open
+ * @property {boolean=} refuseTCP - Don't listen on TCP at all
+ */
+
+function applies(behavior, query, transport) {
+    return typeof behavior === "function" ? behavior(query, transport) : !!behavior;
+}
+
+function getOPT(packet) {
+    return (packet.additionals || []).find(record => record.type === "OPT");
+}
+
+function isDNSSECOk(query) {
+    let opt = getOPT(query);
+    return !!opt && !!(opt.flags & DNS_PACKET.DNSSEC_OK);
+}
+
+function inZone(name) {
+    name = name.toLowerCase();
+    return APEX_DOMAINS.some(apex => name === apex || name.endsWith("." + apex));
+}
+
+/**
+ * TXT strings that make a response about size bytes long, for names under a
+ * size-N prefix
+ */
+function paddingStrings(size) {
+    let strings = [];
+    for (let remaining = size; remaining > 0; remaining -= 256) {
+        strings.push("x".repeat(Math.min(remaining, 256) - 1));
+    }
+    return strings;
+}
+
+function makeRRSIG(name, type) {
+    return {
+        type: "RRSIG",
+        name,
+        ttl: TTL,
+        data: {
+            typeCovered: type,
+            algorithm: 13,
+            labels: name.split(".").length,
+            originalTTL: TTL,
+            expiration: 1900000000,
+            inception: 1600000000,
+            keyTag: 12345,
+            signersName: APEX_DOMAINS.find(apex => name.toLowerCase().endsWith(apex)),
+            signature: Buffer.alloc(SIGNATURE_SIZE, 3)
+        }
+    };
+}
+
+function sameName(a, b) {
+    return a.toLowerCase().replace(/\.$/, "") === b.toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * The signed records of a zone that match a question: the RRset and, when
+ * the DO bit is set, its RRSIGs
+ */
+function findSigned(records, { name, type }, dnssecOk) {
+    return records.filter(record => sameName(record.name, name) &&
+        (record.type === type || (dnssecOk && record.type === "RRSIG" && record.data.typeCovered === type)));
+}
+
+/**
+ * The experiment zone's answer to a query, as an unencoded packet. Signed
+ * records take precedence over the made-up ones, and answer queries for
+ * names outside the experiment zone too.
+ */
+function answer(query, records = []) {
+    let [question] = query.questions;
+    let { name, type } = question;
+    let response = {
+        type: "response",
+        id: query.id,
+        flags: (query.flags & DNS_PACKET.RECURSION_DESIRED) | DNS_PACKET.RECURSION_AVAILABLE,
+        questions: query.questions,
+        answers: [],
+        additionals: []
+    };
+    let opt = getOPT(query);
+    if (opt) {
+        response.additionals.push({ type: "OPT", name: ".", udpPayloadSize: 4096, flags: opt.flags & DNS_PACKET.DNSSEC_OK });
+    }
+    let signed = findSigned(records, question, isDNSSECOk(query));
+    if (signed.length > 0) {
+        response.answers.push(...signed);
+        return response;
+    }
+    if (!inZone(name)) {
+        response.flags |= DNS_RCODES.toRcode("REFUSED");
+        return response;
+    }
+
+    let sizeMatch = /(?:^|\.)size-(\d+)\./.exec(name);
+    if (type === "TXT" && sizeMatch) {
+        response.answers.push({ type, name, ttl: TTL, data: paddingStrings(Number(sizeMatch[1]) - 100) });
+    } else if (type === "RRSIG") {
+        response.answers.push(makeRRSIG(name, "A"));
+    } else {
+        let data = RDATA[type] ? RDATA[type]() : Buffer.from("dnssec-study");
+        response.answers.push({ type, name, ttl: TTL, data });
+    }
+    if (isDNSSECOk(query) && type !== "RRSIG") {
+        response.answers.push(makeRRSIG(name, type));
+    }
+    return response;
+}
+
+/**
+ * A DNS server for the experiment zone, listening on the same loopback port
+ * over UDP and TCP, that can be scripted to behave like the middleboxes the
+ * study looks for.
+ *
+ * @param {Behavior} [behavior]
+ * @param {Object[]} [records] - Really signed records to serve, as dns-packet
+ *     records, RRSIGs included
+ */
+async function startDNSServer(behavior = {}, records = []) {
+    let udp = dgram.createSocket("udp4");
+    let elsewhere = dgram.createSocket("udp4");
+    // Encoded responses to send from elsewhere rather than from udp
+    let fromElsewhere = new WeakSet();
+    let tcp = net.createServer();
+    let openSockets = new Set();
+    let server = {
+        port: null,
+        /** Every query received, with its transport */
+        queries: [],
+
+        /**
+         * The encoded responses to send to a query, in order, or an empty
+         * list not to answer
+         */
+        respond(queryBytes, transport) {
+            let query = DNS_PACKET.decode(queryBytes);
+            this.queries.push({ transport, query });
+
+            if (applies(behavior.stall, query, transport) ||
+                (isDNSSECOk(query) && applies(behavior.dropDO, query, transport))) {
+                return [];
+            }
+
+            let responses = [];
+            let forgedElsewhere = transport === "udp" && applies(behavior.injectElsewhere, query, transport);
+            if (forgedElsewhere || (transport === "udp" && applies(behavior.inject, query, transport))) {
+                responses.push({
+                    ...answer(query, records),
+                    answers: [{ type: "A", name: query.questions[0].name, ttl: TTL, data: FORGED_ADDRESS }]
+                });
+            }
+
+            let response = answer(query, records);
+            if (applies(behavior.servfailUnknown, query, transport) &&
+                !KNOWN_TYPES.includes(query.questions[0].type)) {
+                response.flags |= DNS_RCODES.toRcode("SERVFAIL");
+                response.answers = [];
+            }
+            if (applies(behavior.stripRRSIG, query, transport)) {
+                response.answers = response.answers.filter(record => record.type !== "RRSIG");
+            }
+
+            // Truncate like a real server when the response doesn't fit in
+            // the advertised buffer size
+            let opt = getOPT(query);
+            let bufferSize = opt ? Math.max(opt.udpPayloadSize, 512) : 512;
+            if (transport === "udp" &&
+                (applies(behavior.truncate, query, transport) || DNS_PACKET.encodingLength(response) > bufferSize)) {
+                response.flags |= DNS_PACKET.TRUNCATED_RESPONSE;
+                response.answers = [];
+            }
+            responses.push(response);
+            let encoded = responses.map(packet => DNS_PACKET.encode(packet));
+            if (forgedElsewhere) {
+                fromElsewhere.add(encoded[0]);
+            }
+            return encoded;
+        },
+
+        close() {
+            udp.close();
+            elsewhere.close();
+            for (let socket of openSockets) {
+                socket.destroy();
+            }
+            return new Promise(resolve => tcp.listening ? tcp.close(resolve) : resolve());
+        }
+    };
+
+    udp.on("message", (message, rinfo) => {
+        for (let response of server.respond(message, "udp")) {
+            (fromElsewhere.has(response) ? elsewhere : udp).send(response, rinfo.port, rinfo.address);
+        }
+    });
+
+    tcp.on("connection", socket => {
+        openSockets.add(socket);
+        socket.on("close", () => openSockets.delete(socket));
+        socket.on("error", () => {});
+        let data = Buffer.alloc(0);
+        socket.on("data", chunk => {
+            data = Buffer.concat([data, chunk]);
+            while (data.length >= 2 && data.length >= data.readUInt16BE(0) + 2) {
+                let length = data.readUInt16BE(0);
+                let queryBytes = data.slice(2, length + 2);
+                data = data.slice(length + 2);
+                for (let response of server.respond(queryBytes, "tcp")) {
+                    let prefix = Buffer.alloc(2);
+                    prefix.writeUInt16BE(response.length);
+                    socket.write(Buffer.concat([prefix, response]));
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => udp.bind(0, "127.0.0.1", resolve));
+    server.port = udp.address().port;
+    await new Promise(resolve => elsewhere.bind(0, "127.0.0.1", resolve));
+    if (!behavior.refuseTCP) {
+        await new Promise((resolve, reject) => {
+            tcp.once("error", reject);
+            tcp.listen(server.port, "127.0.0.1", resolve);
+        });
+    }
+    return server;
+}
+
+module.exports = {
+    FORGED_ADDRESS,
+    KNOWN_TYPES,
+    startDNSServer
+};
@@ -0,0 +1,86 @@
+/* eslint-env node */
+
+const DNS_PACKET = require("dns-packet");
+const DNS_TYPES = require("dns-packet/types");
+const { computeKeyTag } = require("../../src/dnssec-validate");
+
+const INCEPTION = 1600000000;
+const EXPIRATION = 1900000000;
+
+function wireName(name) {
+    let labels = name.toLowerCase().split(".").filter(Boolean);
+    return Buffer.concat([
+        ...labels.map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+        Buffer.from([0])
+    ]);
+}
+
+/**
+ * A zone with a single key that signs everything, with an ECDSA P-256
+ * (algorithm 13) or RSA/SHA-256 (algorithm 8) key. The root zone is ".".
+ */
+async function makeZone(zone, algorithm) {
+    let keyPair, publicKey;
+    if (algorithm === 13) {
+        keyPair = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, ["sign", "verify"]);
+        publicKey = Buffer.from(await crypto.subtle.exportKey("raw", keyPair.publicKey)).slice(1);
+    } else {
+        keyPair = await crypto.subtle.generateKey({
+            name: "RSASSA-PKCS1-v1_5",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: "SHA-256"
+        }, true, ["sign", "verify"]);
+        let { e, n } = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+        let exponent = Buffer.from(e, "base64");
+        publicKey = Buffer.concat([Buffer.from([exponent.length]), exponent, Buffer.from(n, "base64")]);
+    }
+    let dnskey = { type: "DNSKEY", name: zone, ttl: 3600, data: { flags: 257, algorithm, key: publicKey } };
+    let dnskeyRdata = DNS_PACKET.dnskey.encode(dnskey.data).slice(2);
+    let keyTag = computeKeyTag(dnskeyRdata);
+    let digest = Buffer.from(await crypto.subtle.digest("SHA-256", Buffer.concat([wireName(zone), dnskeyRdata])));
+
+    let sign = async (records, { expiration = EXPIRATION } = {}) => {
+        let { name, type, ttl } = records[0];
+        let rrsigData = {
+            typeCovered: type,
+            algorithm,
+            labels: name.split(".").filter(Boolean).length,
+            originalTTL: ttl,
+            expiration,
+            inception: INCEPTION,
+            keyTag,
+            signersName: zone
+        };
+        let fields = Buffer.alloc(18);
+        fields.writeUInt16BE(DNS_TYPES.toType(type), 0);
+        fields.writeUInt8(algorithm, 2);
+        fields.writeUInt8(rrsigData.labels, 3);
+        fields.writeUInt32BE(ttl, 4);
+        fields.writeUInt32BE(expiration, 8);
+        fields.writeUInt32BE(INCEPTION, 12);
+        fields.writeUInt16BE(keyTag, 16);
+        let header = Buffer.alloc(8);
+        header.writeUInt16BE(DNS_TYPES.toType(type), 0);
+        header.writeUInt16BE(1, 2);
+        header.writeUInt32BE(ttl, 4);
+        let rrs = records
+            .map(record => DNS_PACKET.record(type).encode(record.data))
+            .sort((a, b) => Buffer.compare(a.slice(2), b.slice(2)))
+            .map(rdata => Buffer.concat([wireName(name), header, rdata]));
+        let params = algorithm === 13 ? { name: "ECDSA", hash: "SHA-256" } : { name: "RSASSA-PKCS1-v1_5" };
+        let signature = await crypto.subtle.sign(params, keyPair.privateKey, Buffer.concat([fields, wireName(zone), ...rrs]));
+        return { type: "RRSIG", name, ttl, data: { ...rrsigData, signature: Buffer.from(signature) } };
+    };
+
+    return {
+        dnskey,
+        sign,
+        ds: { keyTag, algorithm, digestType: 2, digest },
+        trustAnchor: { zone, keyTag, algorithm, digestType: 2, digest: digest.toString("hex") }
+    };
+}
+
+module.exports = {
+    makeZone
+};
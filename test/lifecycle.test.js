@@ -0,0 +1,89 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const {
+    STUDY_ERROR_CONFIG_FETCH_FAILED,
+    fetchStudyConfig,
+    applyStudyConfig,
+    startRun
+} = require("../src/lifecycle");
+const { createBrowser } = require("../cli/browser");
+
+const DAY = 24 * 60 * 60 * 1000;
+const LIMITS = { maxRuns: 3, maxDays: 10, expires: "2030-01-01T00:00:00Z" };
+const START = Date.parse("2029-12-01T00:00:00Z");
+
+describe("lifecycle.js", () => {
+    let items;
+    let storage;
+
+    beforeEach(() => {
+        items = {};
+        storage = createBrowser({ storage: items }).storage.local;
+    });
+
+    it("should count runs up to the maximum", async () => {
+        for (let i = 1; i <= LIMITS.maxRuns; i++) {
+            const { endReason, state } = await startRun(storage, { limits: LIMITS, config: {}, now: START + i });
+            assert.isNull(endReason);
+            assert.deepEqual(state, { firstRun: START + 1, runs: i, ended: null });
+        }
+        const { endReason, justEnded } = await startRun(storage, { limits: LIMITS, config: {}, now: START + 10 });
+        assert.equal(endReason, "maxRuns");
+        assert.isTrue(justEnded);
+        assert.deepEqual(items.lifecycle, { firstRun: START + 1, runs: LIMITS.maxRuns, ended: "maxRuns" });
+    });
+
+    it("should end the study some days after the first run, or on its expiry date", async () => {
+        await startRun(storage, { limits: LIMITS, config: {}, now: START });
+        assert.isNull((await startRun(storage, { limits: LIMITS, config: {}, now: START + 9 * DAY })).endReason);
+        assert.equal((await startRun(storage, { limits: LIMITS, config: {}, now: START + 10 * DAY })).endReason, "maxDays");
+
+        items = {};
+        storage = createBrowser({ storage: items }).storage.local;
+        const { endReason } = await startRun(storage, { limits: LIMITS, config: {}, now: Date.parse(LIMITS.expires) });
+        assert.equal(endReason, "expired");
+    });
+
+    it("should stay ended", async () => {
+        await startRun(storage, { limits: LIMITS, config: { enabled: false }, now: START });
+        const { endReason, justEnded } = await startRun(storage, { limits: LIMITS, config: { enabled: true }, now: START });
+        assert.equal(endReason, "killSwitch");
+        assert.isFalse(justEnded);
+    });
+
+    it("should only let the study config make limits stricter", () => {
+        assert.deepEqual(applyStudyConfig(LIMITS, { maxRuns: 1, expires: "2029-12-24T00:00:00Z" }), {
+            maxRuns: 1, maxDays: 10, expires: "2029-12-24T00:00:00Z"
+        });
+        assert.deepEqual(applyStudyConfig(LIMITS, { maxRuns: 1000, expires: "2031-01-01T00:00:00Z" }), LIMITS);
+    });
+
+    describe("fetchStudyConfig", () => {
+        let originalFetch;
+
+        before(() => {
+            originalFetch = global.fetch;
+        });
+
+        after(() => {
+            global.fetch = originalFetch;
+        });
+
+        it("should keep only the fields that make sense", async () => {
+            global.fetch = async () => ({ ok: true, json: async () => ({ enabled: "no", maxRuns: 5, expires: "soon", other: 1 }) });
+            assert.deepEqual(await fetchStudyConfig("https://example.com/config.json"), { maxRuns: 5 });
+        });
+
+        it("should fail when there's no config to be had", async () => {
+            global.fetch = async () => ({ ok: false });
+            try {
+                await fetchStudyConfig("https://example.com/config.json");
+                assert.fail("should have thrown");
+            } catch (e) {
+                assert.equal(e.message, STUDY_ERROR_CONFIG_FETCH_FAILED);
+            }
+            assert.deepEqual(await fetchStudyConfig(null), {});
+        });
+    });
+});
@@ -0,0 +1,280 @@
+/* eslint-env node, mocha */
+
+/**
+ * Run the measurement through the Node backends in cli/ against a local DNS
+ * server that behaves like the middleboxes we're looking for, so that real
+ * packets go through the encoding, parsing and error paths.
+ */
+
+const DNS_PACKET = require("dns-packet");
+const { assert } = require("chai");
+const {
+    main,
+    resetState,
+    STUDY_MEASUREMENT_COMPLETED,
+    EXPECTED_FETCH_RESPONSE,
+    FETCH_ENDPOINT,
+    APEX_DOMAIN_NAME
+} = require("../src/dns-test");
+const { decodePayload } = require("../src/payload");
+const { createBrowser } = require("../cli/browser");
+const { startDNSServer, FORGED_ADDRESS } = require("./fixtures/dns-server");
+const { makeZone } = require("./fixtures/signed-zone");
+
+// < Node 18
+const Response = global.Response || require("node-fetch").Response;
+// < Node 19
+global.crypto = global.crypto || require("crypto").webcrypto;
+
+const DOH_ENDPOINT = "https://doh.example.com/dns-query";
+
+function probe(transport, rrtype, extra = {}) {
+    return { transport, query: { rrtype, ...extra } };
+}
+
+function decode(bytes, transport = "udp") {
+    return transport === "udp" ? DNS_PACKET.decode(Buffer.from(bytes)) : DNS_PACKET.streamDecode(Buffer.from(bytes));
+}
+
+function errorsFor(payload, key) {
+    return payload.dnsQueryErrors.filter(({ errorRRTYPE }) => errorRRTYPE === key).map(({ reason }) => reason);
+}
+
+describe("middleboxes", function () {
+    // Queries that get no answer wait for a 1 s timeout
+    this.timeout(20000);
+
+    let server, originalBrowser, originalFetch;
+
+    before(() => {
+        originalBrowser = global.browser;
+        originalFetch = global.fetch;
+    });
+
+    after(() => {
+        global.browser = originalBrowser;
+        global.fetch = originalFetch;
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    /**
+     * Measure with a plan of just these probes against the DNS server, and
+     * return the STUDY_MEASUREMENT_COMPLETED payload, decoded. With trust
+     * anchors, also collect the chain of trust up to them.
+     */
+    async function measure(probes, retryPolicies = {}, trustAnchors = null) {
+        const plan = {
+            id: "middlebox-test",
+            version: 1,
+            apexDomains: [APEX_DOMAIN_NAME],
+            // Don't wait a minute for stalled TCP connections
+            retryPolicies: { tcp: { timeout: 1000 }, ...retryPolicies },
+            groups: [{ probes }]
+        };
+        if (trustAnchors) {
+            plan.trustAnchors = trustAnchors;
+            plan.groups.push({ chain: true });
+        }
+
+        global.fetch = async (url, options = {}) => {
+            if (url === FETCH_ENDPOINT) {
+                return new Response(EXPECTED_FETCH_RESPONSE);
+            } else if (url.startsWith(DOH_ENDPOINT)) {
+                const queryBytes = options.method === "POST"
+                    ? Buffer.from(options.body)
+                    : Buffer.from(new URL(url).searchParams.get("dns"), "base64");
+                const [responseBytes] = server.respond(queryBytes, "doh");
+                if (!responseBytes) {
+                    throw new TypeError("NetworkError");
+                }
+                return new Response(responseBytes, { headers: { "Content-Type": "application/dns-message" } });
+            }
+            throw new TypeError("NetworkError");
+        };
+
+        const pings = [];
+        global.browser = createBrowser({
+            nameservers: ["127.0.0.1"],
+            port: server.port,
+            resolvconfOptions: { timeout: 1, attempts: 1 },
+            onPing: (type, payload) => pings.push(payload)
+        });
+
+        resetState();
+        await main({
+            sleep: 0,
+            plan,
+            remotePlan: {},
+            dohEndpoint: DOH_ENDPOINT,
+            limits: { expires: null }
+        });
+        const parts = pings.filter(({ reason }) => reason === STUDY_MEASUREMENT_COMPLETED);
+        assert.isNotEmpty(parts, "no STUDY_MEASUREMENT_COMPLETED ping in " + JSON.stringify(pings));
+        const payload = decodePayload(parts);
+        assert.equal(payload.planID, "middlebox-test");
+        return payload;
+    }
+
+    it("should get signed answers over every transport without a middlebox", async () => {
+        server = await startDNSServer();
+        const payload = await measure([
+            probe("udp", "A", { dnssec_ok: true }),
+            probe("tcp", "A", { dnssec_ok: true }),
+            probe("doh", "DNSKEY", { dnssec_ok: true })
+        ]);
+
+        assert.hasAllKeys(payload.dnsData, ["udp-ADO", "tcp-ADO", "doh-DNSKEYDO"]);
+        for (const key of ["udp-ADO", "tcp-ADO", "doh-DNSKEYDO"]) {
+            assert.include(payload.dnsSummary[key], { rcode: "NOERROR", rrsig: true, expected: true }, key);
+        }
+        assert.deepEqual(payload.dnsQueryErrors, []);
+        assert.deepEqual(decode(payload.dnsData["tcp-ADO"], "tcp").answers[0].data, "192.0.2.1");
+    });
+
+    it("should lose queries with the DO bit set over UDP but not DoH", async () => {
+        server = await startDNSServer({ dropDO: (query, transport) => transport === "udp" });
+        const payload = await measure([
+            probe("udp", "A"),
+            probe("udp", "A", { dnssec_ok: true }),
+            probe("doh", "A", { dnssec_ok: true })
+        ]);
+
+        assert.hasAllKeys(payload.dnsData, ["udp-A", "doh-ADO"]);
+        assert.deepEqual(errorsFor(payload, "udp-ADO"), ["STUDY_ERROR_UDP_QUERY_TIMEOUT"]);
+        assert.deepEqual(payload.dnssecValidation["udp-ADO"], { status: "indeterminate", reason: "no response" });
+    });
+
+    it("should notice stripped RRSIGs", async () => {
+        server = await startDNSServer({ stripRRSIG: true });
+        const payload = await measure([probe("udp", "DS", { dnssec_ok: true })]);
+
+        assert.include(payload.dnsSummary["udp-DSDO"], { rrsig: false, ds: true, expected: true });
+        assert.deepEqual(payload.dnsQueryErrors, []);
+    });
+
+    it("should notice SERVFAILs for record types the middlebox doesn't know", async () => {
+        server = await startDNSServer({ servfailUnknown: true });
+        const payload = await measure([probe("udp", "A"), probe("udp", "HTTPS"), probe("tcp", "NEWONE")]);
+
+        assert.include(payload.dnsSummary["udp-A"], { rcode: "NOERROR", expected: true });
+        assert.include(payload.dnsSummary["udp-HTTPS"], { rcode: "SERVFAIL", expected: false });
+        assert.include(payload.dnsSummary["tcp-NEWONE"], { rcode: "SERVFAIL", expected: false });
+    });
+
+    it("should fall back to TCP for truncated responses", async () => {
+        server = await startDNSServer({ truncate: true });
+        const payload = await measure([
+            probe("udp", "DNSKEY", { dnssec_ok: true }),
+            { transport: "udp", responseSize: 1200, query: { rrtype: "TXT", udpPayloadSize: 512, prefix: "size-1200" } }
+        ]);
+
+        assert.deepEqual(payload.dnsTCPFallbacks, {
+            "udp-DNSKEYDO": { fallbackKey: "udp-DNSKEYDO-TCP", fallbackSucceeded: true },
+            "udp-TXT-E512": { fallbackKey: "udp-TXT-E512-TCP", fallbackSucceeded: true }
+        });
+        assert.isTrue(payload.dnsSummary["udp-DNSKEYDO"].tc);
+        assert.include(payload.dnsSummary["udp-DNSKEYDO-TCP"], { tc: false, dnskey: true, rrsig: true });
+        assert.include(payload.ednsSizes["udp-TXT-E512"], { advertised: 512, expected: 1200, outcome: "truncated" });
+        assert.deepEqual(payload.dnsTimeline["udp-DNSKEYDO"].map(attempt => attempt.slice(0, 2).concat(attempt[6])), [[0, "udp", "truncated"]]);
+        assert.deepEqual(payload.dnsTimeline["udp-DNSKEYDO-TCP"].map(attempt => attempt.slice(0, 2).concat(attempt[6])), [[0, "tcp", "response"]]);
+    });
+
+    it("should record that the TCP fallback was refused", async () => {
+        server = await startDNSServer({ truncate: true, refuseTCP: true });
+        const payload = await measure([probe("udp", "DNSKEY", { dnssec_ok: true }), probe("tcp", "A")]);
+
+        assert.deepEqual(payload.dnsTCPFallbacks, {
+            "udp-DNSKEYDO": { fallbackKey: "udp-DNSKEYDO-TCP", fallbackSucceeded: false }
+        });
+        assert.deepEqual(errorsFor(payload, "udp-DNSKEYDO-TCP"), ["STUDY_ERROR_TCP_CONNECTION_REFUSED"]);
+        assert.deepEqual(errorsFor(payload, "tcp-A"), ["STUDY_ERROR_TCP_CONNECTION_REFUSED"]);
+        assert.notProperty(payload.dnsData, "tcp-A");
+    });
+
+    it("should see a forged answer racing the real one", async () => {
+        server = await startDNSServer({ inject: true });
+        const payload = await measure([{ key: "udp-A-window", transport: "udp", query: { rrtype: "A", listenWindow: 200 } }]);
+
+        const responses = payload.dnsAllResponses["udp-A-window"];
+        assert.deepEqual(responses.map(({ matched }) => matched), [true, true]);
+        assert.deepEqual(responses.map(({ data }) => decode(data).answers[0].data), [FORGED_ADDRESS, "192.0.2.1"]);
+        // The forged answer arrived first
+        assert.equal(decode(payload.dnsData["udp-A-window"]).answers[0].data, FORGED_ADDRESS);
+        // The RTT doesn't include the listening window
+        const [[, , sent, ended, rtt]] = payload.dnsTimeline["udp-A-window"];
+        assert.isAtLeast(ended - sent, 200);
+        assert.isBelow(rtt, 200);
+    });
+
+    it("should set aside a forged answer from another port", async () => {
+        server = await startDNSServer({ injectElsewhere: true });
+        const payload = await measure([{ key: "udp-A-window", transport: "udp", query: { rrtype: "A", listenWindow: 200 } }]);
+
+        assert.deepEqual(errorsFor(payload, "udp-A-window"), ["STUDY_ERROR_UDP_SOURCE_MISMATCH"]);
+        assert.lengthOf(payload.dnsMismatchedData["udp-A-window"], 1);
+        assert.equal(decode(payload.dnsMismatchedData["udp-A-window"][0]).answers[0].data, FORGED_ADDRESS);
+        assert.equal(decode(payload.dnsData["udp-A-window"]).answers[0].data, "192.0.2.1");
+        assert.deepEqual(payload.dnsAllResponses["udp-A-window"].map(({ matched }) => matched), [false, true]);
+    });
+
+    it("should time out when the middlebox stalls", async () => {
+        server = await startDNSServer({ stall: true });
+        const payload = await measure([probe("udp", "A"), probe("tcp", "A"), probe("doh", "A")]);
+
+        assert.deepEqual(payload.dnsData, {});
+        assert.deepEqual(errorsFor(payload, "udp-A"), ["STUDY_ERROR_UDP_QUERY_TIMEOUT"]);
+        assert.deepEqual(errorsFor(payload, "tcp-A"), ["STUDY_ERROR_TCP_QUERY_TIMEOUT"]);
+        assert.deepEqual(errorsFor(payload, "doh-A"), ["STUDY_ERROR_DOH_FETCH_FAILED"]);
+        assert.isTrue(payload.hasErrors);
+        const [[, , sent, ended, rtt, size, outcome]] = payload.dnsTimeline["udp-A"];
+        assert.isAtLeast(ended - sent, 1000);
+        assert.deepEqual([rtt, size, outcome], [null, null, "STUDY_ERROR_UDP_QUERY_TIMEOUT"]);
+    });
+
+    it("should back off between retransmissions to a stalled middlebox", async () => {
+        server = await startDNSServer({ stall: true });
+        const payload = await measure([probe("udp", "A")], { udp: { attempts: 3, timeout: 250, backoff: 2 } });
+
+        assert.deepEqual(errorsFor(payload, "udp-A"), Array(3).fill("STUDY_ERROR_UDP_QUERY_TIMEOUT"));
+        const waits = payload.dnsTimeline["udp-A"].map(([, , sent, ended]) => ended - sent);
+        assert.lengthOf(waits, 3);
+        [250, 500, 1000].forEach((timeout, i) => assert.isAtLeast(waits[i], timeout - 5));
+        assert.include(payload.retryPolicies.udp, { attempts: 3, timeout: 250, backoff: 2 });
+    });
+
+    it("should validate a signed answer up to a root trust anchor", async () => {
+        const root = await makeZone(".", 13);
+        const tld = await makeZone("net", 13);
+        const zone = await makeZone(APEX_DOMAIN_NAME, 13);
+        const rrsets = [
+            [root.dnskey],
+            [{ type: "DS", name: "net", ttl: 3600, data: tld.ds }],
+            [tld.dnskey],
+            [{ type: "DS", name: APEX_DOMAIN_NAME, ttl: 3600, data: zone.ds }],
+            [zone.dnskey],
+            [{ type: "A", name: APEX_DOMAIN_NAME, ttl: 300, data: "192.0.2.1" }]
+        ];
+        const signers = [root, root, tld, tld, zone, zone];
+        const records = [];
+        for (const [i, rrset] of rrsets.entries()) {
+            records.push(...rrset, await signers[i].sign(rrset));
+        }
+        server = await startDNSServer({}, records);
+        const payload = await measure([probe("udp", "A", { dnssec_ok: true })], {}, [root.trustAnchor]);
+
+        assert.includeMembers(Object.keys(payload.dnsData), ["udp-DNSKEYDO-chain-root", "udp-DSDO-chain-net"]);
+        assert.deepEqual(payload.dnssecValidation["udp-ADO"], { status: "secure" });
+        assert.deepEqual(payload.dnssecValidation["udp-DNSKEYDO-chain-root"], { status: "secure" });
+    });
+
+    it("should find the fixture's made-up signatures bogus", async () => {
+        const zone = await makeZone(APEX_DOMAIN_NAME, 13);
+        server = await startDNSServer({}, [zone.dnskey, await zone.sign([zone.dnskey])]);
+        const payload = await measure([probe("udp", "A", { dnssec_ok: true })], {}, [zone.trustAnchor]);
+
+        assert.deepEqual(payload.dnssecValidation["udp-ADO"], { status: "bogus", reason: "no matching DNSKEY" });
+    });
+});
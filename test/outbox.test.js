@@ -0,0 +1,52 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const { MAX_SUBMIT_RETRIES, saveCheckpoint, queuePings, flushOutbox } = require("../src/outbox");
+const { createBrowser } = require("../cli/browser");
+
+describe("outbox.js", () => {
+    let items;
+    let storage;
+
+    beforeEach(() => {
+        items = {};
+        storage = createBrowser({ storage: items }).storage.local;
+    });
+
+    it("should submit queued pings, with how often they failed before", async () => {
+        await saveCheckpoint(storage, [{ reason: "STUDY_MEASUREMENT_INTERRUPTED", part: 0 }]);
+        await queuePings(storage, [{ reason: "STUDY_MEASUREMENT_COMPLETED", part: 0 }]);
+        assert.deepEqual(items.checkpoint, []);
+
+        const submitted = [];
+        const remaining = await flushOutbox(storage, async ping => submitted.push(ping));
+        assert.equal(remaining, 0);
+        assert.deepEqual(submitted, [{ reason: "STUDY_MEASUREMENT_COMPLETED", part: 0, retryCount: 0 }]);
+        assert.deepEqual(items.outbox, []);
+    });
+
+    it("should submit the pings of a measurement that didn't finish", async () => {
+        await saveCheckpoint(storage, [{ reason: "STUDY_MEASUREMENT_INTERRUPTED", part: 0 }]);
+        await saveCheckpoint(storage, [{ reason: "STUDY_MEASUREMENT_INTERRUPTED", part: 1 }]);
+
+        const submitted = [];
+        await flushOutbox(storage, async ping => submitted.push(ping));
+        assert.deepEqual(submitted, [{ reason: "STUDY_MEASUREMENT_INTERRUPTED", part: 1, retryCount: 0 }]);
+        assert.deepEqual(items.checkpoint, []);
+    });
+
+    it("should keep pings that fail to submit, up to a limit", async () => {
+        await queuePings(storage, [{ part: 0 }, { part: 1 }]);
+
+        const retryCounts = [];
+        for (let i = 0; i < MAX_SUBMIT_RETRIES; i++) {
+            const remaining = await flushOutbox(storage, async ({ part, retryCount }) => {
+                retryCounts.push(retryCount);
+                return part === 1;
+            });
+            assert.equal(remaining, i + 1 < MAX_SUBMIT_RETRIES ? 1 : 0);
+        }
+        assert.deepEqual(retryCounts, [0, 0, 1, 2]);
+        assert.deepEqual(items.outbox, []);
+    });
+});
@@ -0,0 +1,102 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const { encodePayload, decodePayload } = require("../src/payload");
+
+const RESPONSE = [0, 1, 129, 128, 0, 1];
+const OTHER_RESPONSE = [0, 2, 129, 131, 0, 1];
+
+function makePayload(keyCount = 3) {
+    const payload = {
+        reason: "STUDY_MEASUREMENT_COMPLETED",
+        measurementID: "d7754449-8cb1-4df6-b07b-c60dab6f5d66",
+        dnsData: {"webext-A": ["192.0.2.1"]},
+        dnsAttempts: {"webext-A": 1},
+        dnsQueryInfo: {"webext-A": {timestamp: 1, order: 0}},
+        dnsMismatchedData: {},
+        dnsAllResponses: {},
+        dnsQueryErrors: [],
+        hasErrors: true
+    };
+    for (let i = 0; i < keyCount; i++) {
+        const key = `udp-A${i}`;
+        payload.dnsData[key] = i % 2 ? OTHER_RESPONSE : RESPONSE;
+        payload.dnsAttempts[key] = 2;
+        payload.dnsQueryInfo[key] = {timestamp: 1, order: i + 1};
+        payload.dnsQueryErrors.push({reason: "STUDY_ERROR_UDP_QUERY_TIMEOUT", errorRRTYPE: key, errorAttempt: 1});
+    }
+    payload.dnsMismatchedData["udp-A0"] = [OTHER_RESPONSE];
+    payload.dnsAllResponses["udp-A0"] = [{data: RESPONSE, offset: 10, matched: true}];
+    return payload;
+}
+
+function size(ping) {
+    return Buffer.byteLength(JSON.stringify(ping));
+}
+
+describe("payload.js", () => {
+    it("should store each response once, as base64", () => {
+        const [ping, ...rest] = encodePayload(makePayload(), 1e6);
+
+        assert.isEmpty(rest);
+        assert.deepEqual(ping.dnsResponses, [
+            Buffer.from(RESPONSE).toString("base64"),
+            Buffer.from(OTHER_RESPONSE).toString("base64")
+        ]);
+        assert.deepEqual(ping.dnsData, {"webext-A": ["192.0.2.1"], "udp-A0": 0, "udp-A1": 1, "udp-A2": 0});
+        assert.deepEqual(ping.dnsMismatchedData, {"udp-A0": [1]});
+        assert.deepEqual(ping.dnsAllResponses, {"udp-A0": [{data: 0, offset: 10, matched: true}]});
+        assert.include(ping, {part: 0, parts: 1, hasErrors: true});
+    });
+
+    it("should make a smaller ping than lists of bytes", () => {
+        const payload = makePayload(50);
+        assert.isBelow(size(encodePayload(payload, 1e6)[0]), size(payload));
+    });
+
+    it("should split the keys between pings under the budget", () => {
+        const payload = makePayload(40);
+        const budget = 2000;
+        const pings = encodePayload(payload, budget);
+
+        assert.isAbove(pings.length, 1);
+        pings.forEach((ping, i) => {
+            assert.isAtMost(size(ping), budget);
+            assert.include(ping, {part: i, parts: pings.length, measurementID: payload.measurementID, hasErrors: true});
+            // A key's entries stay together
+            Object.keys(ping.dnsData).forEach(key => {
+                assert.property(ping.dnsAttempts, key);
+                assert.deepEqual(ping.dnsQueryErrors.filter(({errorRRTYPE}) => errorRRTYPE === key).length, key === "webext-A" ? 0 : 1);
+            });
+        });
+        assert.deepEqual(decodePayload(pings.reverse()), payload);
+    });
+
+    it("should drop the bulkiest fields of a key that is over budget on its own", () => {
+        const payload = makePayload(2);
+        payload.dnsData["udp-A1"] = Array(3000).fill(7);
+        payload.dnsAllResponses["udp-A1"] = [{data: Array(3000).fill(8), offset: 10, matched: true}];
+        const pings = encodePayload(payload, 1500);
+
+        pings.forEach(ping => assert.isAtMost(size(ping), 1500));
+        const decoded = decodePayload(pings);
+        assert.deepEqual(decoded.droppedEntries, {"udp-A1": ["dnsAllResponses", "dnsData"]});
+        assert.notProperty(decoded.dnsData, "udp-A1");
+        assert.notProperty(decoded.dnsAllResponses, "udp-A1");
+        assert.equal(decoded.dnsAttempts["udp-A1"], 2);
+        assert.deepEqual(decoded.dnsData["udp-A0"], RESPONSE);
+        assert.lengthOf(decoded.dnsQueryErrors, 2);
+    });
+
+    it("should drop the largest fields that aren't keyed if they're over budget", () => {
+        const payload = {...makePayload(1), resolvconfOptions: {search: "x".repeat(3000)}};
+        const pings = encodePayload(payload, 1500);
+
+        pings.forEach(ping => {
+            assert.isAtMost(size(ping), 1500);
+            assert.deepEqual(ping.droppedFields, ["resolvconfOptions"]);
+            assert.include(ping, {reason: payload.reason, measurementID: payload.measurementID});
+        });
+        assert.deepEqual(decodePayload(pings).dnsData, makePayload(1).dnsData);
+    });
+});
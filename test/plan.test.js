@@ -0,0 +1,301 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const Ajv = require("ajv");
+const {
+    BUNDLED_PLAN,
+    COMMON_QUERIES,
+    computeKey,
+    probeKey,
+    checkPlan,
+    expandMatrix,
+    expandSweep,
+    expandChain,
+    expandPlan
+} = require("../src/plan");
+const planSchema = require("../src/measurement-plan.schema.json");
+
+function makePlan(groups) {
+    return {
+        id: "test",
+        version: 1,
+        apexDomains: ["dnssec-experiment-moz.net", "dns-study.com"],
+        groups
+    };
+}
+
+describe("plan.js", () => {
+    describe("bundled plan", () => {
+        it("should match the plan schema", () => {
+            const validate = new Ajv().compile(planSchema);
+            assert.isOk(validate(BUNDLED_PLAN), JSON.stringify(validate.errors, null, 2));
+        });
+
+        it("should pass checkPlan", () => {
+            assert.deepEqual(checkPlan(BUNDLED_PLAN), []);
+        });
+    });
+
+    describe("checkPlan", () => {
+        it("should find probes with the same key", () => {
+            const plan = makePlan([
+                {probes: [{transport: "udp", query: {rrtype: "A"}}]},
+                {probes: [{key: "udp-A", transport: "udp", query: {rrtype: "AAAA"}}]}
+            ]);
+            assert.deepEqual(checkPlan(plan), ["groups[1].probes[0]: duplicate key udp-A"]);
+        });
+
+        it("should find unknown transports, domains and query properties", () => {
+            const plan = makePlan([
+                {probes: [
+                    {transport: "carrier-pigeon", query: {rrtype: "A"}},
+                    {transport: "udp", domain: "example.com", query: {rrtype: "A", dnssec_ok: "yes", color: "blue"}}
+                ]}
+            ]);
+            assert.deepEqual(checkPlan(plan), [
+                "groups[0].probes[0].transport: unknown transport carrier-pigeon",
+                "groups[0].probes[1].domain: example.com is not one of apexDomains",
+                "groups[0].probes[1].query.dnssec_ok: not a boolean",
+                "groups[0].probes[1].query.color: unknown property"
+            ]);
+        });
+
+        it("should find matrix probes with the same key as other probes", () => {
+            const plan = makePlan([
+                {matrix: {transports: ["tcp"], rrtypes: ["DS"]}},
+                {probes: [{transport: "tcp", perClient: true, query: {rrtype: "DS"}}]}
+            ]);
+            assert.deepEqual(checkPlan(plan), ["groups[1].probes[0]: duplicate key tcp-DS-U"]);
+        });
+
+        it("should find bad matrix dimensions", () => {
+            const plan = makePlan([
+                {matrix: {transports: ["carrier-pigeon"], perClient: "yes", exclude: [{color: "blue"}]}}
+            ]);
+            assert.deepEqual(checkPlan(plan), [
+                "groups[0].matrix.transports: not a list of transports",
+                "groups[0].matrix.perClient: not a list of booleans",
+                "groups[0].matrix.exclude[0]: not a probe pattern"
+            ]);
+        });
+
+        it("should keep per-client names away from third-party resolvers", () => {
+            const plan = makePlan([
+                {matrix: {transports: ["doh"], rrtypes: ["DS"]}},
+                {probes: [{transport: "dot", perClient: true, query: {rrtype: "A"}}]}
+            ]);
+            assert.deepEqual(checkPlan(plan), [
+                "groups[0].matrix: doh-DS-U would send a per-client name to a third-party resolver",
+                "groups[1].probes[0]: dot-A-U would send a per-client name to a third-party resolver"
+            ]);
+        });
+
+        it("should only allow IP addresses as authoritative servers", () => {
+            const plan = {...makePlan([]), authoritativeServers: ["192.0.2.1", "ns1.example.com"]};
+            assert.deepEqual(checkPlan(plan), ["authoritativeServers: not a list of IP addresses"]);
+        });
+
+        it("should only allow DS records as trust anchors", () => {
+            const plan = {...makePlan([]), trustAnchors: [
+                {zone: "dnssec-experiment-moz.net", keyTag: 12345, algorithm: 13, digestType: 2, digest: "ab12"},
+                {zone: "dns-study.com", keyTag: 12345, algorithm: 13, digestType: 2, digest: "xyz"}
+            ]};
+            assert.deepEqual(checkPlan(plan), ["trustAnchors[1]: not a DS record"]);
+        });
+
+        it("should check the retry policies", () => {
+            const plan = {...makePlan([]), retryPolicies: {
+                udp: {attempts: 2, backoff: 2, adaptive: true},
+                tcp: {timeout: 100, rotate: "yes"},
+                webext: {attempts: 2, timeout: 1000},
+                quic: {}
+            }};
+            assert.deepEqual(checkPlan(plan), [
+                "retryPolicies.tcp.timeout: not a number of ms from 250 to 60000",
+                "retryPolicies.tcp.rotate: not a boolean",
+                "retryPolicies.webext.timeout: set by the OS resolver",
+                "retryPolicies.quic: unknown transport"
+            ]);
+        });
+
+        // checkPlan() has to stand in for the schema in the add-on, so it
+        // should accept and reject the same plans. Domains outside
+        // apexDomains, duplicate keys and per-client names over DoH and DoT
+        // are left out: the schema can't express those.
+        const VARIANTS = {
+            "an empty id": plan => ({...plan, id: ""}),
+            "a version of 0": plan => ({...plan, version: 0}),
+            "a fractional version": plan => ({...plan, version: 1.5}),
+            "no apex domains": plan => ({...plan, apexDomains: []}),
+            "an unknown top-level property": plan => ({...plan, color: "blue"}),
+            "authoritative servers": plan => ({...plan, authoritativeServers: ["192.0.2.1", "2001:db8::1"]}),
+            "a named authoritative server": plan => ({...plan, authoritativeServers: ["ns1.example.com"]}),
+            "a trust anchor": plan => ({...plan, trustAnchors: [
+                {zone: "dns-study.com", keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12"}
+            ]}),
+            "a trust anchor with a large key tag": plan => ({...plan, trustAnchors: [
+                {zone: "dns-study.com", keyTag: 65536, algorithm: 13, digestType: 2, digest: "ab12"}
+            ]}),
+            "a trust anchor with an extra property": plan => ({...plan, trustAnchors: [
+                {zone: "dns-study.com", keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12", ttl: 60}
+            ]}),
+            "a trust anchor with no zone": plan => ({...plan, trustAnchors: [
+                {keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12"}
+            ]}),
+            "retry policies": plan => ({...plan, retryPolicies: {udp: {attempts: 5, backoff: 1.5}, webext: {attempts: 1}}}),
+            "too many attempts": plan => ({...plan, retryPolicies: {tcp: {attempts: 6}}}),
+            "a fractional timeout": plan => ({...plan, retryPolicies: {doh: {timeout: 1000.5}}}),
+            "a webext timeout": plan => ({...plan, retryPolicies: {webext: {timeout: 1000}}}),
+            "a group name and order": plan => ({...plan, groups: [{...plan.groups[0], name: "first", ordered: true}]}),
+            "a numeric group name": plan => ({...plan, groups: [{...plan.groups[0], name: 1}]}),
+            "a non-boolean order": plan => ({...plan, groups: [{...plan.groups[1], ordered: "yes"}]}),
+            "an unknown group property": plan => ({...plan, groups: [{...plan.groups[0], color: "blue"}]}),
+            "a group with probes and a matrix": plan => ({...plan, groups: [{...plan.groups[0], ...plan.groups[1]}]}),
+            "a group with a matrix and a sweep": plan => ({...plan, groups: [{...plan.groups[1], ...plan.groups[2]}]}),
+            "an empty group": plan => ({...plan, groups: [{}]}),
+            "a group with no probes": plan => ({...plan, groups: [{probes: []}]}),
+            "an empty probe key": plan => ({...plan, groups: [{probes: [{key: "", transport: "udp", query: {rrtype: "A"}}]}]}),
+            "an unknown probe property": plan => ({...plan, groups: [{probes: [{transport: "udp", color: "blue", query: {rrtype: "A"}}]}]}),
+            "a probe with no query": plan => ({...plan, groups: [{probes: [{transport: "udp"}]}]}),
+            "a probe with no transport": plan => ({...plan, groups: [{probes: [{query: {rrtype: "A"}}]}]}),
+            "an empty record type": plan => ({...plan, groups: [{probes: [{transport: "udp", query: {rrtype: ""}}]}]}),
+            "a numeric record type": plan => ({...plan, groups: [{probes: [{transport: "udp", query: {rrtype: 1}}]}]}),
+            "a small listening window": plan => ({...plan, groups: [{probes: [{transport: "udp", query: {rrtype: "A", listenWindow: -1}}]}]}),
+            "a PUT query": plan => ({...plan, groups: [{probes: [{transport: "doh", query: {rrtype: "A", dohMethod: "PUT"}}]}]}),
+            "a response size of 0": plan => ({...plan, groups: [{probes: [{transport: "udp", responseSize: 0, query: {rrtype: "A"}}]}]}),
+            "an unknown matrix transport": plan => ({...plan, groups: [{matrix: {transports: ["quic"]}}]}),
+            "a numeric matrix record type": plan => ({...plan, groups: [{matrix: {rrtypes: [1]}}]}),
+            "an unknown exclude transport": plan => ({...plan, groups: [{matrix: {exclude: [{transport: "quic"}]}}]}),
+            "a non-boolean exclude perClient": plan => ({...plan, groups: [{matrix: {exclude: [{perClient: "yes"}]}}]}),
+            "a sweep with no response sizes": plan => ({...plan, groups: [{sweep: {...plan.groups[2].sweep, responseSizes: []}}]}),
+            "a sweep with a fractional size": plan => ({...plan, groups: [{sweep: {...plan.groups[2].sweep, udpPayloadSizes: [1232.5]}}]}),
+            "a sweep with no query": plan => ({...plan, groups: [{sweep: {udpPayloadSizes: [512], responseSizes: [1000]}}]}),
+            "a chain": plan => ({...plan, trustAnchors: [
+                {zone: ".", keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12"}
+            ], groups: [{chain: true}]}),
+            "a chain that isn't true": plan => ({...plan, trustAnchors: [
+                {zone: ".", keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12"}
+            ], groups: [{chain: false}]})
+        };
+
+        for (let [name, makeVariant] of Object.entries(VARIANTS)) {
+            it(`should agree with the schema on a plan with ${name}`, () => {
+                const plan = makeVariant(makePlan([
+                    {probes: [{key: "custom", transport: "udp", perClient: true, query: {rrtype: "A", prefix: "x"}}]},
+                    {matrix: {transports: ["tcp"], rrtypes: ["DS"], exclude: [{perClient: true}]}},
+                    {sweep: {query: {rrtype: "TXT"}, udpPayloadSizes: [512], responseSizes: [1000]}}
+                ]));
+                const validate = new Ajv().compile(planSchema);
+                const problems = checkPlan(plan);
+                assert.equal(problems.length === 0, validate(plan),
+                    `checkPlan found ${JSON.stringify(problems)}, Ajv found ${JSON.stringify(validate.errors)}`);
+            });
+        }
+
+        it("should require an id, version and apex domain", () => {
+            assert.deepEqual(checkPlan({groups: []}), [
+                "id: not a string",
+                "version: not a positive integer",
+                "apexDomains: not a list of domains"
+            ]);
+        });
+    });
+
+    describe("expandMatrix", () => {
+        it("should send every common query over udp and tcp, shared and per-client", () => {
+            const keys = expandMatrix({transports: ["udp", "tcp"]}).map(probeKey);
+            assert.lengthOf(keys, COMMON_QUERIES.length * 4);
+            assert.includeMembers(keys, ["udp-SMIMEA", "tcp-SMIMEA-U", "udp-ADOCD", "tcp-A-N-U", "udp-NEWFOUR"]);
+        });
+
+        it("should only send plain A and AAAA queries over webext", () => {
+            const keys = expandMatrix({transports: ["webext"]}).map(probeKey);
+            assert.deepEqual(keys, ["webext-A", "webext-A-U", "webext-AAAA", "webext-AAAA-U"]);
+        });
+
+        it("should include and exclude dimensions", () => {
+            const keys = expandMatrix({
+                transports: ["udp", "tcp"],
+                perClient: [false],
+                rrtypes: ["A", "DS"],
+                exclude: [{transport: "tcp", rrtype: "A"}, {key: "udp-ADO"}]
+            }).map(probeKey);
+            assert.deepEqual(keys, ["udp-A", "udp-A-N", "udp-ACD", "udp-ADOCD", "udp-DS", "tcp-DS"]);
+        });
+    });
+
+    describe("expandSweep", () => {
+        it("should cross the advertised sizes with the response sizes", () => {
+            const probes = expandSweep({query: {rrtype: "TXT"}, udpPayloadSizes: [512, 1232], responseSizes: [1000]});
+            assert.deepEqual(probes, [
+                {key: "udp-TXT-E512-R1000", transport: "udp", perClient: false, responseSize: 1000,
+                    query: {rrtype: "TXT", udpPayloadSize: 512, prefix: "size-1000"}},
+                {key: "udp-TXT-E1232-R1000", transport: "udp", perClient: false, responseSize: 1000,
+                    query: {rrtype: "TXT", udpPayloadSize: 1232, prefix: "size-1000"}}
+            ]);
+        });
+
+        it("should not allow advertising less than 512 bytes", () => {
+            const plan = makePlan([{sweep: {query: {rrtype: "TXT"}, udpPayloadSizes: [256], responseSizes: [1000]}}]);
+            assert.deepEqual(checkPlan(plan), ["groups[0].sweep.udpPayloadSizes: not a list of sizes of at least 512"]);
+        });
+    });
+
+    describe("expandChain", () => {
+        it("should collect the DNSKEY and DS records from the trust anchor down", () => {
+            const anchor = {zone: "com", keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12"};
+            const keys = expandChain(["dns-study.com", "dnssec-experiment-moz.net"], [anchor]).map(probeKey);
+            assert.deepEqual(keys, [
+                "udp-DNSKEYDO-chain-com",
+                "udp-DNSKEYDO-chain-dns-study.com",
+                "udp-DSDO-chain-dns-study.com"
+            ]);
+        });
+
+        it("should start from the root zone", () => {
+            const anchor = {zone: ".", keyTag: 1, algorithm: 13, digestType: 2, digest: "ab12"};
+            const probes = expandChain(["dns-study.com"], [anchor]);
+            assert.deepEqual(probes.map(probeKey), [
+                "udp-DNSKEYDO-chain-root",
+                "udp-DNSKEYDO-chain-com",
+                "udp-DSDO-chain-com",
+                "udp-DNSKEYDO-chain-dns-study.com",
+                "udp-DSDO-chain-dns-study.com"
+            ]);
+            assert.equal(probes[0].domain, ".");
+        });
+
+        it("should need a trust anchor", () => {
+            assert.deepEqual(checkPlan(makePlan([{chain: true}])), ["groups[0].chain: no trustAnchors to validate up to"]);
+        });
+    });
+
+    describe("expandPlan", () => {
+        it("should keep ordered groups together and default the domain", () => {
+            const plan = makePlan([
+                {probes: [
+                    {transport: "udp", query: {rrtype: "A"}},
+                    {transport: "udp", domain: "dns-study.com", query: {rrtype: "AAAA"}}
+                ]},
+                {ordered: true, probes: [
+                    {transport: "webext", query: {rrtype: "A"}},
+                    {transport: "tcp", query: {rrtype: "A"}}
+                ]}
+            ]);
+            assert.deepEqual(expandPlan(plan), [
+                {transport: "udp", domain: "dnssec-experiment-moz.net", query: {rrtype: "A"}},
+                {transport: "udp", domain: "dns-study.com", query: {rrtype: "AAAA"}},
+                [
+                    {transport: "webext", domain: "dnssec-experiment-moz.net", query: {rrtype: "A"}},
+                    {transport: "tcp", domain: "dnssec-experiment-moz.net", query: {rrtype: "A"}}
+                ]
+            ]);
+        });
+    });
+
+    describe("computeKey", () => {
+        it("should combine the transport, rrtype and flags", () => {
+            assert.equal(computeKey("udp", {rrtype: "A", dnssec_ok: true, checking_disabled: true, noedns0: true}, true), "udp-ADOCD-N-U");
+        });
+    });
+});
@@ -0,0 +1,46 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const {
+    DEFAULT_RETRY_POLICIES,
+    computeRetryPolicies,
+    updateRTTEstimate,
+    attemptTimeout
+} = require("../src/retry");
+
+describe("retry.js", () => {
+    describe("computeRetryPolicies", () => {
+        it("should follow the resolvconf options over UDP, and the plan over them", () => {
+            const policies = computeRetryPolicies(
+                {timeout: 2000, attempts: 2, rotate: true},
+                {auth: {attempts: 1}, dot: {timeout: 5000, maxTimeout: 1000}}
+            );
+            assert.include(policies.udp, {timeout: 2000, attempts: 2, rotate: true});
+            assert.include(policies.auth, {timeout: 2000, attempts: 1, rotate: true});
+            assert.deepEqual(policies.tcp, DEFAULT_RETRY_POLICIES.tcp);
+            // The timeout is never over the cap
+            assert.include(policies.dot, {timeout: 5000, maxTimeout: 5000});
+        });
+    });
+
+    describe("attemptTimeout", () => {
+        const policy = {attempts: 3, timeout: 1000, backoff: 2, maxTimeout: 3000, rotate: false, adaptive: false};
+
+        it("should back off each round up to the cap", () => {
+            assert.deepEqual([0, 1, 2].map(round => attemptTimeout(policy, round)), [1000, 2000, 3000]);
+        });
+
+        it("should adapt to the RTTs seen once it has some", () => {
+            const adaptive = {...policy, adaptive: true};
+            assert.equal(attemptTimeout(adaptive, 0), 1000);
+
+            let estimate = [400, 600, 500].reduce(updateRTTEstimate, undefined);
+            assert.equal(attemptTimeout(adaptive, 0, estimate), Math.ceil(estimate.srtt + 4 * estimate.rttvar));
+            assert.equal(attemptTimeout(adaptive, 1, estimate), 2 * Math.ceil(estimate.srtt + 4 * estimate.rttvar));
+
+            // But never down to next to nothing
+            estimate = [1, 1, 1, 1].reduce(updateRTTEstimate, undefined);
+            assert.equal(attemptTimeout(adaptive, 0, estimate), 250);
+        });
+    });
+});
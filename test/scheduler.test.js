@@ -0,0 +1,68 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const { schedule } = require("../src/scheduler");
+
+function tick(ms = 1) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe("scheduler.js", () => {
+    it("should never have more than concurrency tasks in flight", async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const ran = [];
+        await schedule([1, 2, 3, 4, 5, 6, 7], async item => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await tick(item % 3);
+            ran.push(item);
+            running--;
+        }, 3);
+
+        assert.equal(maxRunning, 3);
+        assert.sameMembers(ran, [1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it("should start entries in the order given", async () => {
+        const started = [];
+        await schedule(["a", "b", "c", "d"], async item => {
+            started.push(item);
+            await tick();
+        }, 2);
+
+        assert.deepEqual(started, ["a", "b", "c", "d"]);
+    });
+
+    it("should run the items of a list one after the other", async () => {
+        const events = [];
+        await schedule([["first", "second"], "other"], async item => {
+            events.push("start " + item);
+            await tick(item === "first" ? 5 : 1);
+            events.push("end " + item);
+        }, 2);
+
+        assert.isBelow(events.indexOf("end first"), events.indexOf("start second"));
+        // The other entry didn't wait for the list
+        assert.isBelow(events.indexOf("start other"), events.indexOf("end first"));
+    });
+
+    it("should stop starting tasks after one fails, and rethrow the error", async () => {
+        const started = [];
+        let error;
+        try {
+            await schedule([1, 2, 3, 4], async item => {
+                started.push(item);
+                await tick();
+                if (item === 1) {
+                    throw new Error("failed");
+                }
+            }, 2);
+        } catch(e) {
+            error = e;
+        }
+
+        assert.equal(error?.message, "failed");
+        assert.deepEqual(started, [1, 2]);
+    });
+});
@@ -0,0 +1,70 @@
+/* eslint-env node, mocha */
+
+const { assert } = require("chai");
+const Ajv = require("ajv");
+const { validateSchema } = require("../src/schema-validate");
+const payloadSchema = require("../src/payload.schema.json");
+
+const SCHEMA = {
+    type: "object",
+    required: ["id", "items"],
+    additionalProperties: false,
+    properties: {
+        id: { type: "string", pattern: "^[a-f0-9]+$" },
+        kind: { enum: ["a", "b"] },
+        count: { type: "integer", minimum: 0, maximum: 10 },
+        items: { type: "array", items: { $ref: "#/definitions/item" } },
+        extra: { type: "object", additionalProperties: { type: ["number", "null"] } }
+    },
+    definitions: {
+        item: { type: "object", required: ["name"], properties: { name: { type: "string" } } }
+    }
+};
+
+describe("schema-validate.js", () => {
+    it("should accept what Ajv accepts", () => {
+        const value = { id: "ab12", kind: "b", count: 3, items: [{ name: "x", other: 1 }], extra: { a: 1, b: null } };
+        assert.isTrue(new Ajv().validate(SCHEMA, value));
+        assert.deepEqual(validateSchema(SCHEMA, value), []);
+    });
+
+    it("should reject what Ajv rejects, and say where", () => {
+        const value = { id: "XYZ", kind: "c", count: 11.5, items: [{}, "y"], extra: { a: "1" }, other: true };
+        assert.isFalse(new Ajv().validate(SCHEMA, value));
+        assert.deepEqual(validateSchema(SCHEMA, value), [
+            "id: doesn't match ^[a-f0-9]+$",
+            "kind: not one of \"a\", \"b\"",
+            "count: not integer",
+            "items[0].name: missing",
+            "items[1]: not object",
+            "extra.a: not number or null",
+            "other: not allowed"
+        ]);
+    });
+
+    it("should throw on keywords it doesn't implement rather than ignore them", () => {
+        assert.throws(() => validateSchema({ type: "string", minLength: 1 }, ""), "Unsupported keyword minLength at the root");
+        const nested = { ...SCHEMA, properties: { ...SCHEMA.properties, kind: { oneOf: [{ enum: ["a"] }, { enum: ["b"] }] } } };
+        assert.throws(() => validateSchema(nested, { id: "ab12", items: [] }), "Unsupported keyword oneOf at /properties/kind");
+        assert.deepEqual(validateSchema({ description: "Anything", title: "any" }, 1), []);
+    });
+
+    it("should check ping payloads against our payload schema", () => {
+        const payload = {
+            reason: "STUDY_START",
+            measurementID: "e76962aa-a28f-4893-b3bf-fa2e33789e5d",
+            schemaVersion: 9,
+            dnsQueryErrors: [{ reason: "STUDY_ERROR_UDP_MISC", errorRRTYPE: "udp-A", errorAttempt: -1 }]
+        };
+        assert.deepEqual(validateSchema(payloadSchema, payload), [
+            "dnsQueryErrors[0].errorAttempt: below 0"
+        ]);
+        assert.deepEqual(validateSchema(payloadSchema, { reason: "STUDY_START" }), [
+            "measurementID: missing",
+            "schemaVersion: missing"
+        ]);
+        assert.deepEqual(validateSchema(payloadSchema, { ...payload, dnsQueryErrors: [], color: "blue" }), [
+            "color: not allowed"
+        ]);
+    });
+});
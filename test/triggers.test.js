@@ -0,0 +1,138 @@
+/* eslint-env node, mocha */
+/* global browser */
+
+const { default: browserMock } = require("webextensions-api-mock");
+const { assert } = require("chai");
+const sinon = require("sinon");
+const {
+    REMEASURE_ALARM,
+    computeNetworkID,
+    shouldRun,
+    scheduleMeasurements
+} = require("../src/triggers");
+const { createBrowser } = require("../cli/browser");
+
+// < Node 19
+global.crypto = global.crypto || require("crypto").webcrypto;
+
+const HOUR = 60 * 60 * 1000;
+const OPTIONS = { interval: 24 * HOUR, minGap: HOUR };
+
+describe("triggers.js", () => {
+    describe("computeNetworkID", () => {
+        it("should give a network the same ID only with the same salt", async () => {
+            const id = await computeNetworkID("link-1", "salt");
+            assert.match(id, /^[0-9a-f]{16}$/);
+            assert.equal(await computeNetworkID("link-1", "salt"), id);
+            assert.notEqual(await computeNetworkID("link-2", "salt"), id);
+            assert.notEqual(await computeNetworkID("link-1", "pepper"), id);
+            assert.isNull(await computeNetworkID(undefined, "salt"));
+        });
+    });
+
+    describe("shouldRun", () => {
+        const lastRun = { time: 0, networkID: "a" };
+
+        it("should always run at startup", () => {
+            assert.isTrue(shouldRun("startup", lastRun, "a", 1, OPTIONS));
+        });
+        it("should run again once the interval has passed", () => {
+            assert.isFalse(shouldRun("interval", lastRun, "a", 23 * HOUR, OPTIONS));
+            assert.isTrue(shouldRun("interval", lastRun, "a", 24 * HOUR, OPTIONS));
+        });
+        it("should run on a different network, but not too often", () => {
+            assert.isFalse(shouldRun("networkChange", lastRun, "a", 2 * HOUR, OPTIONS));
+            assert.isFalse(shouldRun("networkChange", lastRun, "b", HOUR / 2, OPTIONS));
+            assert.isTrue(shouldRun("networkChange", lastRun, "b", HOUR, OPTIONS));
+            assert.isFalse(shouldRun("networkChange", lastRun, null, 2 * HOUR, OPTIONS));
+        });
+    });
+
+    describe("scheduleMeasurements", () => {
+        let run;
+        let items;
+
+        beforeEach(() => {
+            global.browser = browserMock();
+            items = {};
+            browser.storage.local = createBrowser({ storage: items }).storage.local;
+            browser.networkStatus.getLinkInfo.resolves({ status: "up", type: "wifi", id: "home" });
+            run = sinon.stub().resolves();
+        });
+
+        afterEach(() => {
+            delete global.browser;
+        });
+
+        it("should measure at startup and set an alarm", async () => {
+            assert.isTrue(await scheduleMeasurements(run, OPTIONS));
+
+            sinon.assert.calledOnceWithExactly(run, { trigger: "startup", networkID: items.lastRun.networkID });
+            assert.match(items.lastRun.networkID, /^[0-9a-f]{16}$/);
+            assert.match(items.networkSalt, /^[0-9a-f]{32}$/);
+            sinon.assert.calledWith(browser.alarms.create, REMEASURE_ALARM);
+        });
+
+        it("should measure when the alarm finds the last run old enough", async () => {
+            await scheduleMeasurements(run, OPTIONS);
+            const onAlarm = browser.alarms.onAlarm.addListener.firstCall.args[0];
+
+            assert.isFalse(await onAlarm({ name: REMEASURE_ALARM }));
+            sinon.assert.calledOnce(run);
+
+            items.lastRun.time -= OPTIONS.interval;
+            assert.isTrue(await onAlarm({ name: REMEASURE_ALARM }));
+            sinon.assert.calledTwice(run);
+            sinon.assert.calledWithMatch(run.secondCall, { trigger: "interval" });
+        });
+
+        it("should log a run that fails on temporary installs and keep measuring", async () => {
+            const error = new Error("STUDY_ERROR_FETCH_FAILED");
+            run.onFirstCall().rejects(error);
+            browser.management.getSelf.resolves({ installType: "development" });
+            sinon.stub(console, "error");
+            try {
+                assert.isFalse(await scheduleMeasurements(run, OPTIONS));
+                sinon.assert.calledWith(console.error, error);
+            } finally {
+                console.error.restore();
+            }
+
+            items.lastRun.time -= OPTIONS.interval;
+            assert.isTrue(await browser.alarms.onAlarm.addListener.firstCall.args[0]({ name: REMEASURE_ALARM }));
+            sinon.assert.calledTwice(run);
+        });
+
+        it("should not log failed runs on release builds", async () => {
+            run.rejects(new Error("STUDY_ENDED"));
+            browser.networkStatus.getLinkInfo.rejects(new Error("Not supported"));
+            browser.management.getSelf.resolves({ installType: "normal" });
+            sinon.stub(console, "error");
+            try {
+                assert.isFalse(await scheduleMeasurements(run, OPTIONS));
+                sinon.assert.notCalled(console.error);
+            } finally {
+                console.error.restore();
+            }
+        });
+
+        it("should measure when the network changes", async () => {
+            await scheduleMeasurements(run, OPTIONS);
+            const onConnectionChanged = browser.networkStatus.onConnectionChanged.addListener.firstCall.args[0];
+            const homeID = items.lastRun.networkID;
+            items.lastRun.time -= OPTIONS.minGap;
+
+            browser.networkStatus.getLinkInfo.resolves({ status: "up", type: "wifi", id: "office" });
+            onConnectionChanged({ status: "down" });
+            const running = onConnectionChanged({ status: "up" });
+            // Dropped, since a run is already going
+            assert.isFalse(await onConnectionChanged({ status: "up" }));
+            assert.isTrue(await running);
+
+            sinon.assert.calledTwice(run);
+            const { trigger, networkID } = run.secondCall.args[0];
+            assert.equal(trigger, "networkChange");
+            assert.notEqual(networkID, homeID);
+        });
+    });
+});
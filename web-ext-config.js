@@ -2,7 +2,8 @@
 
 const defaultConfig = {
   sourceDir: "./src/",
-  ignoreFiles: [".DS_Store", "dns-test.js"],
+  ignoreFiles: [".DS_Store", "dns-test.js", "dns-classify.js", "dnssec-validate.js", "plan.js",
+        "scheduler.js", "retry.js", "payload.js", "outbox.js", "triggers.js", "lifecycle.js", "errors.js", "schema-validate.js", "dnssec-v1.schema.json", "payload.schema.json", "measurement-plan.json", "measurement-plan.schema.json"],
   build: {
     overwriteDest: true,
   }